@@ -9,22 +9,50 @@ const state = {
     user: null,
     token: null,
     currentDate: new Date(),
+    calendarView: 'month', // the saved view is read in init()
     dashboard: null,
-    monthEntries: {},
+    calendarEntries: {},
     isSignUp: false,
+    authView: null,
+    resetToken: null,
     loading: false,
     showTour: false,
     tourStep: 0,
     showProfile: false,
-    profileStats: null
+    showInsights: false,
+    insights: null,
+    profileStats: null,
+    sessions: [],
+    reminders: null,
+    offlineQueue: [],
+    search: { query: '', from: '', to: '', rating: '', results: null },
+    tags: [],
+    calendarTag: null,
+    memories: null,
+    achievements: [],
+    celebrations: [],
+    encryptionPending: 0,
+    twoFactorChallenge: null,
+    twoFactor: null,
+    twoFactorSetup: null,
+    recoveryCodes: null,
+    showAdmin: false,
+    admin: { users: [], stats: null },
+    modalEntry: null
 };
 
 // ============================================
 // API HELPERS
 // ============================================
 const API_BASE = '/api';
+// Must match API_CACHE in sw.js
+const API_CACHE_NAME = 'smile-api-v2';
 
-async function api(endpoint, options = {}) {
+// In-flight token refresh, shared so parallel requests only rotate once
+let refreshPromise = null;
+
+// options.responseType = 'blob' returns the body as a Blob instead of JSON
+async function api(endpoint, options = {}, retry = true) {
     const headers = {
         'Content-Type': 'application/json',
         ...options.headers
@@ -40,119 +68,538 @@ async function api(endpoint, options = {}) {
             headers
         });
 
+        if (response.ok && options.responseType === 'blob') {
+            return await response.blob();
+        }
+
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'Request failed');
+            // Access tokens are short-lived: renew once and replay the request
+            if (data.code === 'token_expired' && retry && await refreshSession()) {
+                return await api(endpoint, options, false);
+            }
+            if (['token_expired', 'session_revoked', 'account_disabled', 'password_reset_required'].includes(data.code)) {
+                handleSessionEnded();
+            }
+            const error = new Error(data.error || 'Request failed');
+            error.status = response.status;
+            error.data = data;
+            error.offline = data.code === 'offline';
+            throw error;
         }
 
         return data;
     } catch (error) {
+        // fetch() rejects with a TypeError when the network is unreachable
+        if (error instanceof TypeError) {
+            error.offline = true;
+        }
         console.error('API Error:', error);
         throw error;
     }
 }
 
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('smileRefreshToken');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_BASE}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (!response.ok) return false;
+
+                storeTokens(await response.json());
+                return true;
+            } catch (error) {
+                return false;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
 // ============================================
 // AUTH
 // ============================================
+function storeTokens({ token, refreshToken }) {
+    state.token = token;
+    localStorage.setItem('smileToken', token);
+    if (refreshToken) {
+        localStorage.setItem('smileRefreshToken', refreshToken);
+    }
+}
+
+// The service worker doesn't cache /api/auth/*, so the user is kept here
+// for starting the app offline
+function setUser(user) {
+    state.user = user;
+    localStorage.setItem('smileUser', JSON.stringify(user));
+}
+
+function clearSession() {
+    // Cached API responses belong to this user
+    if ('caches' in window) {
+        caches.delete(API_CACHE_NAME).catch(() => {});
+    }
+
+    clearPhotoCache();
+    state.celebrations = [];
+    encryptionKey = null;
+
+    state.twoFactor = null;
+    state.twoFactorSetup = null;
+    state.recoveryCodes = null;
+
+    state.showAdmin = false;
+    state.admin = { users: [], stats: null };
+
+    state.token = null;
+    state.user = null;
+    state.dashboard = null;
+    state.showProfile = false;
+    state.showInsights = false;
+    localStorage.removeItem('smileToken');
+    localStorage.removeItem('smileRefreshToken');
+    localStorage.removeItem('smileUser');
+}
+
+// The server ended our session (revoked elsewhere or expired): back to login
+function handleSessionEnded() {
+    const wasLoggedIn = !!state.user;
+    clearSession();
+    if (wasLoggedIn) {
+        render();
+    }
+}
+
 async function register(email, password) {
     const data = await api('/auth/register', {
         method: 'POST',
-        body: JSON.stringify({ email, password })
+        body: JSON.stringify({ email, password, timezone: getBrowserTimezone() })
     });
     
-    state.token = data.token;
-    state.user = data.user;
-    localStorage.setItem('smileToken', data.token);
+    storeTokens(data);
+    setUser(data.user);
     return data;
 }
 
+// With two-factor login on, this only gets a challenge token for
+// completeTwoFactorLogin
 async function login(email, password) {
     const data = await api('/auth/login', {
         method: 'POST',
         body: JSON.stringify({ email, password })
     });
+
+    if (data.twoFactorRequired) {
+        state.twoFactorChallenge = data.challengeToken;
+        return data;
+    }
     
-    state.token = data.token;
-    state.user = data.user;
-    localStorage.setItem('smileToken', data.token);
+    storeTokens(data);
+    setUser(data.user);
+    return data;
+}
+
+// factor is { code } or { recoveryCode }
+async function completeTwoFactorLogin(factor) {
+    const data = await api('/auth/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken: state.twoFactorChallenge, ...factor })
+    });
+
+    state.twoFactorChallenge = null;
+    storeTokens(data);
+    setUser(data.user);
     return data;
 }
 
 async function checkAuth() {
     const token = localStorage.getItem('smileToken');
-    if (!token) return false;
+    if (!token && !localStorage.getItem('smileRefreshToken')) return false;
 
     state.token = token;
+    if (!token && !(await refreshSession())) {
+        clearSession();
+        return false;
+    }
+
     try {
         const data = await api('/auth/me');
-        state.user = data.user;
+        setUser(data.user);
         return true;
     } catch (error) {
-        localStorage.removeItem('smileToken');
-        state.token = null;
+        const savedUser = localStorage.getItem('smileUser');
+        if (error.offline && savedUser) {
+            state.user = JSON.parse(savedUser);
+            return true;
+        }
+        clearSession();
         return false;
     }
 }
 
 function logout() {
-    state.token = null;
-    state.user = null;
-    state.dashboard = null;
-    localStorage.removeItem('smileToken');
+    const refreshToken = localStorage.getItem('smileRefreshToken');
+    if (refreshToken) {
+        // Best effort: the local session is cleared either way
+        api('/auth/logout', {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken })
+        }).catch(() => {});
+    }
+
+    clearSession();
     render();
 }
 
+async function requestPasswordReset(email) {
+    return await api('/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+}
+
+async function resetPassword(token, newPassword) {
+    return await api('/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, newPassword })
+    });
+}
+
+async function resendVerification() {
+    return await api('/auth/verify-email/resend', { method: 'POST' });
+}
+
+async function changeEmail(newEmail, password) {
+    return await api('/auth/change-email', {
+        method: 'POST',
+        body: JSON.stringify({ newEmail, password })
+    });
+}
+
+async function confirmEmail(token) {
+    return await api('/auth/confirm-email', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+    });
+}
+
+async function fetchSessions() {
+    const data = await api('/auth/sessions');
+    state.sessions = data.sessions;
+    return data.sessions;
+}
+
+async function revokeSession(id) {
+    return await api(`/auth/sessions/${id}`, { method: 'DELETE' });
+}
+
+async function logoutEverywhere() {
+    return await api('/auth/logout-all', { method: 'POST' });
+}
+
+async function fetchTwoFactor() {
+    state.twoFactor = await api('/auth/2fa');
+    return state.twoFactor;
+}
+
+async function startTwoFactorSetup() {
+    return await api('/auth/2fa/setup', { method: 'POST' });
+}
+
+async function enableTwoFactor(code) {
+    return await api('/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code })
+    });
+}
+
+async function disableTwoFactor(password, factor) {
+    return await api('/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ password, ...factor })
+    });
+}
+
+async function regenerateRecoveryCodes(password) {
+    return await api('/auth/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ password })
+    });
+}
+
+// factor is { code } or { recoveryCode }, needed when two-factor login is on
+async function deleteAccount(password, factor = {}) {
+    return await api('/auth/me', {
+        method: 'DELETE',
+        body: JSON.stringify({ password, ...factor })
+    });
+}
+
+// Six digits are an authenticator code, anything else a recovery code
+function parseSecondFactor(value) {
+    const code = value.replace(/\s/g, '');
+    return /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+}
+
 // ============================================
 // ENTRIES API
 // ============================================
 async function fetchDashboard() {
     const data = await api('/entries/dashboard');
+    await decryptEntry(data.todayEntry);
     state.dashboard = data;
     return data;
 }
 
-async function fetchMonthEntries(year, month) {
-    const data = await api(`/entries/month/${year}/${month}`);
-    state.monthEntries = data.entries;
+async function fetchMemories() {
+    const data = await api('/entries/action/on-this-day');
+    await Promise.all(data.entries.map(decryptEntry));
+    state.memories = data;
+    return data;
+}
+
+// Entries for every day the calendar shows, in the current view. Only
+// days with a smile carrying state.calendarTag, when one is picked.
+async function fetchCalendarEntries() {
+    const { from, to } = getCalendarRange();
+    const params = new URLSearchParams({ from, to });
+    if (state.calendarTag) params.set('tag', state.calendarTag);
+
+    const data = await api(`/entries/range?${params}`);
+    await Promise.all(Object.values(data.entries).map(decryptEntry));
+    state.calendarEntries = data.entries;
     return data.entries;
 }
 
-async function saveEntry(date, text, rating = null) {
-    await api('/entries', {
+async function saveEntry(date, text, rating = null, baseUpdatedAt = null, tags = undefined) {
+    return await submitEntry({ date, text, rating, tags, skipped: false }, baseUpdatedAt);
+}
+
+async function skipDay(date, baseUpdatedAt = null) {
+    return await submitEntry({ date, skipped: true }, baseUpdatedAt);
+}
+
+// Send an entry, or queue it for later when the network is unavailable.
+// baseUpdatedAt is the version the user was looking at (null = no entry yet);
+// the server uses it to detect conflicts when the queue syncs.
+async function submitEntry(entry, baseUpdatedAt) {
+    if (navigator.onLine) {
+        try {
+            const data = await postEntry(entry);
+            celebrate(data.achievements);
+            return { queued: false };
+        } catch (error) {
+            if (!error.offline) throw error;
+        }
+    }
+
+    await putQueuedEntry({
+        key: `${state.user.id}:${entry.date}`,
+        userId: state.user.id,
+        date: entry.date,
+        text: entry.skipped ? null : entry.text,
+        rating: entry.skipped ? null : entry.rating,
+        tags: entry.skipped ? undefined : entry.tags,
+        skipped: !!entry.skipped,
+        baseUpdatedAt,
+        queuedAt: new Date().toISOString(),
+        conflict: null,
+        failed: null
+    });
+    applyQueuedEntry(entry);
+    await refreshOfflineState();
+    return { queued: true };
+}
+
+// Create or update a day's primary entry, encrypted when encryption is on
+async function postEntry(entry) {
+    const body = entry.skipped ? entry : { ...entry, ...(await encryptSmile(entry.text, entry.tags)) };
+    return await api('/entries', {
         method: 'POST',
-        body: JSON.stringify({ date, text, rating, skipped: false })
+        body: JSON.stringify(body)
     });
 }
 
-async function skipDay(date) {
-    await api('/entries', {
+async function fetchEntry(date) {
+    return await decryptEntry(await api(`/entries/${date}`));
+}
+
+async function addSmile(date, text, rating = null, tags = []) {
+    const data = await api(`/entries/${date}/smiles`, {
         method: 'POST',
-        body: JSON.stringify({ date, skipped: true })
+        body: JSON.stringify({ ...(await encryptSmile(text, tags)), rating })
+    });
+    celebrate(data.achievements);
+    return data;
+}
+
+async function updateSmile(date, id, text, rating = null, tags = undefined) {
+    return await api(`/entries/${date}/smiles/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...(await encryptSmile(text, tags)), rating })
     });
 }
 
+// smileId = null targets the day's primary entry
+function getPhotoEndpoint(date, smileId) {
+    return smileId ? `/entries/${date}/smiles/${smileId}/photo` : `/entries/${date}/photo`;
+}
+
+async function uploadPhoto(date, smileId, file) {
+    return await api(getPhotoEndpoint(date, smileId), {
+        method: 'PUT',
+        headers: { 'Content-Type': file.type },
+        body: file
+    });
+}
+
+async function removePhoto(date, smileId) {
+    return await api(getPhotoEndpoint(date, smileId), { method: 'DELETE' });
+}
+
+async function fetchTags() {
+    const data = await api('/entries/action/tags');
+    state.tags = data.tags;
+    return data.tags;
+}
+
+async function setPrimarySmile(date, id) {
+    return await api(`/entries/${date}/smiles/${id}/primary`, { method: 'POST' });
+}
+
+async function deleteSmile(date, id) {
+    return await api(`/entries/${date}/smiles/${id}`, { method: 'DELETE' });
+}
+
+async function searchEntries({ query, from, to, rating }) {
+    if (state.user.encryption) {
+        return await searchEncryptedEntries({ query, from, to, rating });
+    }
+
+    const params = new URLSearchParams({ q: query });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (rating) params.set('rating', rating);
+    const data = await api(`/entries/action/search?${params}`);
+    return data.results;
+}
+
+async function fetchRevisions(date) {
+    const data = await api(`/entries/${date}/revisions`);
+    return await Promise.all(data.revisions.map(decryptEntry));
+}
+
+async function restoreRevision(date, revisionId) {
+    return await api(`/entries/${date}/revisions/${revisionId}/restore`, { method: 'POST' });
+}
+
+// Picks from the calendar's tag filter, when one is set
 async function fetchRandomEntry() {
-    return await api('/entries/action/random');
+    const query = state.calendarTag ? `?tag=${encodeURIComponent(state.calendarTag)}` : '';
+    return await decryptEntry(await api(`/entries/action/random${query}`));
 }
 
-async function exportData() {
-    const data = await api('/entries/action/export');
-    
-    const dataStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
+// File name of each export format; all but json are downloaded as sent
+const EXPORT_FILES = {
+    json: 'backup.json',
+    zip: 'backup.zip',
+    markdown: 'journal.md',
+    csv: 'smiles.csv',
+    ics: 'smiles.ics'
+};
+
+// options: format plus the optional tag, from, to and rating filters
+async function exportData(options = {}) {
+    const format = options.format || 'json';
+    const params = new URLSearchParams();
+    ['format', 'tag', 'from', 'to', 'rating'].forEach(key => {
+        if (options[key]) params.set(key, options[key]);
+    });
+    const endpoint = `/entries/action/export?${params}`;
+
+    let blob;
+    if (format === 'json') {
+        // Encrypted smiles are decrypted, so the backup can be read and restored anywhere
+        const data = await api(endpoint);
+        await Promise.all(Object.values(data.entries).map(decryptEntry));
+        blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    } else {
+        blob = await api(endpoint, { responseType: 'blob' });
+    }
+
+    downloadBlob(blob, `1-smile-a-day-${getTodayString()}-${EXPORT_FILES[format]}`);
+}
+
+function downloadBlob(blob, fileName) {
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `1-smile-a-day-backup-${getTodayString()}.json`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
 
+async function fetchYearReview(year, format) {
+    return await api(`/entries/action/year-review/${year}?format=${format}`, { responseType: 'blob' });
+}
+
+async function importData(backup, mode) {
+    return await api('/entries/action/import', {
+        method: 'POST',
+        body: JSON.stringify({ data: await encryptBackup(backup), mode })
+    });
+}
+
+async function fetchReminders() {
+    const data = await api('/reminders');
+    state.reminders = data;
+    return data;
+}
+
+async function updateReminderSettings(enabled, time) {
+    return await api('/reminders/settings', {
+        method: 'POST',
+        body: JSON.stringify({ enabled, time })
+    });
+}
+
+async function subscribePush(subscription) {
+    return await api('/reminders/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({ subscription })
+    });
+}
+
+async function unsubscribePush(endpoint) {
+    return await api('/reminders/unsubscribe', {
+        method: 'POST',
+        body: JSON.stringify({ endpoint })
+    });
+}
+
+async function sendTestReminder() {
+    return await api('/reminders/test', { method: 'POST' });
+}
+
+async function fetchInsights() {
+    const data = await api('/entries/action/insights');
+    state.insights = data;
+    return data;
+}
+
 async function fetchStats() {
     const data = await api('/entries/action/stats');
     state.profileStats = data;
@@ -160,907 +607,3835 @@ async function fetchStats() {
 }
 
 async function changePassword(currentPassword, newPassword) {
-    return await api('/auth/change-password', {
+    const data = await api('/auth/change-password', {
         method: 'POST',
         body: JSON.stringify({ currentPassword, newPassword })
     });
+
+    // Every other session was revoked; this device gets a fresh one
+    storeTokens(data);
+    return data;
 }
 
-// ============================================
-// DATE UTILITIES
-// ============================================
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+async function updateTimezone(timezone) {
+    return await api('/auth/timezone', {
+        method: 'POST',
+        body: JSON.stringify({ timezone })
+    });
 }
 
-function getTodayString() {
-    return formatDate(new Date());
+async function updateMultipleSmiles(enabled) {
+    return await api('/auth/multiple-smiles', {
+        method: 'POST',
+        body: JSON.stringify({ enabled })
+    });
 }
 
-function formatDateForDisplay(dateString) {
-    const date = new Date(dateString + 'T00:00:00');
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    return date.toLocaleDateString('en-US', options);
+async function fetchAchievements() {
+    const data = await api('/entries/action/achievements');
+    state.achievements = data.achievements;
+    return data.achievements;
+}
+
+async function updateStreakRules(rules) {
+    return await api('/auth/streak-rules', {
+        method: 'POST',
+        body: JSON.stringify(rules)
+    });
+}
+
+async function fetchUnencrypted() {
+    const data = await api('/entries/action/unencrypted');
+    state.encryptionPending = data.remaining;
+    return data;
 }
 
 // ============================================
-// RATING HELPERS
+// ADMIN API
 // ============================================
-const RATING_LABELS = {
-    1: 'Small win',
-    2: 'Made my day',
-    3: 'Pure joy'
-};
+async function fetchAdminUsers() {
+    const data = await api('/admin/users');
+    state.admin.users = data.users;
+    return data.users;
+}
 
-function getRatingLabel(rating) {
-    return RATING_LABELS[rating] || null;
+async function fetchAdminStats() {
+    state.admin.stats = await api('/admin/stats');
+    return state.admin.stats;
 }
 
-function renderRatingSelector(prefix = 'entry') {
-    return `
-        <div class="rating-section">
-            <div class="rating-label">How big was this smile? (optional)</div>
-            <div class="rating-options">
-                <label class="rating-option">
-                    <input type="radio" name="${prefix}Rating" value="1">
-                    <span class="rating-btn" data-rating="1">Small win</span>
-                </label>
-                <label class="rating-option">
-                    <input type="radio" name="${prefix}Rating" value="2">
-                    <span class="rating-btn" data-rating="2">Made my day</span>
-                </label>
-                <label class="rating-option">
-                    <input type="radio" name="${prefix}Rating" value="3">
-                    <span class="rating-btn" data-rating="3">Pure joy</span>
-                </label>
-            </div>
-        </div>
-    `;
+async function adminDisableUser(id) {
+    return await api(`/admin/users/${id}/disable`, { method: 'POST' });
 }
 
-function getSelectedRating(prefix = 'entry') {
-    const selected = document.querySelector(`input[name="${prefix}Rating"]:checked`);
-    return selected ? parseInt(selected.value) : null;
+async function adminEnableUser(id) {
+    return await api(`/admin/users/${id}/enable`, { method: 'POST' });
+}
+
+async function adminForcePasswordReset(id) {
+    return await api(`/admin/users/${id}/force-password-reset`, { method: 'POST' });
 }
 
 // ============================================
-// CHARACTER COUNTER
+// ENCRYPTION
 // ============================================
-const MIN_CHARS = 100;
+// Opt-in end-to-end encryption of smile text (AES-GCM). The key is derived
+// from a passphrase with PBKDF2 and never leaves the browser. The server
+// keeps the salt and ENCRYPTION_CHECK encrypted with the key, to tell a
+// wrong passphrase from a right one. Dates, ratings, tags and photos are
+// not encrypted.
 
-function renderCharCounter(inputId) {
-    return `
-        <div class="char-counter" id="${inputId}Counter">
-            <div class="char-counter-bar">
-                <div class="char-counter-fill" id="${inputId}Fill"></div>
-            </div>
-            <span class="char-counter-text" id="${inputId}Text">0/${MIN_CHARS}</span>
-            <span class="char-counter-message" id="${inputId}Message">start writing...</span>
-        </div>
-    `;
+// Must match CIPHERTEXT_PREFIX in server/encryption.js
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+const ENCRYPTION_ITERATIONS = 600000;
+const ENCRYPTION_CHECK = '1 Smile a Day';
+const MIN_PASSPHRASE_LENGTH = 8;
+const UNREADABLE_TEXT = '[This smile could not be decrypted]';
+
+// Only ever in memory: the passphrase is asked for again on every visit
+let encryptionKey = null;
+
+function isEncryptionLocked() {
+    return !!(state.user && state.user.encryption && !encryptionKey);
 }
 
-function updateCharCounter(inputId) {
-    const input = document.getElementById(inputId);
-    if (!input) return;
-    
-    const length = input.value.length;
-    const percent = Math.min((length / MIN_CHARS) * 100, 100);
-    
-    const fill = document.getElementById(`${inputId}Fill`);
-    const text = document.getElementById(`${inputId}Text`);
-    const message = document.getElementById(`${inputId}Message`);
-    
-    if (!fill || !text || !message) return;
-    
-    fill.style.width = `${percent}%`;
-    text.textContent = `${length}/${MIN_CHARS}`;
-    
-    // Update classes and message based on progress
-    fill.classList.remove('almost', 'complete');
-    text.classList.remove('almost', 'complete');
-    
-    if (length >= MIN_CHARS) {
-        fill.classList.add('complete');
-        text.classList.add('complete');
-        message.textContent = 'beautiful.';
-    } else if (length >= MIN_CHARS * 0.6) {
-        fill.classList.add('almost');
-        text.classList.add('almost');
-        message.textContent = 'almost there, keep going...';
-    } else if (length >= MIN_CHARS * 0.3) {
-        message.textContent = 'you\'re getting there...';
-    } else if (length > 0) {
-        message.textContent = 'keep writing...';
-    } else {
-        message.textContent = 'start writing...';
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptWithKey(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return `${CIPHERTEXT_PREFIX}${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+async function decryptWithKey(key, text) {
+    const [iv, ciphertext] = text.slice(CIPHERTEXT_PREFIX.length).split(':');
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext));
+    return new TextDecoder().decode(plaintext);
+}
+
+async function encryptText(text) {
+    if (!state.user.encryption || typeof text !== 'string') return text;
+    if (!encryptionKey) {
+        throw new Error('Unlock your smiles first');
     }
+    return await encryptWithKey(encryptionKey, text);
 }
 
-function setupCharCounter(inputId) {
-    const input = document.getElementById(inputId);
-    if (input) {
-        input.addEventListener('input', () => updateCharCounter(inputId));
-        // Initialize counter
-        updateCharCounter(inputId);
+// Plaintext (smiles from before encryption was turned on) comes back as is
+async function decryptText(text) {
+    if (typeof text !== 'string' || !text.startsWith(CIPHERTEXT_PREFIX)) return text;
+    if (!encryptionKey) return UNREADABLE_TEXT;
+
+    try {
+        return await decryptWithKey(encryptionKey, text);
+    } catch (error) {
+        return UNREADABLE_TEXT;
     }
 }
 
-function isMinCharsReached(inputId) {
-    const input = document.getElementById(inputId);
-    return input && input.value.length >= MIN_CHARS;
+// Decrypt an entry, smile or revision in place, with the smiles listed under it
+async function decryptEntry(entry) {
+    if (!entry) return entry;
+
+    entry.text = await decryptText(entry.text);
+    for (const smile of [...(entry.smiles || []), ...(entry.additionalSmiles || [])]) {
+        smile.text = await decryptText(smile.text);
+    }
+    return entry;
+}
+
+// Text and tags of a smile as they're sent. The server can't find the
+// #hashtags in encrypted text, so they go along as tags (tags = undefined
+// keeps the entry's tags as they are).
+async function encryptSmile(text, tags) {
+    if (!state.user.encryption) return { text, tags };
+
+    return {
+        text: await encryptText(text.trim()),
+        tags: tags === undefined ? undefined : [...new Set([...tags, ...extractHashtags(text)])]
+    };
+}
+
+// Encrypted accounts only take ciphertext, so backups are encrypted on the way in
+async function encryptBackup(backup) {
+    if (!state.user.encryption || !backup || typeof backup.entries !== 'object' || backup.entries === null) {
+        return backup;
+    }
+
+    const encryptOne = async smile => smile && typeof smile.text === 'string'
+        ? { ...smile, text: await encryptText(smile.text.trim()) }
+        : smile;
+
+    const entries = {};
+    for (const [date, entry] of Object.entries(backup.entries)) {
+        entries[date] = await encryptOne(entry);
+        if (entry && Array.isArray(entry.additionalSmiles)) {
+            entries[date].additionalSmiles = await Promise.all(entry.additionalSmiles.map(encryptOne));
+        }
+    }
+    return { ...backup, entries };
+}
+
+async function unlockEncryption(passphrase) {
+    const { salt, iterations, check } = state.user.encryption;
+    const key = await deriveEncryptionKey(passphrase, salt, iterations);
+
+    let checked = null;
+    try {
+        checked = await decryptWithKey(key, check);
+    } catch (error) {
+        // A wrong key fails GCM authentication
+    }
+    if (checked !== ENCRYPTION_CHECK) {
+        throw new Error('Wrong passphrase');
+    }
+    encryptionKey = key;
+}
+
+async function enableEncryption(passphrase) {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveEncryptionKey(passphrase, salt, ENCRYPTION_ITERATIONS);
+
+    const data = await api('/auth/encryption', {
+        method: 'POST',
+        body: JSON.stringify({
+            salt,
+            iterations: ENCRYPTION_ITERATIONS,
+            check: await encryptWithKey(key, ENCRYPTION_CHECK)
+        })
+    });
+
+    encryptionKey = key;
+    state.user.encryption = data.encryption;
+    return data;
+}
+
+// Encrypt the smiles (and earlier versions of them) still stored in
+// plaintext, a batch at a time. Can be stopped and picked up again. A
+// smile's #hashtags go along, as the server can't find them in ciphertext.
+async function encryptHistory(onProgress) {
+    const encryptItem = async item => ({ id: item.id, text: await encryptText(item.text) });
+    const encryptEntry = async item => ({ ...(await encryptItem(item)), tags: extractHashtags(item.text) });
+
+    while (true) {
+        const batch = await fetchUnencrypted();
+        if (batch.entries.length === 0 && batch.revisions.length === 0) break;
+
+        const result = await api('/entries/action/encrypt', {
+            method: 'POST',
+            body: JSON.stringify({
+                entries: await Promise.all(batch.entries.map(encryptEntry)),
+                revisions: await Promise.all(batch.revisions.map(encryptItem))
+            })
+        });
+        state.encryptionPending = result.remaining;
+        onProgress(result.remaining);
+
+        if (result.encrypted === 0) {
+            throw new Error('Some smiles could not be encrypted');
+        }
+    }
+}
+
+// The server's search index only holds ciphertext, so encrypted accounts
+// search here, over a decrypted export: every word must start a word of
+// the smile, as with the server's search. Newest first.
+async function searchEncryptedEntries({ query, from, to, rating }) {
+    const terms = query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    if (terms.length === 0) return [];
+
+    const params = new URLSearchParams({ format: 'json' });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (rating) params.set('rating', rating);
+    const backup = await api(`/entries/action/export?${params}`);
+
+    const results = [];
+    for (const [date, entry] of Object.entries(backup.entries)) {
+        for (const smile of [entry, ...(entry.additionalSmiles || [])]) {
+            if (smile.skipped || !smile.text) continue;
+            if (rating && smile.rating !== parseInt(rating)) continue;
+
+            const text = await decryptText(smile.text);
+            const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+            if (terms.every(term => words.some(word => word.startsWith(term)))) {
+                results.push({ date, text, rating: smile.rating, snippet: buildSnippet(text, terms) });
+            }
+        }
+    }
+
+    return results.sort((a, b) => b.date.localeCompare(a.date)).slice(0, 50);
+}
+
+// About 16 words from the first match on, with matches between the markers
+// the server's snippets use
+function buildSnippet(text, terms) {
+    const words = text.split(/\s+/);
+    const isMatch = word => {
+        const normalized = word.toLowerCase().replace(/^[^\p{L}\p{N}_]+/u, '');
+        return terms.some(term => normalized.startsWith(term));
+    };
+
+    const start = Math.max(words.findIndex(isMatch) - 4, 0);
+    const end = Math.min(start + 16, words.length);
+    const snippet = words.slice(start, end).map(word => isMatch(word) ? `\u0002${word}\u0003` : word).join(' ');
+    return `${start > 0 ? '…' : ''}${snippet}${end < words.length ? '…' : ''}`;
 }
 
 // ============================================
-// UI: AUTH SCREEN
+// OFFLINE QUEUE
 // ============================================
-// Example smiles for marquee background
-const EXAMPLE_SMILES = [
-    "I spoke with my best friend today",
-    "A stranger held the door for me",
-    "I made a sandwich that was delicious",
-    "My dog was excited to see me",
-    "I finished a book I've been reading",
-    "The sunset looked incredible",
-    "Someone complimented my shirt",
-    "I went for a drive blasting music",
-    "My coffee was perfect this morning",
-    "I finally fixed that bug",
-    "A kid waved at me from a car",
-    "I took a really good nap",
-    "My mom called just to say hi",
-    "I found money in my old jacket",
-    "The first bite of pizza was amazing",
-    "I laughed until my stomach hurt",
-    "A song I love came on the radio",
-    "I got a window seat on the train",
-    "My plant grew a new leaf",
-    "I made someone laugh today",
-    "The shower was the perfect temperature",
-    "I beat my high score",
-    "A friend sent me a meme",
-    "I woke up before my alarm"
-];
+// Entries written offline wait in IndexedDB until the connection returns
+const OFFLINE_DB_NAME = 'smile-offline';
+const OFFLINE_STORE = 'queue';
 
-function renderMarqueeBackground() {
-    // Create enough rows to fill the viewport (approximately 25-30 rows)
-    const rows = [];
-    for (let r = 0; r < 28; r++) {
-        // Shuffle and duplicate for seamless loop
-        const shuffled = [...EXAMPLE_SMILES].sort(() => Math.random() - 0.5);
-        const items = [...shuffled, ...shuffled].map(smile => 
-            `<span class="marquee-item">${smile}</span>`
-        ).join('');
-        rows.push(`<div class="marquee-row">${items}</div>`);
+let syncInProgress = false;
+
+function openOfflineDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withOfflineStore(mode, action) {
+    const database = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(OFFLINE_STORE, mode);
+        const request = action(transaction.objectStore(OFFLINE_STORE));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+async function getQueuedEntries() {
+    if (!state.user || !('indexedDB' in window)) return [];
+    const items = await withOfflineStore('readonly', store => store.getAll());
+    return items
+        .filter(item => item.userId === state.user.id)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function putQueuedEntry(item) {
+    await withOfflineStore('readwrite', store => store.put(item));
+}
+
+async function deleteQueuedEntry(key) {
+    await withOfflineStore('readwrite', store => store.delete(key));
+}
+
+// Drop everything this user still has waiting to sync
+async function clearOfflineQueue() {
+    const items = await getQueuedEntries();
+    await Promise.all(items.map(item => deleteQueuedEntry(item.key)));
+    state.offlineQueue = [];
+}
+
+// Show a queued entry right away, as if the server had it
+function applyQueuedEntry(entry) {
+    const skipped = !!entry.skipped;
+    state.calendarEntries[entry.date] = {
+        text: skipped ? null : entry.text,
+        rating: skipped ? null : entry.rating,
+        tags: skipped ? [] : entry.tags || [],
+        skipped,
+        pending: true
+    };
+
+    if (state.dashboard) {
+        state.dashboard.missedDays = state.dashboard.missedDays.filter(date => date !== entry.date);
+        if (entry.date === state.dashboard.today) {
+            state.dashboard.todayEntry = { date: entry.date, text: entry.text, rating: entry.rating, tags: entry.tags, skipped };
+        }
     }
-    return `<div class="marquee-background">${rows.join('')}</div>`;
 }
 
-function renderAuthScreen() {
-    const formTitle = state.isSignUp ? 'Sign Up' : 'Log In';
-    const toggleText = state.isSignUp ? 'Already have an account? Log in' : 'New? Sign up';
+async function refreshOfflineState() {
+    try {
+        const items = await getQueuedEntries();
+        state.offlineQueue = items;
+        items.filter(item => !item.conflict && !item.failed).forEach(applyQueuedEntry);
+    } catch (error) {
+        console.error('Failed to read offline queue:', error);
+    }
+}
 
-    return `
-        <div class="auth-screen">
-            <div class="auth-quote">
-                <div class="auth-quote-text">
-                    86,400 seconds in a day.<br>
-                    A smile takes less than one.
+// Replay queued entries. Conflicts and rejected entries stay in the queue,
+// flagged, until the user decides what to do with them.
+async function syncOfflineQueue() {
+    if (syncInProgress || !state.user || !navigator.onLine || isEncryptionLocked()) return;
+    syncInProgress = true;
+    let synced = 0;
+
+    try {
+        const items = (await getQueuedEntries()).filter(item => !item.conflict && !item.failed);
+
+        for (const item of items) {
+            try {
+                const data = await postEntry({
+                    date: item.date,
+                    text: item.text,
+                    rating: item.rating,
+                    tags: item.tags,
+                    skipped: item.skipped,
+                    baseUpdatedAt: item.baseUpdatedAt
+                });
+                celebrate(data.achievements);
+                await deleteQueuedEntry(item.key);
+                synced++;
+            } catch (error) {
+                if (error.offline) break;
+                if (error.status === 409) {
+                    const conflict = await decryptEntry(error.data.entry);
+                    await putQueuedEntry({ ...item, conflict: conflict || { skipped: false, text: null } });
+                } else if (error.status === 400) {
+                    await putQueuedEntry({ ...item, failed: error.message });
+                } else {
+                    break;
+                }
+            }
+        }
+    } finally {
+        syncInProgress = false;
+    }
+
+    if (synced > 0 && state.dashboard && !state.showProfile) {
+        await loadDashboard();
+    } else {
+        await refreshOfflineState();
+    }
+    render();
+}
+
+async function resolveQueuedEntry(key, keepMine) {
+    const item = state.offlineQueue.find(queued => queued.key === key);
+    if (!item) return;
+
+    try {
+        if (keepMine) {
+            // Based on the version we just saw, so it can't clobber anything newer
+            await postEntry({
+                date: item.date,
+                text: item.text,
+                rating: item.rating,
+                tags: item.tags,
+                skipped: item.skipped,
+                baseUpdatedAt: item.conflict ? item.conflict.updatedAt || null : null
+            });
+        }
+        await deleteQueuedEntry(key);
+        await loadDashboard();
+        render();
+    } catch (error) {
+        alert('Failed to resolve: ' + error.message);
+    }
+}
+
+function renderSyncStatus() {
+    const queue = state.offlineQueue || [];
+    if (queue.length === 0) return '';
+
+    const pending = queue.filter(item => !item.conflict && !item.failed);
+    const issues = queue.filter(item => item.conflict || item.failed);
+
+    const describe = (entry) => entry.skipped
+        ? '<em>— Day skipped —</em>'
+        : escapeHtml(entry.text || '');
+
+    const issueCards = issues.map(item => `
+        <div class="sync-issue">
+            <div class="sync-issue-date">${formatDateForDisplay(item.date)}</div>
+            ${item.conflict ? `
+                <div class="sync-issue-message">This day was changed on another device while you were offline.</div>
+                <div class="sync-compare">
+                    <div>
+                        <div class="sync-compare-label">Your offline version</div>
+                        <div class="sync-compare-text">${describe(item)}</div>
+                    </div>
+                    <div>
+                        <div class="sync-compare-label">Saved version</div>
+                        <div class="sync-compare-text">${describe(item.conflict)}</div>
+                    </div>
                 </div>
-                <div class="auth-quote-stat">
-                    Find yours.
+                <div class="sync-issue-actions">
+                    <button onclick="resolveQueuedEntry('${item.key}', true)">Keep Mine</button>
+                    <button class="secondary-btn" onclick="resolveQueuedEntry('${item.key}', false)">Keep Saved</button>
                 </div>
-            </div>
-            <div class="auth-form">
-                <h2>${formTitle}</h2>
-                <div class="form-group">
-                    <label>Email</label>
-                    <input type="email" id="authEmail" placeholder="your@email.com" />
+            ` : `
+                <div class="sync-issue-message">Could not be saved: ${escapeHtml(item.failed)}</div>
+                <div class="sync-compare-text">${describe(item)}</div>
+                <div class="sync-issue-actions">
+                    <button class="secondary-btn" onclick="resolveQueuedEntry('${item.key}', false)">Discard</button>
                 </div>
-                <div class="form-group">
-                    <label>Password</label>
-                    <input type="password" id="authPassword" placeholder="••••••" />
+            `}
+        </div>
+    `).join('');
+
+    return `
+        <div class="sync-status">
+            ${pending.length > 0 ? `
+                <div class="sync-pending">
+                    ${pending.length === 1 ? '1 smile' : `${pending.length} smiles`} saved offline, waiting to sync
+                    ${navigator.onLine ? '<button class="sync-now" onclick="syncOfflineQueue()">Sync Now</button>' : ''}
                 </div>
-                <div id="authMessage"></div>
-                <button onclick="handleAuth()">${formTitle}</button>
-            </div>
-            <div class="auth-toggle">
-                <button onclick="toggleAuthMode()">${toggleText}</button>
-            </div>
+            ` : ''}
+            ${issueCards}
         </div>
     `;
 }
 
-async function handleAuth() {
-    const email = document.getElementById('authEmail').value;
-    const password = document.getElementById('authPassword').value;
-    const messageEl = document.getElementById('authMessage');
+// ============================================
+// DATE UTILITIES
+// ============================================
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Prefer the server's idea of today, which follows the user's timezone
+function getTodayString() {
+    if (state.dashboard && state.dashboard.today) {
+        return state.dashboard.today;
+    }
+    return formatDate(new Date());
+}
+
+function getBrowserTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getTimezoneOptions() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return [getBrowserTimezone() || 'UTC'];
+}
+
+function formatDateForDisplay(dateString) {
+    const date = new Date(dateString + 'T00:00:00');
+    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    return date.toLocaleDateString('en-US', options);
+}
+
+// ============================================
+// RATING HELPERS
+// ============================================
+const RATING_LABELS = {
+    1: 'Small win',
+    2: 'Made my day',
+    3: 'Pure joy'
+};
+
+function getRatingLabel(rating) {
+    return RATING_LABELS[rating] || null;
+}
+
+function renderRatingSelector(prefix = 'entry') {
+    return `
+        <div class="rating-section">
+            <div class="rating-label">How big was this smile? (optional)</div>
+            <div class="rating-options">
+                <label class="rating-option">
+                    <input type="radio" name="${prefix}Rating" value="1">
+                    <span class="rating-btn" data-rating="1">Small win</span>
+                </label>
+                <label class="rating-option">
+                    <input type="radio" name="${prefix}Rating" value="2">
+                    <span class="rating-btn" data-rating="2">Made my day</span>
+                </label>
+                <label class="rating-option">
+                    <input type="radio" name="${prefix}Rating" value="3">
+                    <span class="rating-btn" data-rating="3">Pure joy</span>
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+function getSelectedRating(prefix = 'entry') {
+    const selected = document.querySelector(`input[name="${prefix}Rating"]:checked`);
+    return selected ? parseInt(selected.value) : null;
+}
+
+// ============================================
+// TAG HELPERS
+// ============================================
+function renderTagInput(prefix = 'entry', tags = []) {
+    return `
+        <div class="tag-section">
+            <div class="rating-label">Tags (optional)</div>
+            <input type="text" id="${prefix}Tags" class="tag-input" placeholder="family, work, nature" value="${escapeHtml(tags.join(', '))}" />
+            <div class="tag-hint">#hashtags in your text are added automatically</div>
+        </div>
+    `;
+}
+
+// Tags typed into a tag input, split on commas and spaces
+function getEnteredTags(prefix = 'entry') {
+    const input = document.getElementById(`${prefix}Tags`);
+    if (!input) return [];
+
+    const tags = input.value
+        .split(/[\s,]+/)
+        .map(tag => tag.replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+function renderTagList(tags) {
+    if (!tags || tags.length === 0) return '';
+    return `
+        <div class="tag-list">
+            ${tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}
+        </div>
+    `;
+}
+
+// Same rules as extractHashtags() in server/tags.js
+function extractHashtags(text) {
+    const tags = new Set();
+    for (const match of (text || '').matchAll(/(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_-]+)/gu)) {
+        const tag = match[1].toLowerCase();
+        if (tag.length <= 32 && /\p{L}/u.test(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags];
+}
+
+// Hashtags are added by the server, so the editor only lists the tags that
+// aren't already in the text
+function getExplicitTags(text, tags) {
+    const hashtags = (text || '').toLowerCase().match(/#[\p{L}\p{N}_-]+/gu) || [];
+    return (tags || []).filter(tag => !hashtags.includes(`#${tag}`));
+}
+
+// ============================================
+// PHOTOS
+// ============================================
+// Must match MAX_PHOTO_BYTES in server/photos.js
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Photos need the auth header, so they're fetched as blobs and shown
+// through object URLs, kept per photo id for the session
+const photoUrls = new Map();
+
+function clearPhotoCache() {
+    photoUrls.forEach(url => URL.revokeObjectURL(url));
+    photoUrls.clear();
+}
+
+// A photo placeholder; loadPhotos() fills it in
+function renderPhoto(photo, thumb = false) {
+    if (!photo) return '';
+    return `<img class="entry-photo ${thumb ? 'thumb' : ''}" data-photo-id="${photo.id}" data-thumb="${thumb}" alt="Photo" />`;
+}
+
+async function loadPhotos(root) {
+    const images = root.querySelectorAll('img[data-photo-id]');
+
+    for (const img of images) {
+        const thumb = img.dataset.thumb === 'true';
+        const key = `${img.dataset.photoId}:${thumb}`;
+
+        try {
+            if (!photoUrls.has(key)) {
+                const blob = await api(`/entries/photos/${img.dataset.photoId}${thumb ? '/thumb' : ''}`, { responseType: 'blob' });
+                photoUrls.set(key, URL.createObjectURL(blob));
+            }
+            img.src = photoUrls.get(key);
+        } catch (error) {
+            img.remove();
+        }
+    }
+}
+
+// Replacing a photo keeps its id, so drop what we have for it
+function forgetPhoto(photo) {
+    if (!photo) return;
+    [true, false].forEach(thumb => {
+        const key = `${photo.id}:${thumb}`;
+        if (photoUrls.has(key)) {
+            URL.revokeObjectURL(photoUrls.get(key));
+            photoUrls.delete(key);
+        }
+    });
+}
+
+// ============================================
+// CHARACTER COUNTER
+// ============================================
+const MIN_CHARS = 100;
+
+function renderCharCounter(inputId) {
+    return `
+        <div class="char-counter" id="${inputId}Counter">
+            <div class="char-counter-bar">
+                <div class="char-counter-fill" id="${inputId}Fill"></div>
+            </div>
+            <span class="char-counter-text" id="${inputId}Text">0/${MIN_CHARS}</span>
+            <span class="char-counter-message" id="${inputId}Message">start writing...</span>
+        </div>
+    `;
+}
+
+function updateCharCounter(inputId) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    
+    const length = input.value.length;
+    const percent = Math.min((length / MIN_CHARS) * 100, 100);
+    
+    const fill = document.getElementById(`${inputId}Fill`);
+    const text = document.getElementById(`${inputId}Text`);
+    const message = document.getElementById(`${inputId}Message`);
+    
+    if (!fill || !text || !message) return;
+    
+    fill.style.width = `${percent}%`;
+    text.textContent = `${length}/${MIN_CHARS}`;
+    
+    // Update classes and message based on progress
+    fill.classList.remove('almost', 'complete');
+    text.classList.remove('almost', 'complete');
+    
+    if (length >= MIN_CHARS) {
+        fill.classList.add('complete');
+        text.classList.add('complete');
+        message.textContent = 'beautiful.';
+    } else if (length >= MIN_CHARS * 0.6) {
+        fill.classList.add('almost');
+        text.classList.add('almost');
+        message.textContent = 'almost there, keep going...';
+    } else if (length >= MIN_CHARS * 0.3) {
+        message.textContent = 'you\'re getting there...';
+    } else if (length > 0) {
+        message.textContent = 'keep writing...';
+    } else {
+        message.textContent = 'start writing...';
+    }
+}
+
+function setupCharCounter(inputId) {
+    const input = document.getElementById(inputId);
+    if (input) {
+        input.addEventListener('input', () => updateCharCounter(inputId));
+        // Initialize counter
+        updateCharCounter(inputId);
+    }
+}
+
+function isMinCharsReached(inputId) {
+    const input = document.getElementById(inputId);
+    return input && input.value.length >= MIN_CHARS;
+}
+
+// ============================================
+// UI: AUTH SCREEN
+// ============================================
+// Example smiles for marquee background
+const EXAMPLE_SMILES = [
+    "I spoke with my best friend today",
+    "A stranger held the door for me",
+    "I made a sandwich that was delicious",
+    "My dog was excited to see me",
+    "I finished a book I've been reading",
+    "The sunset looked incredible",
+    "Someone complimented my shirt",
+    "I went for a drive blasting music",
+    "My coffee was perfect this morning",
+    "I finally fixed that bug",
+    "A kid waved at me from a car",
+    "I took a really good nap",
+    "My mom called just to say hi",
+    "I found money in my old jacket",
+    "The first bite of pizza was amazing",
+    "I laughed until my stomach hurt",
+    "A song I love came on the radio",
+    "I got a window seat on the train",
+    "My plant grew a new leaf",
+    "I made someone laugh today",
+    "The shower was the perfect temperature",
+    "I beat my high score",
+    "A friend sent me a meme",
+    "I woke up before my alarm"
+];
+
+function renderMarqueeBackground() {
+    // Create enough rows to fill the viewport (approximately 25-30 rows)
+    const rows = [];
+    for (let r = 0; r < 28; r++) {
+        // Shuffle and duplicate for seamless loop
+        const shuffled = [...EXAMPLE_SMILES].sort(() => Math.random() - 0.5);
+        const items = [...shuffled, ...shuffled].map(smile => 
+            `<span class="marquee-item">${smile}</span>`
+        ).join('');
+        rows.push(`<div class="marquee-row">${items}</div>`);
+    }
+    return `<div class="marquee-background">${rows.join('')}</div>`;
+}
+
+function renderAuthScreen() {
+    if (state.authView === 'forgot') return renderForgotPassword();
+    if (state.authView === 'reset') return renderResetPassword();
+    if (state.authView === 'two-factor') return renderTwoFactorChallenge();
+
+    const formTitle = state.isSignUp ? 'Sign Up' : 'Log In';
+    const toggleText = state.isSignUp ? 'Already have an account? Log in' : 'New? Sign up';
+
+    return `
+        <div class="auth-screen">
+            <div class="auth-quote">
+                <div class="auth-quote-text">
+                    86,400 seconds in a day.<br>
+                    A smile takes less than one.
+                </div>
+                <div class="auth-quote-stat">
+                    Find yours.
+                </div>
+            </div>
+            <div class="auth-form">
+                <h2>${formTitle}</h2>
+                <div class="form-group">
+                    <label>Email</label>
+                    <input type="email" id="authEmail" placeholder="your@email.com" />
+                </div>
+                <div class="form-group">
+                    <label>Password</label>
+                    <input type="password" id="authPassword" placeholder="••••••" />
+                </div>
+                <div id="authMessage"></div>
+                <button onclick="handleAuth()">${formTitle}</button>
+            </div>
+            <div class="auth-toggle">
+                <button onclick="toggleAuthMode()">${toggleText}</button>
+                ${state.isSignUp ? '' : '<button onclick="showAuthView(\'forgot\')">Forgot password?</button>'}
+            </div>
+        </div>
+    `;
+}
+
+function renderForgotPassword() {
+    return `
+        <div class="auth-screen">
+            <div class="auth-form">
+                <h2>Forgot Password</h2>
+                <p class="auth-hint">Enter your email and we'll send you a link to choose a new password.</p>
+                <div class="form-group">
+                    <label>Email</label>
+                    <input type="email" id="forgotEmail" placeholder="your@email.com" />
+                </div>
+                <div id="authMessage"></div>
+                <button onclick="handleForgotPassword()">Send Reset Link</button>
+            </div>
+            <div class="auth-toggle">
+                <button onclick="showAuthView(null)">Back to log in</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderResetPassword() {
+    return `
+        <div class="auth-screen">
+            <div class="auth-form">
+                <h2>Choose a New Password</h2>
+                <div class="form-group">
+                    <label>New Password</label>
+                    <input type="password" id="resetPassword" placeholder="••••••" />
+                </div>
+                <div class="form-group">
+                    <label>Confirm New Password</label>
+                    <input type="password" id="resetConfirm" placeholder="••••••" />
+                </div>
+                <div id="authMessage"></div>
+                <button onclick="handleResetPassword()">Reset Password</button>
+            </div>
+            <div class="auth-toggle">
+                <button onclick="showAuthView(null)">Back to log in</button>
+            </div>
+        </div>
+    `;
+}
+
+// Show an auth error; when rate limited (429), the form's button stays
+// disabled until the server's Retry-After has passed
+function showAuthError(messageEl, error) {
+    messageEl.innerHTML = `<div class="error">${error.message}</div>`;
+
+    const retryAfter = error.status === 429 && error.data ? error.data.retryAfter : 0;
+    const button = messageEl.nextElementSibling;
+    if (retryAfter && button) {
+        button.disabled = true;
+        setTimeout(() => { button.disabled = false; }, retryAfter * 1000);
+    }
+}
+
+function renderTwoFactorChallenge() {
+    return `
+        <div class="auth-screen">
+            <div class="auth-form">
+                <h2>Two-Factor Login</h2>
+                <p class="auth-hint">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+                <div class="form-group">
+                    <label>Code</label>
+                    <input type="text" id="twoFactorCode" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" />
+                </div>
+                <div id="authMessage"></div>
+                <button onclick="handleTwoFactorLogin()">Verify</button>
+            </div>
+            <div class="auth-toggle">
+                <button onclick="showAuthView(null)">Back to log in</button>
+            </div>
+        </div>
+    `;
+}
+
+function showAuthView(view) {
+    state.authView = view;
+    state.isSignUp = false;
+    state.twoFactorChallenge = null;
+    render();
+}
+
+async function handleForgotPassword() {
+    const email = document.getElementById('forgotEmail').value;
+    const messageEl = document.getElementById('authMessage');
+
+    if (!email) {
+        messageEl.innerHTML = '<div class="error">Email required</div>';
+        return;
+    }
+
+    try {
+        const data = await requestPasswordReset(email);
+        messageEl.innerHTML = `<div class="success">${data.message}</div>`;
+    } catch (error) {
+        showAuthError(messageEl, error);
+    }
+}
+
+async function handleResetPassword() {
+    const newPassword = document.getElementById('resetPassword').value;
+    const confirmPassword = document.getElementById('resetConfirm').value;
+    const messageEl = document.getElementById('authMessage');
+
+    if (newPassword !== confirmPassword) {
+        messageEl.innerHTML = '<div class="error">Passwords do not match</div>';
+        return;
+    }
+
+    if (newPassword.length < 6) {
+        messageEl.innerHTML = '<div class="error">Password must be at least 6 characters</div>';
+        return;
+    }
+
+    try {
+        const data = await resetPassword(state.resetToken, newPassword);
+        state.resetToken = null;
+        state.authView = null;
+        render();
+        document.getElementById('authMessage').innerHTML = `<div class="success">${data.message}</div>`;
+    } catch (error) {
+        messageEl.innerHTML = `<div class="error">${error.message}</div>`;
+    }
+}
+
+async function handleAuth() {
+    const email = document.getElementById('authEmail').value;
+    const password = document.getElementById('authPassword').value;
+    const messageEl = document.getElementById('authMessage');
+
+    try {
+        if (state.isSignUp) {
+            await register(email, password);
+            // Show onboarding tour for new users
+            state.showTour = true;
+            state.tourStep = 0;
+            render();
+        } else {
+            await login(email, password);
+            if (state.twoFactorChallenge) {
+                state.authView = 'two-factor';
+                render();
+                return;
+            }
+            await finishLogin();
+        }
+    } catch (error) {
+        showAuthError(messageEl, error);
+    }
+}
+
+async function handleTwoFactorLogin() {
+    const value = document.getElementById('twoFactorCode').value.trim();
+    let messageEl = document.getElementById('authMessage');
+
+    if (!value) {
+        messageEl.innerHTML = '<div class="error">Code required</div>';
+        return;
+    }
+
+    try {
+        const data = await completeTwoFactorLogin(parseSecondFactor(value));
+        state.authView = null;
+        await finishLogin();
+        if (data.recoveryCodesRemaining <= 2) {
+            alert(`You have ${data.recoveryCodesRemaining} recovery ${data.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left. Create new ones in your profile.`);
+        }
+    } catch (error) {
+        // The challenge lasts a few minutes: start over from the password
+        if (error.data && error.data.code === 'challenge_expired') {
+            showAuthView(null);
+            messageEl = document.getElementById('authMessage');
+        }
+        showAuthError(messageEl, error);
+    }
+}
+
+async function finishLogin() {
+    if (!isEncryptionLocked()) {
+        await loadDashboard();
+    }
+    render();
+    syncOfflineQueue();
+}
+
+function toggleAuthMode() {
+    state.isSignUp = !state.isSignUp;
+    render();
+}
+
+// Encrypted accounts need the passphrase before anything can be shown
+function renderUnlockScreen() {
+    return `
+        <div class="auth-screen">
+            <div class="auth-form">
+                <h2>Unlock</h2>
+                <p class="auth-hint">Enter your encryption passphrase. It never leaves this device.</p>
+                <div class="form-group">
+                    <label>Passphrase</label>
+                    <input type="password" id="unlockPassphrase" placeholder="••••••••" />
+                </div>
+                <div id="unlockMessage"></div>
+                <button onclick="handleUnlock()">Unlock</button>
+            </div>
+        </div>
+    `;
+}
+
+async function handleUnlock() {
+    const passphrase = document.getElementById('unlockPassphrase').value;
+    const messageEl = document.getElementById('unlockMessage');
+
+    if (!passphrase) {
+        messageEl.innerHTML = '<div class="error">Passphrase required</div>';
+        return;
+    }
+
+    try {
+        await unlockEncryption(passphrase);
+    } catch (error) {
+        messageEl.innerHTML = `<div class="error">${error.message}</div>`;
+        return;
+    }
+
+    await loadDashboard();
+    render();
+    syncOfflineQueue();
+}
+
+// ============================================
+// ONBOARDING TOUR
+// ============================================
+const TOUR_STEPS = [
+    {
+        icon: '👋',
+        title: 'Welcome',
+        text: `You just took the first step toward a <strong>happier mindset</strong>.<br><br>This isn't just another app. It's a daily practice that will change how you see your life.`
+    },
+    {
+        icon: '🌍',
+        title: 'The Problem',
+        text: `We live in a world that amplifies the negative. Bad news spreads faster. Complaints feel easier. <strong>Our brains are wired to remember what went wrong.</strong><br><br>But what if you could rewire that?`
+    },
+    {
+        icon: '✨',
+        title: 'The Solution',
+        text: `Every day, you'll log <strong>just one thing</strong> that made you smile.<br><br>Not three. Not five. Just one.<br><br>Because even on your worst days, there's always <em>something</em>.`
+    },
+    {
+        icon: '📝',
+        title: 'The Rules',
+        text: `No likes. No followers. No audience.<br><br><strong>Just your words (and the odd photo). For you.</strong><br><br>This is a private space for honest reflection. No one sees it but you.`
+    },
+    {
+        icon: '🔥',
+        title: 'The Streak',
+        text: `Build a streak by logging every day. Miss a day? <strong>You'll need to fill it in before moving on.</strong><br><br>Because the habit matters. The reflection matters. Even looking back at a hard day and finding the light — that matters.`
+    },
+    {
+        icon: '📅',
+        title: 'The Proof',
+        text: `Over time, your calendar will fill with moments of joy. Scroll back through months of entries and see the pattern:<br><br><strong>Your life has more good in it than you think.</strong>`
+    },
+    {
+        final: true,
+        title: 'One Last Thing',
+        quote: `"A smile is the light in your window that tells others there is a caring, sharing person inside."`,
+        author: 'Denis Waitley'
+    }
+];
+
+function renderTour() {
+    const step = TOUR_STEPS[state.tourStep];
+    const isLast = state.tourStep === TOUR_STEPS.length - 1;
+    const isFirst = state.tourStep === 0;
+
+    let stepContent = '';
+    
+    if (step.final) {
+        stepContent = `
+            <div class="tour-step active final">
+                <div class="tour-title">${step.title}</div>
+                <div class="tour-quote">${step.quote}</div>
+                <div class="tour-quote-author">— ${step.author}</div>
+                <div class="tour-actions">
+                    <button onclick="completeTour()">Begin Your Journey</button>
+                </div>
+            </div>
+        `;
+    } else {
+        stepContent = `
+            <div class="tour-step active">
+                <div class="tour-icon">${step.icon}</div>
+                <div class="tour-title">${step.title}</div>
+                <div class="tour-text">${step.text}</div>
+                <div class="tour-actions">
+                    ${!isFirst ? '<button class="secondary-btn" onclick="prevTourStep()">Back</button>' : ''}
+                    <button onclick="nextTourStep()">${isLast ? 'Finish' : 'Next'}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Progress dots
+    const dots = TOUR_STEPS.map((_, i) => {
+        let className = 'tour-dot';
+        if (i === state.tourStep) className += ' active';
+        else if (i < state.tourStep) className += ' completed';
+        return `<div class="${className}"></div>`;
+    }).join('');
+
+    return `
+        <div class="tour-overlay">
+            <div class="tour-container">
+                ${stepContent}
+                <div class="tour-progress">
+                    ${dots}
+                </div>
+                ${!step.final ? '<button class="tour-skip" onclick="completeTour()">Skip tour</button>' : ''}
+            </div>
+        </div>
+    `;
+}
+
+function nextTourStep() {
+    if (state.tourStep < TOUR_STEPS.length - 1) {
+        state.tourStep++;
+        render();
+    }
+}
+
+function prevTourStep() {
+    if (state.tourStep > 0) {
+        state.tourStep--;
+        render();
+    }
+}
+
+async function completeTour() {
+    state.showTour = false;
+    state.tourStep = 0;
+    await loadDashboard();
+    render();
+}
+
+// ============================================
+// UI: DASHBOARD
+// ============================================
+async function loadDashboard() {
+    state.loading = true;
+    render();
+    
+    try {
+        await fetchDashboard();
+        await fetchCalendarEntries();
+        await refreshOfflineState();
+        await fetchTags().catch(error => console.error('Failed to load tags:', error));
+        await fetchMemories().catch(error => console.error('Failed to load memories:', error));
+    } finally {
+        state.loading = false;
+    }
+}
+
+// Until the address is confirmed, with a way to get a new link
+function renderEmailBanner() {
+    if (state.user.emailVerified) return '';
+
+    return `
+        <div class="email-banner">
+            <span>Please confirm your email address. Check ${escapeHtml(state.user.email)} for our link.</span>
+            <button class="email-banner-resend" onclick="handleResendVerification(this)">Send New Link</button>
+        </div>
+    `;
+}
+
+async function handleResendVerification(button) {
+    try {
+        await resendVerification();
+        button.textContent = 'Link Sent';
+        button.disabled = true;
+    } catch (error) {
+        alert('Failed to send link: ' + error.message);
+    }
+}
+
+function renderDashboard() {
+    if (state.loading || !state.dashboard) {
+        return '<div class="loading">Loading</div>';
+    }
+
+    const { streak, streakFreezes, missedDays, todayEntry, totalEntries, today } = state.dashboard;
+    const streakEmoji = streak > 0 ? '🔥' : '⊘';
+    const oldestMissedDay = missedDays.length > 0 ? missedDays[0] : null;
+
+    let mainSection = '';
+    
+    if (oldestMissedDay) {
+        // Show backfill section
+        mainSection = `
+            <div class="backfill-section">
+                <h2>Before you continue...</h2>
+                <div class="backfill-date">${formatDateForDisplay(oldestMissedDay)}</div>
+                <div class="backfill-message">
+                    You missed logging this day. What made you smile?
+                </div>
+                <textarea id="backfillInput" placeholder="What made you smile that day..." oninput="updateCharCounter('backfillInput')"></textarea>
+                ${renderCharCounter('backfillInput')}
+                ${renderRatingSelector('backfill')}
+                ${renderTagInput('backfill')}
+                <button onclick="handleBackfillEntry('${oldestMissedDay}')">Save Smile</button>
+                <div class="backfill-options">
+                    <button class="backfill-options-toggle" onclick="toggleBackfillOptions()">▸ Options</button>
+                    <div class="backfill-options-content" id="backfillOptionsContent">
+                        <button class="skip-day-btn" onclick="handleSkipDay('${oldestMissedDay}')">Nothing made me smile that day</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    } else if (todayEntry && !todayEntry.skipped) {
+        // Show today's entry (already logged)
+        const ratingLabel = getRatingLabel(todayEntry.rating);
+        const moreSmiles = (todayEntry.smileCount || 1) - 1;
+        mainSection = `
+            <div class="entry-section">
+                <h2>Today's Smile</h2>
+                <div class="entry-date">${today}</div>
+                <div class="entry-view">${escapeHtml(todayEntry.text)}</div>
+                ${ratingLabel ? `<div class="rating-display">${ratingLabel}</div>` : ''}
+                ${renderTagList(todayEntry.tags)}
+                ${moreSmiles > 0 ? `
+                    <button class="more-smiles-link" onclick="openEntry('${today}')">
+                        + ${moreSmiles} more ${moreSmiles === 1 ? 'smile' : 'smiles'} today
+                    </button>
+                ` : ''}
+                ${state.user.multipleSmiles ? `
+                    <button class="secondary-btn" onclick="addSmileForDate('${today}')">Add Another Smile</button>
+                ` : ''}
+            </div>
+        `;
+    } else {
+        // Show entry form for today
+        mainSection = `
+            <div class="entry-section">
+                <h2>What made you smile today?</h2>
+                <div class="entry-date">${today}</div>
+                <textarea id="entryInput" placeholder="Write something that made you happy today..." oninput="updateCharCounter('entryInput')"></textarea>
+                ${renderCharCounter('entryInput')}
+                ${renderRatingSelector()}
+                ${renderTagInput()}
+                <button onclick="handleSaveEntry()" id="saveEntryBtn">Save Smile</button>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="dashboard active">
+            ${renderSyncStatus()}
+
+            ${renderEmailBanner()}
+
+            ${renderCelebrations()}
+
+            <div class="streak-box">
+                <div class="streak-number">${streak}</div>
+                <div class="streak-label">Day Streak</div>
+                <div class="streak-status ${streak > 0 ? 'active' : 'inactive'}">
+                    ${streakEmoji}
+                </div>
+                ${streakFreezes !== null && streakFreezes !== undefined ? `
+                    <div class="streak-freezes">❄ ${streakFreezes} ${streakFreezes === 1 ? 'freeze' : 'freezes'}</div>
+                ` : ''}
+                <button class="random-smile-btn" onclick="showRandomSmile()">Random Smile</button>
+            </div>
+
+            ${renderMemories()}
+
+            ${renderCalendar()}
+
+            ${renderSearchPanel()}
+
+            ${mainSection}
+
+                </div>
+            `;
+}
+
+// Only shown when an earlier year has something for today (or this week)
+function renderMemories() {
+    if (!state.memories || state.memories.entries.length === 0) {
+        return '';
+    }
+
+    const { match, entries } = state.memories;
+    const items = entries.map(entry => {
+        const ratingLabel = getRatingLabel(entry.rating);
+        const yearsAgo = entry.yearsAgo === 1 ? '1 year ago' : `${entry.yearsAgo} years ago`;
+        return `
+            <div class="memory" onclick="openEntry('${entry.date}')">
+                <div class="memory-date">
+                    ${yearsAgo} · ${formatDateForDisplay(entry.date)}
+                    ${ratingLabel ? `<span class="memory-rating">${ratingLabel}</span>` : ''}
+                </div>
+                ${renderPhoto(entry.photo, true)}
+                <div class="memory-text">${escapeHtml(entry.text)}</div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="memories-section">
+            <h2>${match === 'day' ? 'On This Day' : 'This Week, Years Ago'}</h2>
+            ${items}
+        </div>
+    `;
+}
+
+// ============================================
+// ACHIEVEMENTS
+// ============================================
+// Achievements unlocked by a save stay on the dashboard until dismissed
+function celebrate(achievements) {
+    if (achievements && achievements.length > 0) {
+        state.celebrations.push(...achievements);
+    }
+}
+
+function dismissCelebrations() {
+    state.celebrations = [];
+    render();
+}
+
+function renderCelebrations() {
+    if (state.celebrations.length === 0) return '';
+
+    return `
+        <div class="celebration">
+            <div class="celebration-label">Achievement Unlocked</div>
+            ${state.celebrations.map(achievement => `
+                <div class="celebration-badge">
+                    <div class="badge-name">🏆 ${escapeHtml(achievement.name)}</div>
+                    <div class="badge-description">${escapeHtml(achievement.description)}</div>
+                </div>
+            `).join('')}
+            <button class="secondary-btn" onclick="dismissCelebrations()">Nice</button>
+        </div>
+    `;
+}
+
+function renderBadges() {
+    if (state.achievements.length === 0) {
+        return '<p class="export-description">Badges could not be loaded.</p>';
+    }
+
+    const unlockedCount = state.achievements.filter(achievement => achievement.unlockedAt).length;
+
+    return `
+        <p class="export-description">${unlockedCount} of ${state.achievements.length} unlocked.</p>
+        <div class="badges-grid">
+            ${state.achievements.map(achievement => `
+                <div class="badge ${achievement.unlockedAt ? 'unlocked' : 'locked'}">
+                    <div class="badge-name">${achievement.unlockedAt ? '🏆' : '🔒'} ${escapeHtml(achievement.name)}</div>
+                    <div class="badge-description">${escapeHtml(achievement.description)}</div>
+                    ${achievement.unlockedAt ? `
+                        <div class="badge-date">${new Date(achievement.unlockedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}</div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// UI: CALENDAR
+// ============================================
+const CALENDAR_VIEWS = {
+    month: { label: 'Month', months: 1 },
+    quarter: { label: '3 Months', months: 3 },
+    year: { label: 'Year', months: 12 }
+};
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// The calendar view is remembered on this device
+function getSavedCalendarView() {
+    const view = localStorage.getItem('smileCalendarView');
+    return CALENDAR_VIEWS[view] ? view : 'month';
+}
+
+function toDateString(year, month, day) {
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// First and last day shown: the month of state.currentDate, the three
+// months ending with it, or its whole year
+function getCalendarRange() {
+    const year = state.currentDate.getFullYear();
+    const month = state.currentDate.getMonth();
+
+    if (state.calendarView === 'year') {
+        return { from: toDateString(year, 0, 1), to: toDateString(year, 11, 31) };
+    }
+
+    const first = new Date(year, month - CALENDAR_VIEWS[state.calendarView].months + 1, 1);
+    const last = new Date(year, month + 1, 0);
+    return {
+        from: toDateString(first.getFullYear(), first.getMonth(), 1),
+        to: toDateString(last.getFullYear(), last.getMonth(), last.getDate())
+    };
+}
+
+// How a calendar cell looks and whether it opens the entry modal
+function getCalendarDay(dateString, today) {
+    const entry = state.calendarEntries[dateString];
+    const hasEntry = !!entry;
+    const isSkipped = entry && entry.skipped;
+    const hasRealEntry = hasEntry && !isSkipped;
+    const rating = entry ? entry.rating : null;
+    const isTodayDate = dateString === today;
+    const isPending = entry && entry.pending;
+    const smileCount = entry && entry.smileCount ? entry.smileCount : 0;
+
+    // Check if date is in future
+    const isFuture = dateString > today;
+    const isPast = dateString < today;
+    const isFrozen = !hasEntry && state.dashboard && (state.dashboard.frozenDates || []).includes(dateString);
+
+    const classes = [];
+    let tooltip = '';
+    
+    if (isFuture) {
+        classes.push('future');
+    } else if (isSkipped) {
+        classes.push('skipped');
+        tooltip = 'Day skipped';
+    } else if (hasRealEntry) {
+        // Add rating class for heatmap coloring
+        if (rating) {
+            classes.push(`rating-${rating}`);
+            tooltip = getRatingLabel(rating);
+        } else {
+            classes.push('has-entry');
+            tooltip = 'Smile logged';
+        }
+    } else if (isFrozen && !state.calendarTag) {
+        classes.push('frozen');
+        tooltip = 'Covered by a streak freeze';
+    } else if (isPast && !isTodayDate && !state.calendarTag) {
+        // Past day with no entry
+        tooltip = 'No smile logged';
+    }
+    
+    if (isTodayDate) {
+        classes.push('today');
+        if (!hasRealEntry && !isSkipped) {
+            tooltip = 'Today - log your smile!';
+        }
+    }
+
+    if (smileCount > 1 && !isPending) {
+        tooltip = `${smileCount} smiles · ${tooltip}`;
+    }
+
+    if (entry && entry.tags && entry.tags.length > 0 && !isPending) {
+        tooltip += ' · ' + entry.tags.map(tag => `#${tag}`).join(' ');
+    }
+
+    if (isPending) {
+        classes.push('pending');
+        tooltip = 'Saved offline - waiting to sync';
+    }
+
+    return {
+        classes,
+        tooltip,
+        smileCount: isPending ? 0 : smileCount,
+        clickable: !isFuture && hasEntry
+    };
+}
+
+// One month as a 7-column grid (month is 0-based)
+function renderMonthGrid(year, month, today) {
+    const firstDay = new Date(year, month, 1);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const daysInPrevMonth = new Date(year, month, 0).getDate();
+    const startingDayOfWeek = firstDay.getDay();
+
+    const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+    let calendarDays = '';
+
+    // Day headers
+    for (let i = 0; i < 7; i++) {
+        calendarDays += `<div class="calendar-day-header">${dayNames[i]}</div>`;
+    }
+
+    // Previous month days
+    for (let i = startingDayOfWeek - 1; i >= 0; i--) {
+        const day = daysInPrevMonth - i;
+        calendarDays += `<div class="calendar-day other-month">${day}</div>`;
+    }
+
+    // Current month days
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateString = toDateString(year, month, day);
+        const { classes, tooltip, smileCount, clickable } = getCalendarDay(dateString, today);
+
+        // Determine click behavior
+        const clickHandler = clickable ? `onclick="openEntry('${dateString}')"` : '';
+        const cursor = clickable ? 'pointer' : 'default';
+        const tooltipAttr = tooltip ? `data-tooltip="${escapeHtml(tooltip)}"` : '';
+
+        calendarDays += `
+            <div class="calendar-day ${classes.join(' ')}" ${clickHandler} ${tooltipAttr} style="cursor: ${cursor}">
+                ${day}
+                ${smileCount > 1 ? `<span class="smile-count">${smileCount}</span>` : ''}
+            </div>
+        `;
+    }
+
+    // Next month days
+    const totalCells = Math.ceil((startingDayOfWeek + daysInMonth) / 7) * 7;
+    for (let day = 1; day <= totalCells - startingDayOfWeek - daysInMonth; day++) {
+        calendarDays += `<div class="calendar-day other-month">${day}</div>`;
+    }
+
+    return calendarDays;
+}
+
+// GitHub-style year: one column per week, Sunday at the top
+function renderYearHeatmap(year, today) {
+    const start = new Date(year, 0, 1);
+    start.setDate(start.getDate() - start.getDay());
+    const end = new Date(year, 11, 31);
+
+    const cells = [];
+    const monthStarts = [];
+    let column = 0;
+
+    for (const date = new Date(start); date <= end || date.getDay() !== 0; date.setDate(date.getDate() + 1)) {
+        if (date.getDay() === 0 && date > start) column++;
+
+        if (date.getFullYear() !== year) {
+            cells.push('<div class="heatmap-cell outside"></div>');
+            continue;
+        }
+
+        if (date.getDate() === 1) {
+            monthStarts.push({ month: date.getMonth(), column });
+        }
+
+        const dateString = toDateString(year, date.getMonth(), date.getDate());
+        const { classes, tooltip, clickable } = getCalendarDay(dateString, today);
+        const label = `${formatDateForDisplay(dateString)}${tooltip ? ` · ${tooltip}` : ''}`;
+
+        cells.push(`
+            <div class="heatmap-cell ${classes.join(' ')} ${clickable ? 'clickable' : ''}"
+                ${clickable ? `onclick="openEntry('${dateString}')"` : ''}
+                title="${escapeHtml(label)}"></div>
+        `);
+    }
+
+    const columns = column + 1;
+    const labels = monthStarts.map(({ month, column: start }) =>
+        `<div class="heatmap-month" style="grid-column: ${start + 1} / span 4">${MONTH_NAMES[month].slice(0, 3)}</div>`
+    ).join('');
+
+    return `
+        <div class="heatmap">
+            <div class="heatmap-months" style="grid-template-columns: repeat(${columns}, 1fr)">${labels}</div>
+            <div class="heatmap-grid" style="grid-template-columns: repeat(${columns}, 1fr)">${cells.join('')}</div>
+        </div>
+    `;
+}
+
+function renderCalendar() {
+    const year = state.currentDate.getFullYear();
+    const month = state.currentDate.getMonth();
+    const today = getTodayString();
+    const view = state.calendarView;
+
+    let title;
+    let body;
+
+    if (view === 'year') {
+        title = `${year}`;
+        body = renderYearHeatmap(year, today);
+    } else if (view === 'quarter') {
+        const months = [2, 1, 0].map(offset => new Date(year, month - offset, 1));
+        const first = months[0];
+        title = first.getFullYear() === year
+            ? `${MONTH_NAMES[first.getMonth()].slice(0, 3)} – ${MONTH_NAMES[month].slice(0, 3)} ${year}`
+            : `${MONTH_NAMES[first.getMonth()].slice(0, 3)} ${first.getFullYear()} – ${MONTH_NAMES[month].slice(0, 3)} ${year}`;
+        body = `
+            <div class="calendar-quarter">
+                ${months.map(date => `
+                    <div class="calendar-mini">
+                        <div class="calendar-mini-title">${MONTH_NAMES[date.getMonth()]}</div>
+                        <div class="calendar-grid">
+                            ${renderMonthGrid(date.getFullYear(), date.getMonth(), today)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } else {
+        title = `${MONTH_NAMES[month]} ${year}`;
+        body = `
+            <div class="calendar-grid">
+                ${renderMonthGrid(year, month, today)}
+            </div>
+        `;
+    }
+
+    const viewButtons = Object.entries(CALENDAR_VIEWS).map(([key, { label }]) =>
+        `<button class="${key === view ? 'active' : ''}" onclick="setCalendarView('${key}')">${label}</button>`
+    ).join('');
+
+    return `
+        <div class="calendar-section">
+            <h2>Your Smiles</h2>
+            ${renderTagFilter()}
+            <div class="calendar-views">${viewButtons}</div>
+            <div class="calendar-nav">
+                <button onclick="shiftCalendar(-1)">← Prev</button>
+                <div class="calendar-month">${title}</div>
+                <button onclick="shiftCalendar(1)">Next →</button>
+            </div>
+            ${body}
+            <div class="calendar-legend">
+                <div class="calendar-legend-item">
+                    <div class="legend-dot has-entry"></div>
+                    <span>Logged</span>
+                </div>
+                <div class="calendar-legend-item">
+                    <div class="legend-dot rating-1"></div>
+                    <span>Small win</span>
+                </div>
+                <div class="calendar-legend-item">
+                    <div class="legend-dot rating-2"></div>
+                    <span>Made my day</span>
+                </div>
+                <div class="calendar-legend-item">
+                    <div class="legend-dot rating-3"></div>
+                    <span>Pure joy</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Tag picker above the calendar; also narrows down the random smile
+function renderTagFilter() {
+    if (state.tags.length === 0 && !state.calendarTag) return '';
+
+    const options = state.tags.map(tag => `
+        <option value="${escapeHtml(tag.name)}" ${tag.name === state.calendarTag ? 'selected' : ''}>
+            #${escapeHtml(tag.name)} (${tag.count})
+        </option>
+    `).join('');
+
+    return `
+        <div class="tag-filter">
+            <select id="calendarTag" onchange="setCalendarTag(this.value)">
+                <option value="">All smiles</option>
+                ${options}
+            </select>
+        </div>
+    `;
+}
+
+async function setCalendarTag(tag) {
+    state.calendarTag = tag || null;
+    try {
+        await fetchCalendarEntries();
+    } catch (error) {
+        console.error('Failed to filter calendar:', error);
+    }
+    render();
+}
+
+async function setCalendarView(view) {
+    state.calendarView = view;
+    localStorage.setItem('smileCalendarView', view);
+    try {
+        await fetchCalendarEntries();
+    } catch (error) {
+        console.error('Failed to load calendar:', error);
+    }
+    render();
+}
+
+// Move back (-1) or forward (1) by the span of the current view
+async function shiftCalendar(direction) {
+    const months = CALENDAR_VIEWS[state.calendarView].months;
+    state.currentDate = new Date(
+        state.currentDate.getFullYear(),
+        state.currentDate.getMonth() + direction * months,
+        1
+    );
+    await fetchCalendarEntries();
+    render();
+}
+
+// ============================================
+// UI: SEARCH
+// ============================================
+function renderSearchPanel() {
+    const { query, from, to, rating } = state.search;
+    const ratingOptions = Object.entries(RATING_LABELS).map(([value, label]) =>
+        `<option value="${value}" ${String(rating) === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    return `
+        <div class="search-section">
+            <h2>Search Your Smiles</h2>
+            <form class="search-form" onsubmit="handleSearch(event)">
+                <input type="search" id="searchQuery" placeholder="that time the dog learned a trick..." value="${escapeHtml(query)}" />
+                <button type="submit">Search</button>
+            </form>
+            <div class="search-filters">
+                <label>From <input type="date" id="searchFrom" value="${from}" /></label>
+                <label>To <input type="date" id="searchTo" value="${to}" /></label>
+                <label>Rating
+                    <select id="searchRating">
+                        <option value="">Any</option>
+                        ${ratingOptions}
+                    </select>
+                </label>
+            </div>
+            <div id="searchResults">${renderSearchResults()}</div>
+        </div>
+    `;
+}
+
+function renderSearchResults() {
+    const { results } = state.search;
+    if (results === null) return '';
+
+    if (results.length === 0) {
+        return '<div class="search-empty">No smiles match that search.</div>';
+    }
+
+    return results.map(result => {
+        const ratingLabel = getRatingLabel(result.rating);
+        return `
+            <div class="search-result" onclick="openEntry('${result.date}')">
+                <div class="search-result-date">
+                    ${formatDateForDisplay(result.date)}
+                    ${ratingLabel ? `<span class="search-result-rating">${ratingLabel}</span>` : ''}
+                </div>
+                <div class="search-result-snippet">${highlightSnippet(result.snippet)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Snippets mark matches with control characters; escape first, then highlight
+function highlightSnippet(snippet) {
+    return escapeHtml(snippet || '')
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+}
+
+async function handleSearch(event) {
+    event.preventDefault();
+
+    state.search.query = document.getElementById('searchQuery').value.trim();
+    state.search.from = document.getElementById('searchFrom').value;
+    state.search.to = document.getElementById('searchTo').value;
+    state.search.rating = document.getElementById('searchRating').value;
+
+    const resultsEl = document.getElementById('searchResults');
+
+    if (!state.search.query) {
+        state.search.results = null;
+        resultsEl.innerHTML = '';
+        return;
+    }
+
+    try {
+        state.search.results = await searchEntries(state.search);
+        resultsEl.innerHTML = renderSearchResults();
+    } catch (error) {
+        resultsEl.innerHTML = `<div class="error">${error.message}</div>`;
+    }
+}
+
+// ============================================
+// ENTRY HANDLERS
+// ============================================
+async function handleSaveEntry() {
+    const text = document.getElementById('entryInput').value;
+    if (!text.trim()) {
+        alert('Write something before saving.');
+        return;
+    }
+    
+    if (text.length < MIN_CHARS) {
+        alert(`Keep going! You need at least ${MIN_CHARS} characters to save. You have ${text.length}.`);
+        return;
+    }
+    
+    const rating = getSelectedRating('entry');
+    const tags = getEnteredTags('entry');
+    
+    try {
+        const { queued } = await saveEntry(getTodayString(), text, rating, null, tags);
+        if (!queued) await loadDashboard();
+        render();
+    } catch (error) {
+        alert('Failed to save: ' + error.message);
+    }
+}
+
+async function handleBackfillEntry(dateString) {
+    const text = document.getElementById('backfillInput').value;
+    if (!text.trim()) {
+        alert('Write something before saving.');
+        return;
+    }
+    
+    if (text.length < MIN_CHARS) {
+        alert(`Keep going! You need at least ${MIN_CHARS} characters to save. You have ${text.length}.`);
+        return;
+    }
+    
+    const rating = getSelectedRating('backfill');
+    const tags = getEnteredTags('backfill');
+    
+    try {
+        const { queued } = await saveEntry(dateString, text, rating, null, tags);
+        if (!queued) await loadDashboard();
+        render();
+    } catch (error) {
+        alert('Failed to save: ' + error.message);
+    }
+}
+
+async function handleSkipDay(dateString) {
+    try {
+        const { queued } = await skipDay(dateString);
+        if (!queued) await loadDashboard();
+        render();
+    } catch (error) {
+        alert('Failed to skip: ' + error.message);
+    }
+}
+
+function toggleBackfillOptions() {
+    const content = document.getElementById('backfillOptionsContent');
+    const toggle = document.querySelector('.backfill-options-toggle');
+    content.classList.toggle('active');
+    toggle.textContent = content.classList.contains('active') ? '▾ Options' : '▸ Options';
+}
+
+// ============================================
+// MODALS
+// ============================================
+async function openEntry(dateString) {
+    let entry = state.calendarEntries[dateString];
+    if (!entry || entry.smileCount > 1) {
+        // Entries outside the visible calendar (e.g. from search) and days with
+        // several smiles are fetched on demand
+        try {
+            entry = await fetchEntry(dateString);
+        } catch (error) {
+            return;
+        }
+    }
+
+    state.modalEntry = {
+        date: dateString,
+        text: entry.text,
+        rating: entry.rating,
+        tags: entry.tags || [],
+        photo: entry.photo || null,
+        skipped: entry.skipped,
+        updatedAt: entry.updatedAt || null,
+        smiles: (entry.smiles || []).filter(smile => !smile.primary),
+        editing: null
+    };
+
+    const modal = document.getElementById('entryModal');
+    document.getElementById('modalDate').textContent = formatDateForDisplay(dateString);
+    
+    const textEl = document.getElementById('modalText');
+    const ratingEl = document.getElementById('modalRating');
+    
+    if (entry.skipped) {
+        textEl.textContent = '— Day skipped —';
+        textEl.classList.add('skipped');
+        ratingEl.classList.add('hidden');
+    } else {
+        textEl.textContent = entry.text;
+        textEl.classList.remove('skipped');
+        
+        // Show rating if present
+        const ratingLabel = getRatingLabel(entry.rating);
+        if (ratingLabel) {
+            ratingEl.textContent = ratingLabel;
+            ratingEl.classList.remove('hidden');
+        } else {
+            ratingEl.classList.add('hidden');
+        }
+    }
+
+    const photoEl = document.getElementById('modalPhoto');
+    photoEl.innerHTML = entry.skipped || !entry.photo ? '' : `
+        ${renderPhoto(entry.photo)}
+        <button class="photo-remove" onclick="handleRemovePhoto(null)">Remove Photo</button>
+    `;
+    document.getElementById('modalTags').innerHTML = entry.skipped ? '' : renderTagList(entry.tags);
+    document.getElementById('modalSmiles').innerHTML = renderModalSmiles();
+    loadPhotos(document.getElementById('modalView'));
+
+    document.getElementById('modalEditBtn').textContent = entry.skipped ? 'Write a Smile' : 'Edit';
+    const photoBtn = document.getElementById('modalPhotoBtn');
+    photoBtn.textContent = entry.photo ? 'Change Photo' : 'Add Photo';
+    photoBtn.classList.toggle('hidden', !!entry.skipped);
+    document.getElementById('modalAddBtn').classList.toggle('hidden', entry.skipped || !state.user.multipleSmiles);
+    showModalPane('modalView');
+    
+    modal.classList.add('active');
+}
+
+// The entry modal shows one of: the entry, the editor or its history
+function showModalPane(paneId) {
+    ['modalView', 'modalEditor', 'modalHistory'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== paneId);
+    });
+    document.getElementById('modalActions').classList.toggle('hidden', paneId !== 'modalView');
+}
+
+// The other smiles of the day, below the primary one
+function renderModalSmiles() {
+    const smiles = state.modalEntry.smiles;
+    if (smiles.length === 0) return '';
+
+    const items = smiles.map(smile => {
+        const ratingLabel = getRatingLabel(smile.rating);
+        return `
+            <div class="modal-smile">
+                ${renderPhoto(smile.photo, true)}
+                <div class="modal-smile-text">${escapeHtml(smile.text)}</div>
+                ${ratingLabel ? `<div class="rating-display">${ratingLabel}</div>` : ''}
+                ${renderTagList(smile.tags)}
+                <div class="modal-smile-actions">
+                    <button class="secondary-btn" onclick="editEntry(${smile.id})">Edit</button>
+                    <button class="secondary-btn" onclick="choosePhoto(${smile.id})">${smile.photo ? 'Change Photo' : 'Add Photo'}</button>
+                    ${smile.photo ? `<button class="secondary-btn" onclick="handleRemovePhoto(${smile.id})">Remove Photo</button>` : ''}
+                    <button class="secondary-btn" onclick="handleMakePrimary(${smile.id})">Make Primary</button>
+                    <button class="secondary-btn" onclick="handleDeleteSmile(${smile.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="modal-smiles-label">More smiles this day</div>
+        ${items}
+    `;
+}
+
+// Open the editor for the primary entry, or for one of the other smiles by id
+function editEntry(smileId = null) {
+    const entry = state.modalEntry;
+    if (!entry) return;
+
+    const smile = smileId ? entry.smiles.find(s => s.id === smileId) : entry;
+    entry.editing = smileId;
+    showEditor(smile.skipped ? '' : smile.text, smile.rating, getExplicitTags(smile.text, smile.tags));
+}
+
+function addSmileToEntry() {
+    if (!state.modalEntry) return;
+
+    state.modalEntry.editing = 'new';
+    showEditor('', null, []);
+}
+
+// Open a day and go straight to writing another smile for it
+async function addSmileForDate(date) {
+    await openEntry(date);
+    addSmileToEntry();
+}
+
+function showEditor(text, rating, tags) {
+    const editor = document.getElementById('modalEditor');
+    editor.innerHTML = `
+        <textarea id="editInput" placeholder="What made you smile that day..." oninput="updateCharCounter('editInput')">${escapeHtml(text || '')}</textarea>
+        ${renderCharCounter('editInput')}
+        ${renderRatingSelector('edit')}
+        ${renderTagInput('edit', tags)}
+        <div class="modal-actions">
+            <button onclick="handleSaveEdit()">Save Smile</button>
+            <button class="secondary-btn" onclick="showModalPane('modalView')">Cancel</button>
+        </div>
+    `;
+
+    if (rating) {
+        const ratingInput = editor.querySelector(`input[name="editRating"][value="${rating}"]`);
+        if (ratingInput) ratingInput.checked = true;
+    }
+
+    showModalPane('modalEditor');
+    setupCharCounter('editInput');
+}
+
+async function handleSaveEdit() {
+    const text = document.getElementById('editInput').value;
+    if (!text.trim()) {
+        alert('Write something before saving.');
+        return;
+    }
+
+    if (text.length < MIN_CHARS) {
+        alert(`Keep going! You need at least ${MIN_CHARS} characters to save. You have ${text.length}.`);
+        return;
+    }
+
+    const rating = getSelectedRating('edit');
+    const tags = getEnteredTags('edit');
+    const { date, editing } = state.modalEntry;
+
+    try {
+        if (editing !== null) {
+            if (editing === 'new') {
+                await addSmile(date, text, rating, tags);
+            } else {
+                await updateSmile(date, editing, text, rating, tags);
+            }
+            await refreshAfterEntryChange(date);
+            return;
+        }
+
+        const { queued } = await saveEntry(date, text, rating, state.modalEntry.updatedAt || null, tags);
+        if (queued) {
+            render();
+            await openEntry(date);
+        } else {
+            await refreshAfterEntryChange(date);
+        }
+    } catch (error) {
+        alert('Failed to save: ' + error.message);
+    }
+}
+
+async function showEntryHistory() {
+    const entry = state.modalEntry;
+    if (!entry) return;
+
+    const history = document.getElementById('modalHistory');
+    history.innerHTML = '<div class="loading">Loading</div>';
+    showModalPane('modalHistory');
+
+    let revisions;
+    try {
+        revisions = await fetchRevisions(entry.date);
+    } catch (error) {
+        history.innerHTML = `<div class="error">${error.message}</div>`;
+        return;
+    }
+
+    const items = revisions.map(revision => {
+        const ratingLabel = getRatingLabel(revision.rating);
+        const savedAt = revision.updatedAt ? new Date(revision.updatedAt).toLocaleString('en-US') : 'Unknown';
+        return `
+            <div class="revision">
+                <div class="revision-meta">
+                    Saved ${savedAt}
+                    ${revision.primary ? '' : '<span class="revision-rating">Other smile</span>'}
+                    ${ratingLabel ? `<span class="revision-rating">${ratingLabel}</span>` : ''}
+                </div>
+                <div class="revision-text ${revision.skipped ? 'skipped' : ''}">${revision.skipped ? '— Day skipped —' : escapeHtml(revision.text)}</div>
+                <button class="secondary-btn revision-restore" onclick="handleRestoreRevision(${revision.id})">Restore</button>
+            </div>
+        `;
+    }).join('');
+
+    history.innerHTML = `
+        ${items || '<div class="revision-empty">No earlier versions of this smile.</div>'}
+        <div class="modal-actions">
+            <button class="secondary-btn" onclick="showModalPane('modalView')">Back</button>
+        </div>
+    `;
+}
+
+async function handleRestoreRevision(revisionId) {
+    const date = state.modalEntry.date;
+    if (!confirm('Restore this version? The current version will be kept in the history.')) {
+        return;
+    }
+
+    try {
+        await restoreRevision(date, revisionId);
+        await refreshAfterEntryChange(date);
+    } catch (error) {
+        alert('Failed to restore: ' + error.message);
+    }
+}
+
+// Pick an image for the primary entry (null) or one of the other smiles
+function choosePhoto(smileId = null) {
+    state.modalEntry.photoTarget = smileId;
+    const input = document.getElementById('photoInput');
+    input.value = '';
+    input.click();
+}
+
+function getModalPhoto(smileId) {
+    const entry = state.modalEntry;
+    return smileId ? (entry.smiles.find(smile => smile.id === smileId) || {}).photo : entry.photo;
+}
+
+async function handlePhotoUpload(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    if (!PHOTO_TYPES.includes(file.type)) {
+        alert('Only JPEG, PNG, WebP and GIF images are allowed.');
+        return;
+    }
+
+    if (file.size > MAX_PHOTO_BYTES) {
+        alert(`Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB.`);
+        return;
+    }
+
+    const { date, photoTarget } = state.modalEntry;
+
+    try {
+        forgetPhoto(getModalPhoto(photoTarget));
+        await uploadPhoto(date, photoTarget, file);
+        await refreshAfterEntryChange(date);
+    } catch (error) {
+        alert('Failed to upload photo: ' + error.message);
+    }
+}
+
+async function handleRemovePhoto(smileId) {
+    const date = state.modalEntry.date;
+    if (!confirm('Remove this photo?')) {
+        return;
+    }
+
+    try {
+        forgetPhoto(getModalPhoto(smileId));
+        await removePhoto(date, smileId);
+        await refreshAfterEntryChange(date);
+    } catch (error) {
+        alert('Failed to remove photo: ' + error.message);
+    }
+}
+
+async function handleMakePrimary(smileId) {
+    const date = state.modalEntry.date;
+
+    try {
+        await setPrimarySmile(date, smileId);
+        await refreshAfterEntryChange(date);
+    } catch (error) {
+        alert('Failed to update: ' + error.message);
+    }
+}
+
+async function handleDeleteSmile(smileId) {
+    const date = state.modalEntry.date;
+    if (!confirm('Delete this smile? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        await deleteSmile(date, smileId);
+        await refreshAfterEntryChange(date);
+    } catch (error) {
+        alert('Failed to delete: ' + error.message);
+    }
+}
+
+// Reload dashboard data after an entry changed, then show it again
+async function refreshAfterEntryChange(date) {
+    await fetchDashboard();
+    await fetchTags().catch(error => console.error('Failed to load tags:', error));
+    await fetchMemories().catch(error => console.error('Failed to load memories:', error));
+    await fetchCalendarEntries();
+    render();
+    await openEntry(date);
+}
+
+function closeModal(modalId) {
+    document.getElementById(modalId).classList.remove('active');
+}
+
+async function showRandomSmile() {
+    const modal = document.getElementById('randomModal');
+    
+    try {
+        const entry = await fetchRandomEntry();
+        document.getElementById('randomDate').textContent = formatDateForDisplay(entry.date);
+        document.getElementById('randomText').textContent = entry.text;
+        document.getElementById('randomTags').innerHTML = renderTagList(entry.tags);
+        document.getElementById('randomPhoto').innerHTML = renderPhoto(entry.photo);
+        loadPhotos(document.getElementById('randomPhoto'));
+        document.getElementById('randomText').classList.remove('hidden');
+        document.getElementById('randomDate').classList.remove('hidden');
+        document.getElementById('randomEmpty').classList.add('hidden');
+        document.getElementById('randomAnother').classList.remove('hidden');
+        
+        // Show rating if present
+        const ratingEl = document.getElementById('randomRating');
+        const ratingLabel = getRatingLabel(entry.rating);
+        if (ratingLabel) {
+            ratingEl.textContent = ratingLabel;
+            ratingEl.classList.remove('hidden');
+        } else {
+            ratingEl.classList.add('hidden');
+        }
+    } catch (error) {
+        document.getElementById('randomText').classList.add('hidden');
+        document.getElementById('randomDate').classList.add('hidden');
+        document.getElementById('randomRating').classList.add('hidden');
+        document.getElementById('randomTags').innerHTML = '';
+        document.getElementById('randomPhoto').innerHTML = '';
+        document.getElementById('randomEmpty').classList.remove('hidden');
+        document.getElementById('randomAnother').classList.add('hidden');
+    }
+    
+    modal.classList.add('active');
+}
+
+async function showAnotherSmile() {
+    try {
+        const entry = await fetchRandomEntry();
+        document.getElementById('randomDate').textContent = formatDateForDisplay(entry.date);
+        document.getElementById('randomText').textContent = entry.text;
+        document.getElementById('randomTags').innerHTML = renderTagList(entry.tags);
+        document.getElementById('randomPhoto').innerHTML = renderPhoto(entry.photo);
+        loadPhotos(document.getElementById('randomPhoto'));
+        
+        // Update rating
+        const ratingEl = document.getElementById('randomRating');
+        const ratingLabel = getRatingLabel(entry.rating);
+        if (ratingLabel) {
+            ratingEl.textContent = ratingLabel;
+            ratingEl.classList.remove('hidden');
+        } else {
+            ratingEl.classList.add('hidden');
+        }
+    } catch (error) {
+        // Keep showing current one if fetch fails
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+async function handleExport() {
+    const tagSelect = document.getElementById('exportTag');
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+
+    if (from && to && from > to) {
+        alert('The start date must be before the end date.');
+        return;
+    }
+
+    try {
+        await exportData({
+            format: document.getElementById('exportFormat').value,
+            tag: tagSelect ? tagSelect.value : '',
+            from,
+            to,
+            rating: document.getElementById('exportRating').value
+        });
+    } catch (error) {
+        alert('Export failed: ' + error.message);
+    }
+}
+
+async function handleOpenYearReview() {
+    const year = document.getElementById('reviewYear').value;
+    const messageEl = document.getElementById('yearReviewMessage');
+
+    // Opened right away, as browsers block windows opened after an await
+    const win = window.open('', '_blank');
+
+    try {
+        const blob = await fetchYearReview(year, 'html');
+        const url = URL.createObjectURL(new Blob([blob], { type: 'text/html' }));
+        if (win) {
+            win.location.href = url;
+            setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        } else {
+            URL.revokeObjectURL(url);
+            downloadBlob(blob, `${year}-in-smiles.html`);
+        }
+        messageEl.innerHTML = '';
+    } catch (error) {
+        if (win) win.close();
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+async function handleDownloadYearReview() {
+    const year = document.getElementById('reviewYear').value;
+    const messageEl = document.getElementById('yearReviewMessage');
+
+    try {
+        downloadBlob(await fetchYearReview(year, 'pdf'), `${year}-in-smiles.pdf`);
+        messageEl.innerHTML = '';
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+async function handleImport(input) {
+    const file = input.files[0];
+    const messageEl = document.getElementById('importMessage');
+    const mode = document.getElementById('importMode').value;
+    input.value = '';
+    if (!file) return;
+
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        messageEl.innerHTML = '<div class="profile-message error">That file is not valid JSON</div>';
+        return;
+    }
+
+    try {
+        const result = await importData(backup, mode);
+        const details = [...result.skipped, ...result.rejected]
+            .map(item => `<li>${escapeHtml(item.date)}: ${escapeHtml(item.reason)}</li>`)
+            .join('');
+
+        messageEl.innerHTML = `
+            <div class="profile-message success">
+                ${result.imported.length} imported, ${result.skipped.length} skipped, ${result.rejected.length} rejected
+            </div>
+            ${details ? `<ul class="import-report">${details}</ul>` : ''}
+        `;
+        await fetchStats();
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+// ============================================
+// PROFILE PAGE
+// ============================================
+async function showProfile() {
+    state.showProfile = true;
+    state.loading = true;
+    render();
+    
+    try {
+        await fetchStats();
+    } catch (error) {
+        console.error('Failed to load stats:', error);
+    }
+
+    try {
+        await fetchSessions();
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+    }
+
+    try {
+        await fetchTwoFactor();
+    } catch (error) {
+        console.error('Failed to load two-factor status:', error);
+    }
+
+    try {
+        await fetchReminders();
+    } catch (error) {
+        console.error('Failed to load reminders:', error);
+    }
+
+    try {
+        await fetchTags();
+    } catch (error) {
+        console.error('Failed to load tags:', error);
+    }
+
+    try {
+        await fetchAchievements();
+    } catch (error) {
+        console.error('Failed to load achievements:', error);
+    }
+
+    if (state.user.encryption) {
+        try {
+            await fetchUnencrypted();
+        } catch (error) {
+            console.error('Failed to check encryption:', error);
+        }
+    }
+    
+    state.loading = false;
+    render();
+}
+
+function hideProfile() {
+    state.showProfile = false;
+    state.showInsights = false;
+    state.showAdmin = false;
+    render();
+}
+
+function renderProfile() {
+    if (state.loading) {
+        return '<div class="loading">Loading</div>';
+    }
+
+    const stats = state.profileStats || { totalEntries: 0, currentStreak: 0, longestStreak: 0 };
+    const memberSince = state.user.createdAt ? new Date(state.user.createdAt).toLocaleDateString('en-US', { 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+    }) : state.user.signupDate;
+
+    const streakRules = state.user.streakRules || { freezes: false, skippedNeutral: false, graceDays: 0 };
+    const graceOptions = [0, 1, 2, 3].map(days =>
+        `<option value="${days}" ${days === streakRules.graceDays ? 'selected' : ''}>${days === 0 ? 'None' : days === 1 ? '1 day' : `${days} days`}</option>`
+    ).join('');
+
+    const currentTimezone = state.user.timezone || getBrowserTimezone();
+    const timezones = getTimezoneOptions();
+    if (currentTimezone && !timezones.includes(currentTimezone)) {
+        timezones.unshift(currentTimezone);
+    }
+    const timezoneOptions = timezones.map(tz =>
+        `<option value="${tz}" ${tz === currentTimezone ? 'selected' : ''}>${tz}</option>`
+    ).join('');
+
+    return `
+        <div class="profile-page">
+            <button class="profile-back" onclick="hideProfile()">← Back to Dashboard</button>
+            
+            <div class="profile-section">
+                <h2>Your Stats</h2>
+                <div class="profile-stats-grid">
+                    <div class="profile-stat-box">
+                        <div class="profile-stat-number">${stats.totalEntries}</div>
+                        <div class="profile-stat-label">Total Smiles</div>
+                    </div>
+                    <div class="profile-stat-box">
+                        <div class="profile-stat-number">${stats.currentStreak}</div>
+                        <div class="profile-stat-label">Current Streak</div>
+                    </div>
+                    <div class="profile-stat-box">
+                        <div class="profile-stat-number">${stats.longestStreak}</div>
+                        <div class="profile-stat-label">Longest Streak</div>
+                    </div>
+                </div>
+                <div class="profile-actions">
+                    <button onclick="showInsights()">View Insights</button>
+                </div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Badges</h2>
+                ${renderBadges()}
+            </div>
+            
+            <div class="profile-section">
+                <h2>Year in Smiles</h2>
+                ${stats.years && stats.years.length > 0 ? `
+                    <p class="export-description">
+                        A printable recap of a year: the heatmap, your top stats, every "Pure joy"
+                        smile and a month-by-month digest.
+                        ${state.user.encryption ? 'The server builds it, so encrypted smiles are listed without their text.' : ''}
+                    </p>
+                    <div class="profile-form-group">
+                        <label>Year</label>
+                        <select id="reviewYear">
+                            ${stats.years.map(year => `<option value="${year}">${year}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="profile-actions">
+                        <button onclick="handleOpenYearReview()">Open Printable Page</button>
+                        <button class="secondary-btn" onclick="handleDownloadYearReview()">Download PDF</button>
+                    </div>
+                    <div id="yearReviewMessage"></div>
+                ` : `
+                    <p class="export-description">Your first recap appears once you've logged a smile.</p>
+                `}
+            </div>
+            
+            <div class="profile-section">
+                <h2>Account</h2>
+                <div class="profile-info-row">
+                    <span class="profile-info-label">Email</span>
+                    <span class="profile-info-value">
+                        ${escapeHtml(state.user.email)}
+                        ${state.user.emailVerified ? '' : '<span class="email-unverified">Not verified</span>'}
+                    </span>
+                </div>
+                <div class="profile-info-row">
+                    <span class="profile-info-label">Member Since</span>
+                    <span class="profile-info-value">${memberSince}</span>
+                </div>
+                ${state.user.isAdmin ? `
+                    <div class="profile-actions">
+                        <button onclick="showAdmin()">Admin Console</button>
+                    </div>
+                ` : ''}
+            </div>
+            
+            <div class="profile-section">
+                <h2>Timezone</h2>
+                <p class="export-description">
+                    Your timezone decides when a new day starts for streaks and missed days.
+                </p>
+                <div class="profile-form-group">
+                    <label>Timezone</label>
+                    <select id="timezoneSelect">
+                        ${timezoneOptions}
+                    </select>
+                </div>
+                <div class="profile-actions">
+                    <button onclick="handleUpdateTimezone()">Save Timezone</button>
+                </div>
+                <div id="timezoneMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Multiple Smiles</h2>
+                <p class="export-description">
+                    Some days have more than one. Log several smiles per day and pick the
+                    primary one that colors your calendar. Streaks still count days, not smiles.
+                </p>
+                <div class="profile-form-group">
+                    <label class="reminder-toggle">
+                        <input type="checkbox" id="multipleSmilesEnabled" ${state.user.multipleSmiles ? 'checked' : ''} />
+                        Allow several smiles per day
+                    </label>
+                </div>
+                <div class="profile-actions">
+                    <button onclick="handleUpdateMultipleSmiles()">Save</button>
+                </div>
+                <div id="multipleSmilesMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Streak Rules</h2>
+                <p class="export-description">
+                    Decide what keeps a streak going. Every 7 smiles in a streak earn a freeze
+                    (hold up to 2), which covers a day that would otherwise break it.
+                    ${stats.streakFreezes !== null && stats.streakFreezes !== undefined
+                        ? `You have ${stats.streakFreezes} ${stats.streakFreezes === 1 ? 'freeze' : 'freezes'} right now.`
+                        : ''}
+                </p>
+                <div class="profile-form-group">
+                    <label class="reminder-toggle">
+                        <input type="checkbox" id="streakFreezes" ${streakRules.freezes ? 'checked' : ''} />
+                        Earn streak freezes
+                    </label>
+                    <label class="reminder-toggle">
+                        <input type="checkbox" id="streakSkippedNeutral" ${streakRules.skippedNeutral ? 'checked' : ''} />
+                        Skipped days don't break the streak
+                    </label>
+                </div>
+                <div class="profile-form-group">
+                    <label>Grace period for logging late</label>
+                    <select id="streakGraceDays">
+                        ${graceOptions}
+                    </select>
+                </div>
+                <div class="profile-actions">
+                    <button onclick="handleUpdateStreakRules()">Save Rules</button>
+                </div>
+                <div id="streakRulesMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Change Email</h2>
+                <p class="export-description">
+                    ${state.user.pendingEmail
+                        ? `Waiting for you to open the link we sent to ${escapeHtml(state.user.pendingEmail)}.
+                           Asking again sends a new link and cancels that one.`
+                        : `We'll send a link to the new address. Your email changes once you open it,
+                           and you'll be signed out everywhere to log in again with it.`}
+                </p>
+                <div class="profile-form-group">
+                    <label>New Email</label>
+                    <input type="email" id="newEmail" placeholder="your@email.com" />
+                </div>
+                <div class="profile-form-group">
+                    <label>Password</label>
+                    <input type="password" id="changeEmailPassword" placeholder="••••••" />
+                </div>
+                <div class="profile-actions">
+                    <button onclick="handleChangeEmail()">Send Confirmation Link</button>
+                </div>
+                <div id="changeEmailMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Change Password</h2>
+                <div class="profile-form-group">
+                    <label>Current Password</label>
+                    <input type="password" id="currentPassword" placeholder="••••••" />
+                </div>
+                <div class="profile-form-group">
+                    <label>New Password</label>
+                    <input type="password" id="newPassword" placeholder="••••••" />
+                </div>
+                <div class="profile-form-group">
+                    <label>Confirm New Password</label>
+                    <input type="password" id="confirmPassword" placeholder="••••••" />
+                </div>
+                <div class="profile-actions">
+                    <button onclick="handleChangePassword()">Update Password</button>
+                </div>
+                <div id="passwordMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Security</h2>
+                <div id="twoFactorSettings">${renderTwoFactorSettings()}</div>
+                <div id="twoFactorMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>End-to-End Encryption</h2>
+                <div id="encryptionSettings">${renderEncryptionSettings()}</div>
+                <div id="encryptionMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Daily Reminder</h2>
+                ${renderReminderSettings()}
+            </div>
+            
+            <div class="profile-section">
+                <h2>Active Sessions</h2>
+                <p class="export-description">
+                    Devices currently signed in to your account.
+                </p>
+                <div id="sessionsList">${renderSessions()}</div>
+                <div class="profile-actions">
+                    <button onclick="handleLogoutEverywhere()">Log Out Everywhere</button>
+                </div>
+                <div id="sessionsMessage"></div>
+            </div>
+            
+            <div class="profile-section">
+                <h2>Backup Your Smiles</h2>
+                <p class="export-description">
+                    ${state.user.encryption ? `
+                        Download your smiles as a JSON backup, decrypted in this browser.
+                        The other formats would be written by the server, which can't read encrypted smiles.
+                    ` : `
+                        Download your smiles as a JSON backup (or a zip that also holds your photos),
+                        a Markdown journal, a CSV spreadsheet or a calendar file.
+                    `}
+                    Keep your memories safe, or restore them from a previous backup.
+                </p>
+                <div class="export-filters">
+                    <div class="profile-form-group">
+                        <label>Format</label>
+                        <select id="exportFormat">
+                            <option value="json">JSON backup</option>
+                            ${state.user.encryption ? '' : `
+                                <option value="zip">JSON backup with photos (.zip)</option>
+                                <option value="markdown">Markdown journal</option>
+                                <option value="csv">CSV spreadsheet</option>
+                                <option value="ics">Calendar (.ics)</option>
+                            `}
+                        </select>
+                    </div>
+                    <div class="profile-form-group">
+                        <label>From</label>
+                        <input type="date" id="exportFrom" />
+                    </div>
+                    <div class="profile-form-group">
+                        <label>To</label>
+                        <input type="date" id="exportTo" />
+                    </div>
+                    <div class="profile-form-group">
+                        <label>Rating</label>
+                        <select id="exportRating">
+                            <option value="">Any rating</option>
+                            ${[1, 2, 3].map(rating => `<option value="${rating}">${getRatingLabel(rating)}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${state.tags.length > 0 ? `
+                        <div class="profile-form-group">
+                            <label>Tag</label>
+                            <select id="exportTag">
+                                <option value="">All smiles</option>
+                                ${state.tags.map(tag => `<option value="${escapeHtml(tag.name)}">Only #${escapeHtml(tag.name)}</option>`).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="backup-actions">
+                    <button class="export-btn" onclick="handleExport()">Export Data</button>
+                    <button class="export-btn" onclick="document.getElementById('importFile').click()">Import Data</button>
+                    <select id="importMode" class="import-mode">
+                        <option value="merge">Merge (keep newest)</option>
+                        <option value="overwrite">Overwrite existing</option>
+                        <option value="skip">Skip existing</option>
+                    </select>
+                    <input type="file" id="importFile" accept="application/json,.json" class="hidden" onchange="handleImport(this)" />
+                </div>
+                <div id="importMessage"></div>
+            </div>
+            
+            <div class="profile-section danger-zone">
+                <h2>Delete Account</h2>
+                <p class="export-description">
+                    Permanently delete your account with every smile, its history, your photos,
+                    tags and badges. <strong>This can't be undone.</strong>
+                    Download a final backup first if you'd like to keep your smiles.
+                </p>
+                <div class="profile-actions">
+                    <button class="secondary-btn" onclick="handleFinalExport()">Download My Data</button>
+                </div>
+                <div class="profile-form-group">
+                    <label>Password</label>
+                    <input type="password" id="deletePassword" placeholder="••••••" />
+                </div>
+                ${state.twoFactor && state.twoFactor.enabled ? `
+                    <div class="profile-form-group">
+                        <label>Authenticator or Recovery Code</label>
+                        <input type="text" id="deleteCode" autocomplete="one-time-code" placeholder="123456" />
+                    </div>
+                ` : ''}
+                <div class="profile-form-group">
+                    <label>Type ${DELETE_CONFIRMATION} to confirm</label>
+                    <input type="text" id="deleteConfirmation" autocomplete="off" placeholder="${DELETE_CONFIRMATION}" />
+                </div>
+                <div class="profile-actions">
+                    <button class="danger-btn" onclick="handleDeleteAccount()">Delete My Account</button>
+                </div>
+                <div id="deleteAccountMessage"></div>
+            </div>
+        </div>
+    `;
+}
+
+async function handleChangeEmail() {
+    const newEmail = document.getElementById('newEmail').value.trim();
+    const password = document.getElementById('changeEmailPassword').value;
+    const messageEl = document.getElementById('changeEmailMessage');
+
+    if (!newEmail || !password) {
+        messageEl.innerHTML = '<div class="profile-message error">New email and password required</div>';
+        return;
+    }
+
+    try {
+        const data = await changeEmail(newEmail, password);
+        state.user.pendingEmail = data.pendingEmail;
+        render();
+        document.getElementById('changeEmailMessage').innerHTML = `<div class="profile-message success">${escapeHtml(data.message)}</div>`;
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+async function handleChangePassword() {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    const messageEl = document.getElementById('passwordMessage');
+
+    if (!currentPassword || !newPassword || !confirmPassword) {
+        messageEl.innerHTML = '<div class="profile-message error">All fields are required</div>';
+        return;
+    }
+
+    if (newPassword !== confirmPassword) {
+        messageEl.innerHTML = '<div class="profile-message error">New passwords do not match</div>';
+        return;
+    }
+
+    if (newPassword.length < 6) {
+        messageEl.innerHTML = '<div class="profile-message error">Password must be at least 6 characters</div>';
+        return;
+    }
+
+    try {
+        await changePassword(currentPassword, newPassword);
+        messageEl.innerHTML = '<div class="profile-message success">Password updated. Other devices have been signed out.</div>';
+        
+        // Clear form
+        document.getElementById('currentPassword').value = '';
+        document.getElementById('newPassword').value = '';
+        document.getElementById('confirmPassword').value = '';
+
+        await fetchSessions();
+        document.getElementById('sessionsList').innerHTML = renderSessions();
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+// ============================================
+// DELETE ACCOUNT
+// ============================================
+const DELETE_CONFIRMATION = 'DELETE';
+
+// Photos are included unless the account is encrypted (JSON only)
+async function handleFinalExport() {
+    const messageEl = document.getElementById('deleteAccountMessage');
 
     try {
-        if (state.isSignUp) {
-            await register(email, password);
-            // Show onboarding tour for new users
-            state.showTour = true;
-            state.tourStep = 0;
-            render();
-        } else {
-            await login(email, password);
-            await loadDashboard();
-            render();
-        }
+        await exportData({ format: state.user.encryption ? 'json' : 'zip' });
+        messageEl.innerHTML = '';
     } catch (error) {
-        messageEl.innerHTML = `<div class="error">${error.message}</div>`;
+        messageEl.innerHTML = `<div class="profile-message error">Export failed: ${error.message}</div>`;
     }
 }
 
-function toggleAuthMode() {
-    state.isSignUp = !state.isSignUp;
+async function handleDeleteAccount() {
+    const password = document.getElementById('deletePassword').value;
+    const codeInput = document.getElementById('deleteCode');
+    const code = codeInput ? codeInput.value.trim() : '';
+    const confirmation = document.getElementById('deleteConfirmation').value.trim();
+    const messageEl = document.getElementById('deleteAccountMessage');
+
+    if (confirmation !== DELETE_CONFIRMATION) {
+        messageEl.innerHTML = `<div class="profile-message error">Type ${DELETE_CONFIRMATION} to confirm</div>`;
+        return;
+    }
+
+    if (!password || (codeInput && !code)) {
+        messageEl.innerHTML = `<div class="profile-message error">${codeInput ? 'Password and code required' : 'Password required'}</div>`;
+        return;
+    }
+
+    if (!confirm('Delete your account and all your smiles? This is your last chance to change your mind.')) {
+        return;
+    }
+
+    let data;
+    try {
+        data = await deleteAccount(password, code ? parseSecondFactor(code) : {});
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+        return;
+    }
+
+    try {
+        await clearOfflineQueue();
+    } catch (error) {
+        console.error('Failed to clear offline queue:', error);
+    }
+
+    clearSession();
     render();
+    document.getElementById('authMessage').innerHTML = `<div class="success">${data.message}</div>`;
 }
 
 // ============================================
-// ONBOARDING TOUR
+// TWO-FACTOR SETTINGS
 // ============================================
-const TOUR_STEPS = [
-    {
-        icon: '👋',
-        title: 'Welcome',
-        text: `You just took the first step toward a <strong>happier mindset</strong>.<br><br>This isn't just another app. It's a daily practice that will change how you see your life.`
-    },
-    {
-        icon: '🌍',
-        title: 'The Problem',
-        text: `We live in a world that amplifies the negative. Bad news spreads faster. Complaints feel easier. <strong>Our brains are wired to remember what went wrong.</strong><br><br>But what if you could rewire that?`
-    },
-    {
-        icon: '✨',
-        title: 'The Solution',
-        text: `Every day, you'll log <strong>just one thing</strong> that made you smile.<br><br>Not three. Not five. Just one.<br><br>Because even on your worst days, there's always <em>something</em>.`
-    },
-    {
-        icon: '📝',
-        title: 'The Rules',
-        text: `No photos. No likes. No followers.<br><br><strong>Just your words. For you.</strong><br><br>This is a private space for honest reflection. No one sees it but you.`
-    },
-    {
-        icon: '🔥',
-        title: 'The Streak',
-        text: `Build a streak by logging every day. Miss a day? <strong>You'll need to fill it in before moving on.</strong><br><br>Because the habit matters. The reflection matters. Even looking back at a hard day and finding the light — that matters.`
-    },
-    {
-        icon: '📅',
-        title: 'The Proof',
-        text: `Over time, your calendar will fill with moments of joy. Scroll back through months of entries and see the pattern:<br><br><strong>Your life has more good in it than you think.</strong>`
-    },
-    {
-        final: true,
-        title: 'One Last Thing',
-        quote: `"A smile is the light in your window that tells others there is a caring, sharing person inside."`,
-        author: 'Denis Waitley'
+function renderTwoFactorSettings() {
+    if (state.recoveryCodes) {
+        return `
+            <p class="export-description">
+                Your recovery codes. Each one logs you in once if you lose your authenticator app.
+                <strong>Save them somewhere safe now: they won't be shown again.</strong>
+            </p>
+            <ul class="recovery-codes">
+                ${state.recoveryCodes.map(code => `<li>${code}</li>`).join('')}
+            </ul>
+            <div class="profile-actions">
+                <button onclick="handleDismissRecoveryCodes()">I've Saved Them</button>
+            </div>
+        `;
     }
-];
-
-function renderTour() {
-    const step = TOUR_STEPS[state.tourStep];
-    const isLast = state.tourStep === TOUR_STEPS.length - 1;
-    const isFirst = state.tourStep === 0;
 
-    let stepContent = '';
-    
-    if (step.final) {
-        stepContent = `
-            <div class="tour-step active final">
-                <div class="tour-title">${step.title}</div>
-                <div class="tour-quote">${step.quote}</div>
-                <div class="tour-quote-author">— ${step.author}</div>
-                <div class="tour-actions">
-                    <button onclick="completeTour()">Begin Your Journey</button>
-                </div>
+    if (state.twoFactorSetup) {
+        return `
+            <p class="export-description">
+                Scan this QR code with an authenticator app, or type in the key, then enter
+                the 6-digit code it shows.
+            </p>
+            <div class="two-factor-setup">
+                <img class="two-factor-qr" src="${state.twoFactorSetup.qrCode}" alt="QR code for your authenticator app" />
+                <code class="two-factor-secret">${state.twoFactorSetup.secret.match(/.{1,4}/g).join(' ')}</code>
             </div>
-        `;
-    } else {
-        stepContent = `
-            <div class="tour-step active">
-                <div class="tour-icon">${step.icon}</div>
-                <div class="tour-title">${step.title}</div>
-                <div class="tour-text">${step.text}</div>
-                <div class="tour-actions">
-                    ${!isFirst ? '<button class="secondary-btn" onclick="prevTourStep()">Back</button>' : ''}
-                    <button onclick="nextTourStep()">${isLast ? 'Finish' : 'Next'}</button>
-                </div>
+            <div class="profile-form-group">
+                <label>Code</label>
+                <input type="text" id="twoFactorSetupCode" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" />
+            </div>
+            <div class="profile-actions">
+                <button onclick="handleEnableTwoFactor()">Turn On</button>
+                <button class="secondary-btn" onclick="handleCancelTwoFactor()">Cancel</button>
             </div>
         `;
     }
 
-    // Progress dots
-    const dots = TOUR_STEPS.map((_, i) => {
-        let className = 'tour-dot';
-        if (i === state.tourStep) className += ' active';
-        else if (i < state.tourStep) className += ' completed';
-        return `<div class="${className}"></div>`;
-    }).join('');
+    if (!state.twoFactor || !state.twoFactor.enabled) {
+        return `
+            <p class="export-description">
+                Two-factor authentication is off. Turn it on to ask for a code from an
+                authenticator app each time you log in, on top of your password.
+            </p>
+            <div class="profile-actions">
+                <button onclick="handleStartTwoFactor()">Set Up Two-Factor</button>
+            </div>
+        `;
+    }
 
+    const remaining = state.twoFactor.recoveryCodesRemaining;
     return `
-        <div class="tour-overlay">
-            <div class="tour-container">
-                ${stepContent}
-                <div class="tour-progress">
-                    ${dots}
-                </div>
-                ${!step.final ? '<button class="tour-skip" onclick="completeTour()">Skip tour</button>' : ''}
-            </div>
+        <p class="export-description">
+            Two-factor authentication is on. You have ${remaining} recovery ${remaining === 1 ? 'code' : 'codes'} left.
+            Confirm your password to create new recovery codes; turning two-factor off
+            also takes a current code.
+        </p>
+        <div class="profile-form-group">
+            <label>Password</label>
+            <input type="password" id="twoFactorPassword" placeholder="••••••" />
+        </div>
+        <div class="profile-form-group">
+            <label>Authenticator or Recovery Code</label>
+            <input type="text" id="twoFactorDisableCode" autocomplete="one-time-code" placeholder="123456" />
+        </div>
+        <div class="profile-actions">
+            <button onclick="handleRegenerateRecoveryCodes()">New Recovery Codes</button>
+            <button class="secondary-btn" onclick="handleDisableTwoFactor()">Turn Off</button>
         </div>
     `;
 }
 
-function nextTourStep() {
-    if (state.tourStep < TOUR_STEPS.length - 1) {
-        state.tourStep++;
-        render();
-    }
+function updateTwoFactorSettings(message, type = 'success') {
+    document.getElementById('twoFactorSettings').innerHTML = renderTwoFactorSettings();
+    document.getElementById('twoFactorMessage').innerHTML = message
+        ? `<div class="profile-message ${type}">${message}</div>`
+        : '';
 }
 
-function prevTourStep() {
-    if (state.tourStep > 0) {
-        state.tourStep--;
-        render();
+async function handleStartTwoFactor() {
+    try {
+        state.twoFactorSetup = await startTwoFactorSetup();
+        updateTwoFactorSettings();
+    } catch (error) {
+        updateTwoFactorSettings(error.message, 'error');
     }
 }
 
-async function completeTour() {
-    state.showTour = false;
-    state.tourStep = 0;
-    await loadDashboard();
-    render();
+function handleCancelTwoFactor() {
+    state.twoFactorSetup = null;
+    updateTwoFactorSettings();
 }
 
-// ============================================
-// UI: DASHBOARD
-// ============================================
-async function loadDashboard() {
-    state.loading = true;
-    render();
-    
-    await fetchDashboard();
-    const year = state.currentDate.getFullYear();
-    const month = state.currentDate.getMonth() + 1;
-    await fetchMonthEntries(year, month);
-    
-    state.loading = false;
+async function handleEnableTwoFactor() {
+    const code = document.getElementById('twoFactorSetupCode').value.replace(/\s/g, '');
+    const messageEl = document.getElementById('twoFactorMessage');
+
+    if (!code) {
+        messageEl.innerHTML = '<div class="profile-message error">Enter the code from your app</div>';
+        return;
+    }
+
+    try {
+        const data = await enableTwoFactor(code);
+        state.twoFactorSetup = null;
+        state.recoveryCodes = data.recoveryCodes;
+        await fetchTwoFactor();
+        updateTwoFactorSettings(data.message);
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
 }
 
-function renderDashboard() {
-    if (state.loading || !state.dashboard) {
-        return '<div class="loading">Loading</div>';
+function handleDismissRecoveryCodes() {
+    state.recoveryCodes = null;
+    updateTwoFactorSettings();
+}
+
+async function handleRegenerateRecoveryCodes() {
+    const password = document.getElementById('twoFactorPassword').value;
+    const messageEl = document.getElementById('twoFactorMessage');
+
+    if (!password) {
+        messageEl.innerHTML = '<div class="profile-message error">Password required</div>';
+        return;
     }
 
-    const { streak, missedDays, todayEntry, totalEntries, today } = state.dashboard;
-    const streakEmoji = streak > 0 ? '🔥' : '⊘';
-    const oldestMissedDay = missedDays.length > 0 ? missedDays[0] : null;
+    if (!confirm('Create new recovery codes? Your old ones will stop working.')) {
+        return;
+    }
 
-    let mainSection = '';
-    
-    if (oldestMissedDay) {
-        // Show backfill section
-        mainSection = `
-            <div class="backfill-section">
-                <h2>Before you continue...</h2>
-                <div class="backfill-date">${formatDateForDisplay(oldestMissedDay)}</div>
-                <div class="backfill-message">
-                    You missed logging this day. What made you smile?
-                </div>
-                <textarea id="backfillInput" placeholder="What made you smile that day..." oninput="updateCharCounter('backfillInput')"></textarea>
-                ${renderCharCounter('backfillInput')}
-                ${renderRatingSelector('backfill')}
-                <button onclick="handleBackfillEntry('${oldestMissedDay}')">Save Smile</button>
-                <div class="backfill-options">
-                    <button class="backfill-options-toggle" onclick="toggleBackfillOptions()">▸ Options</button>
-                    <div class="backfill-options-content" id="backfillOptionsContent">
-                        <button class="skip-day-btn" onclick="handleSkipDay('${oldestMissedDay}')">Nothing made me smile that day</button>
-                    </div>
-                </div>
-            </div>
-        `;
-    } else if (todayEntry && !todayEntry.skipped) {
-        // Show today's entry (already logged)
-        const ratingLabel = getRatingLabel(todayEntry.rating);
-        mainSection = `
-            <div class="entry-section">
-                <h2>Today's Smile</h2>
-                <div class="entry-date">${today}</div>
-                <div class="entry-view">${escapeHtml(todayEntry.text)}</div>
-                ${ratingLabel ? `<div class="rating-display">${ratingLabel}</div>` : ''}
-            </div>
-        `;
-    } else {
-        // Show entry form for today
-        mainSection = `
-            <div class="entry-section">
-                <h2>What made you smile today?</h2>
-                <div class="entry-date">${today}</div>
-                <textarea id="entryInput" placeholder="Write something that made you happy today..." oninput="updateCharCounter('entryInput')"></textarea>
-                ${renderCharCounter('entryInput')}
-                ${renderRatingSelector()}
-                <button onclick="handleSaveEntry()" id="saveEntryBtn">Save Smile</button>
-            </div>
-        `;
+    try {
+        const data = await regenerateRecoveryCodes(password);
+        state.recoveryCodes = data.recoveryCodes;
+        await fetchTwoFactor();
+        updateTwoFactorSettings(data.message);
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
+}
 
-    return `
-        <div class="dashboard active">
-            <div class="streak-box">
-                <div class="streak-number">${streak}</div>
-                <div class="streak-label">Day Streak</div>
-                <div class="streak-status ${streak > 0 ? 'active' : 'inactive'}">
-                    ${streakEmoji}
-                </div>
-                <button class="random-smile-btn" onclick="showRandomSmile()">Random Smile</button>
-            </div>
+async function handleDisableTwoFactor() {
+    const password = document.getElementById('twoFactorPassword').value;
+    const code = document.getElementById('twoFactorDisableCode').value.trim();
+    const messageEl = document.getElementById('twoFactorMessage');
 
-            ${renderCalendar()}
+    if (!password || !code) {
+        messageEl.innerHTML = '<div class="profile-message error">Password and code required</div>';
+        return;
+    }
 
-            ${mainSection}
+    if (!confirm('Turn off two-factor authentication? Logging in will only take your password.')) {
+        return;
+    }
 
-                </div>
-            `;
+    try {
+        const data = await disableTwoFactor(password, parseSecondFactor(code));
+        await fetchTwoFactor();
+        updateTwoFactorSettings(data.message);
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
 }
 
 // ============================================
-// UI: CALENDAR
+// ENCRYPTION SETTINGS
 // ============================================
-function renderCalendar() {
-    const year = state.currentDate.getFullYear();
-    const month = state.currentDate.getMonth();
+function renderEncryptionSettings() {
+    if (!state.user.encryption) {
+        return `
+            <p class="export-description">
+                Encrypt your smiles in this browser before they're sent, so the server only ever
+                stores ciphertext. Dates, ratings, tags (including the #hashtags in your text) and
+                photos stay readable. Search then runs
+                in your browser and only JSON backups can be exported.
+                <strong>Encryption can't be turned off, and a forgotten passphrase can't be
+                recovered: your smiles would be lost.</strong>
+            </p>
+            <div class="profile-form-group">
+                <label>Passphrase</label>
+                <input type="password" id="encryptionPassphrase" placeholder="At least ${MIN_PASSPHRASE_LENGTH} characters" />
+            </div>
+            <div class="profile-form-group">
+                <label>Confirm Passphrase</label>
+                <input type="password" id="encryptionPassphraseConfirm" placeholder="••••••••" />
+            </div>
+            <div class="profile-actions">
+                <button onclick="handleEnableEncryption()">Turn On Encryption</button>
+            </div>
+        `;
+    }
 
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const prevLastDay = new Date(year, month, 0);
+    return `
+        <p class="export-description">
+            Your smiles are encrypted in this browser before they're sent. You'll be asked
+            for your passphrase each time you open the app.
+        </p>
+        ${state.encryptionPending > 0 ? `
+            <p class="export-description">
+                ${state.encryptionPending} ${state.encryptionPending === 1 ? 'smile or earlier version is' : 'smiles and earlier versions are'}
+                still stored unencrypted.
+            </p>
+            <div class="profile-actions">
+                <button onclick="handleEncryptHistory()">Encrypt Them Now</button>
+            </div>
+        ` : ''}
+    `;
+}
 
-    const daysInMonth = lastDay.getDate();
-    const daysInPrevMonth = prevLastDay.getDate();
-    const startingDayOfWeek = firstDay.getDay();
+async function handleEnableEncryption() {
+    const passphrase = document.getElementById('encryptionPassphrase').value;
+    const confirmation = document.getElementById('encryptionPassphraseConfirm').value;
+    const messageEl = document.getElementById('encryptionMessage');
 
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        messageEl.innerHTML = `<div class="profile-message error">Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters</div>`;
+        return;
+    }
 
-    let calendarDays = '';
+    if (passphrase !== confirmation) {
+        messageEl.innerHTML = '<div class="profile-message error">Passphrases do not match</div>';
+        return;
+    }
 
-    // Day headers
-    for (let i = 0; i < 7; i++) {
-        calendarDays += `<div class="calendar-day-header">${dayNames[i]}</div>`;
+    if (!confirm('Turn on encryption? If you forget this passphrase, your smiles cannot be recovered.')) {
+        return;
     }
 
-    // Previous month days
-    for (let i = startingDayOfWeek - 1; i >= 0; i--) {
-        const day = daysInPrevMonth - i;
-        calendarDays += `<div class="calendar-day other-month">${day}</div>`;
+    try {
+        messageEl.innerHTML = '<div class="profile-message success">Turning on encryption...</div>';
+        await enableEncryption(passphrase);
+        document.getElementById('encryptionSettings').innerHTML = renderEncryptionSettings();
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+        return;
     }
 
-    // Current month days
-    const today = getTodayString();
-    const todayDate = new Date();
-    todayDate.setHours(0, 0, 0, 0);
+    await handleEncryptHistory();
+}
 
-    for (let day = 1; day <= daysInMonth; day++) {
-        const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        const entry = state.monthEntries[dateString];
-        const hasEntry = !!entry;
-        const isSkipped = entry && entry.skipped;
-        const hasRealEntry = hasEntry && !isSkipped;
-        const rating = entry ? entry.rating : null;
-        const isTodayDate = dateString === today;
-
-        // Check if date is in future
-        const checkDate = new Date(year, month, day);
-        const isFuture = checkDate > todayDate;
-        const isPast = checkDate < todayDate;
-
-        const classes = ['calendar-day'];
-        let tooltip = '';
-        
-        if (isFuture) {
-            classes.push('future');
-        } else if (isSkipped) {
-            classes.push('skipped');
-            tooltip = 'Day skipped';
-        } else if (hasRealEntry) {
-            // Add rating class for heatmap coloring
-            if (rating) {
-                classes.push(`rating-${rating}`);
-                tooltip = getRatingLabel(rating);
-            } else {
-                classes.push('has-entry');
-                tooltip = 'Smile logged';
-            }
-        } else if (isPast && !isTodayDate) {
-            // Past day with no entry
-            tooltip = 'No smile logged';
-        }
-        
-        if (isTodayDate) {
-            classes.push('today');
-            if (!hasRealEntry && !isSkipped) {
-                tooltip = 'Today - log your smile!';
-            }
-        }
+// Encrypt what's already stored; picks up where an interrupted run stopped
+async function handleEncryptHistory() {
+    const messageEl = document.getElementById('encryptionMessage');
+    const showProgress = remaining => {
+        messageEl.innerHTML = `<div class="profile-message success">Encrypting your smiles... ${remaining} left</div>`;
+    };
 
-        // Determine click behavior
-        let clickHandler = '';
-        let cursor = 'default';
-        if (!isFuture && (hasRealEntry || isSkipped)) {
-            clickHandler = `onclick="openEntry('${dateString}')"`;
-            cursor = 'pointer';
-        }
+    try {
+        messageEl.innerHTML = '<div class="profile-message success">Encrypting your smiles...</div>';
+        await encryptHistory(showProgress);
+        messageEl.innerHTML = '<div class="profile-message success">All your smiles are encrypted</div>';
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+    document.getElementById('encryptionSettings').innerHTML = renderEncryptionSettings();
+}
 
-        const tooltipAttr = tooltip ? `data-tooltip="${tooltip}"` : '';
+// ============================================
+// REMINDERS
+// ============================================
+function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
 
-        calendarDays += `
-            <div class="${classes.join(' ')}" ${clickHandler} ${tooltipAttr} style="cursor: ${cursor}">
-                ${day}
-            </div>
-        `;
+function renderReminderSettings() {
+    if (!isPushSupported()) {
+        return '<p class="export-description">This browser does not support push notifications.</p>';
     }
 
-    // Next month days
-    const totalCells = Math.ceil((startingDayOfWeek + daysInMonth) / 7) * 7;
-    for (let day = 1; day <= totalCells - startingDayOfWeek - daysInMonth; day++) {
-        calendarDays += `<div class="calendar-day other-month">${day}</div>`;
-    }
+    const reminders = state.reminders || { enabled: false, time: null };
 
     return `
-        <div class="calendar-section">
-            <h2>Your Smiles</h2>
-            <div class="calendar-nav">
-                <button onclick="prevMonth()">← Prev</button>
-                <div class="calendar-month">${monthNames[month]} ${year}</div>
-                <button onclick="nextMonth()">Next →</button>
-            </div>
-            <div class="calendar-grid">
-                ${calendarDays}
-            </div>
-            <div class="calendar-legend">
-                <div class="calendar-legend-item">
-                    <div class="legend-dot has-entry"></div>
-                    <span>Logged</span>
-                </div>
-                <div class="calendar-legend-item">
-                    <div class="legend-dot rating-1"></div>
-                    <span>Small win</span>
-                </div>
-                <div class="calendar-legend-item">
-                    <div class="legend-dot rating-2"></div>
-                    <span>Made my day</span>
-                </div>
-                <div class="calendar-legend-item">
-                    <div class="legend-dot rating-3"></div>
-                    <span>Pure joy</span>
-                </div>
-            </div>
+        <p class="export-description">
+            Get a nudge at a time you choose, only on days you haven't logged a smile yet
+            or still have days to fill in.
+        </p>
+        <div class="profile-form-group">
+            <label class="reminder-toggle">
+                <input type="checkbox" id="reminderEnabled" ${reminders.enabled ? 'checked' : ''} />
+                Remind me every day
+            </label>
         </div>
+        <div class="profile-form-group">
+            <label>Time</label>
+            <input type="time" id="reminderTime" value="${reminders.time || '20:00'}" />
+        </div>
+        <div class="profile-actions">
+            <button onclick="handleSaveReminders()">Save Reminder</button>
+            ${reminders.enabled ? '<button class="secondary-btn" onclick="handleTestReminder()">Send Test</button>' : ''}
+        </div>
+        <div id="reminderMessage"></div>
     `;
 }
 
-async function prevMonth() {
-    state.currentDate.setMonth(state.currentDate.getMonth() - 1);
-    const year = state.currentDate.getFullYear();
-    const month = state.currentDate.getMonth() + 1;
-    await fetchMonthEntries(year, month);
-    render();
+// VAPID keys are base64url; the Push API wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
 }
 
-async function nextMonth() {
-    state.currentDate.setMonth(state.currentDate.getMonth() + 1);
-    const year = state.currentDate.getFullYear();
-    const month = state.currentDate.getMonth() + 1;
-    await fetchMonthEntries(year, month);
-    render();
-}
+async function subscribeThisDevice() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notifications are blocked for this site');
+    }
 
-// ============================================
-// ENTRY HANDLERS
-// ============================================
-async function handleSaveEntry() {
-    const text = document.getElementById('entryInput').value;
-    if (!text.trim()) {
-        alert('Write something before saving.');
-        return;
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(state.reminders.vapidPublicKey)
+        });
     }
-    
-    if (text.length < MIN_CHARS) {
-        alert(`Keep going! You need at least ${MIN_CHARS} characters to save. You have ${text.length}.`);
-        return;
+
+    await subscribePush(subscription.toJSON());
+}
+
+async function unsubscribeThisDevice() {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (subscription) {
+        await unsubscribePush(subscription.endpoint);
+        await subscription.unsubscribe();
     }
-    
-    const rating = getSelectedRating('entry');
-    
+}
+
+async function handleSaveReminders() {
+    const enabled = document.getElementById('reminderEnabled').checked;
+    const time = document.getElementById('reminderTime').value;
+    const messageEl = document.getElementById('reminderMessage');
+
     try {
-        await saveEntry(getTodayString(), text, rating);
-        await loadDashboard();
-        render();
+        if (enabled) {
+            await subscribeThisDevice();
+        } else {
+            await unsubscribeThisDevice();
+        }
+
+        await updateReminderSettings(enabled, time);
+        await fetchReminders();
+        messageEl.innerHTML = `<div class="profile-message success">${enabled ? `Reminder set for ${time}` : 'Reminders turned off'}</div>`;
     } catch (error) {
-        alert('Failed to save: ' + error.message);
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
 }
 
-async function handleBackfillEntry(dateString) {
-    const text = document.getElementById('backfillInput').value;
-    if (!text.trim()) {
-        alert('Write something before saving.');
-        return;
-    }
-    
-    if (text.length < MIN_CHARS) {
-        alert(`Keep going! You need at least ${MIN_CHARS} characters to save. You have ${text.length}.`);
-        return;
-    }
-    
-    const rating = getSelectedRating('backfill');
-    
+async function handleTestReminder() {
+    const messageEl = document.getElementById('reminderMessage');
+
     try {
-        await saveEntry(dateString, text, rating);
-        await loadDashboard();
-        render();
+        await sendTestReminder();
+        messageEl.innerHTML = '<div class="profile-message success">Test notification sent</div>';
     } catch (error) {
-        alert('Failed to save: ' + error.message);
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
 }
 
-async function handleSkipDay(dateString) {
-    try {
-        await skipDay(dateString);
-        await loadDashboard();
-        render();
-    } catch (error) {
-        alert('Failed to skip: ' + error.message);
+function renderSessions() {
+    if (state.sessions.length === 0) {
+        return '<div class="export-description">No active sessions.</div>';
     }
+
+    return state.sessions.map(session => `
+        <div class="profile-info-row session-row">
+            <div>
+                <div class="profile-info-value">
+                    ${escapeHtml(describeUserAgent(session.userAgent))}
+                    ${session.current ? '<span class="session-current">This device</span>' : ''}
+                </div>
+                <div class="session-meta">
+                    ${escapeHtml(session.ipAddress || 'Unknown IP')} · Last active ${new Date(session.lastSeenAt).toLocaleString('en-US')}
+                </div>
+            </div>
+            ${session.current ? '' : `<button class="session-revoke" onclick="handleRevokeSession(${session.id})">Revoke</button>`}
+        </div>
+    `).join('');
 }
 
-function toggleBackfillOptions() {
-    const content = document.getElementById('backfillOptionsContent');
-    const toggle = document.querySelector('.backfill-options-toggle');
-    content.classList.toggle('active');
-    toggle.textContent = content.classList.contains('active') ? '▾ Options' : '▸ Options';
+// Short, human-friendly label for a user-agent string
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    if (!browser && !system) return userAgent.slice(0, 60);
+    return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
 }
 
-// ============================================
-// MODALS
-// ============================================
-async function openEntry(dateString) {
-    const entry = state.monthEntries[dateString];
-    if (!entry) return;
+async function handleRevokeSession(id) {
+    const messageEl = document.getElementById('sessionsMessage');
 
-    const modal = document.getElementById('entryModal');
-    document.getElementById('modalDate').textContent = formatDateForDisplay(dateString);
-    
-    const textEl = document.getElementById('modalText');
-    const ratingEl = document.getElementById('modalRating');
-    
-    if (entry.skipped) {
-        textEl.textContent = '— Day skipped —';
-        textEl.classList.add('skipped');
-        ratingEl.classList.add('hidden');
-    } else {
-        textEl.textContent = entry.text;
-        textEl.classList.remove('skipped');
-        
-        // Show rating if present
-        const ratingLabel = getRatingLabel(entry.rating);
-        if (ratingLabel) {
-            ratingEl.textContent = ratingLabel;
-            ratingEl.classList.remove('hidden');
-        } else {
-            ratingEl.classList.add('hidden');
-        }
+    try {
+        await revokeSession(id);
+        await fetchSessions();
+        document.getElementById('sessionsList').innerHTML = renderSessions();
+        messageEl.innerHTML = '<div class="profile-message success">Session revoked</div>';
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
-    
-    modal.classList.add('active');
 }
 
-function closeModal(modalId) {
-    document.getElementById(modalId).classList.remove('active');
-}
+async function handleLogoutEverywhere() {
+    if (!confirm('Sign out of every device, including this one?')) {
+        return;
+    }
 
-async function showRandomSmile() {
-    const modal = document.getElementById('randomModal');
-    
     try {
-        const entry = await fetchRandomEntry();
-        document.getElementById('randomDate').textContent = formatDateForDisplay(entry.date);
-        document.getElementById('randomText').textContent = entry.text;
-        document.getElementById('randomText').classList.remove('hidden');
-        document.getElementById('randomDate').classList.remove('hidden');
-        document.getElementById('randomEmpty').classList.add('hidden');
-        document.getElementById('randomAnother').classList.remove('hidden');
-        
-        // Show rating if present
-        const ratingEl = document.getElementById('randomRating');
-        const ratingLabel = getRatingLabel(entry.rating);
-        if (ratingLabel) {
-            ratingEl.textContent = ratingLabel;
-            ratingEl.classList.remove('hidden');
-        } else {
-            ratingEl.classList.add('hidden');
-        }
+        await logoutEverywhere();
     } catch (error) {
-        document.getElementById('randomText').classList.add('hidden');
-        document.getElementById('randomDate').classList.add('hidden');
-        document.getElementById('randomRating').classList.add('hidden');
-        document.getElementById('randomEmpty').classList.remove('hidden');
-        document.getElementById('randomAnother').classList.add('hidden');
+        console.error('Failed to log out everywhere:', error);
     }
-    
-    modal.classList.add('active');
+
+    clearSession();
+    render();
 }
 
-async function showAnotherSmile() {
+async function handleUpdateTimezone() {
+    const timezone = document.getElementById('timezoneSelect').value;
+    const messageEl = document.getElementById('timezoneMessage');
+
     try {
-        const entry = await fetchRandomEntry();
-        document.getElementById('randomDate').textContent = formatDateForDisplay(entry.date);
-        document.getElementById('randomText').textContent = entry.text;
-        
-        // Update rating
-        const ratingEl = document.getElementById('randomRating');
-        const ratingLabel = getRatingLabel(entry.rating);
-        if (ratingLabel) {
-            ratingEl.textContent = ratingLabel;
-            ratingEl.classList.remove('hidden');
-        } else {
-            ratingEl.classList.add('hidden');
-        }
+        await updateTimezone(timezone);
+        state.user.timezone = timezone;
+        await fetchDashboard();
+        messageEl.innerHTML = '<div class="profile-message success">Timezone updated successfully</div>';
     } catch (error) {
-        // Keep showing current one if fetch fails
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
 }
 
-// ============================================
-// EXPORT
-// ============================================
-async function handleExport() {
+async function handleUpdateMultipleSmiles() {
+    const enabled = document.getElementById('multipleSmilesEnabled').checked;
+    const messageEl = document.getElementById('multipleSmilesMessage');
+
+    try {
+        await updateMultipleSmiles(enabled);
+        state.user.multipleSmiles = enabled;
+        messageEl.innerHTML = `<div class="profile-message success">${enabled
+            ? 'You can now add more smiles to any day'
+            : 'Back to one smile per day. Smiles you already added are kept.'}</div>`;
+    } catch (error) {
+        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+    }
+}
+
+async function handleUpdateStreakRules() {
+    const rules = {
+        freezes: document.getElementById('streakFreezes').checked,
+        skippedNeutral: document.getElementById('streakSkippedNeutral').checked,
+        graceDays: parseInt(document.getElementById('streakGraceDays').value)
+    };
+
     try {
-        await exportData();
+        const data = await updateStreakRules(rules);
+        state.user.streakRules = data.streakRules;
+
+        // Streaks are recalculated under the new rules
+        await fetchStats();
+        await fetchDashboard();
+        render();
+        document.getElementById('streakRulesMessage').innerHTML = '<div class="profile-message success">Streak rules updated</div>';
     } catch (error) {
-        alert('Export failed: ' + error.message);
+        document.getElementById('streakRulesMessage').innerHTML = `<div class="profile-message error">${error.message}</div>`;
     }
 }
 
 // ============================================
-// PROFILE PAGE
+// INSIGHTS PAGE
 // ============================================
-async function showProfile() {
-    state.showProfile = true;
+// Chart fills follow the calendar heatmap (see .calendar-day.rating-* in styles.css)
+const RATING_COLORS = { 1: '#3d3d3d', 2: '#666', 3: '#fff', unrated: '#2a2a2a' };
+const YEAR_COLORS = ['#fff', '#999', '#666', '#444'];
+const SHORT_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+async function showInsights() {
+    state.showInsights = true;
     state.loading = true;
     render();
-    
+
     try {
-        await fetchStats();
+        await fetchInsights();
     } catch (error) {
-        console.error('Failed to load stats:', error);
+        console.error('Failed to load insights:', error);
     }
-    
+
     state.loading = false;
     render();
 }
 
-function hideProfile() {
-    state.showProfile = false;
+function hideInsights() {
+    state.showInsights = false;
     render();
 }
 
-function renderProfile() {
+function formatMonthLabel(month) {
+    const [year, monthNumber] = month.split('-');
+    return `${SHORT_MONTHS[parseInt(monthNumber) - 1]} ${year.slice(2)}`;
+}
+
+// Simple vertical bar chart. items: [{ label, value, display? }]
+function svgBarChart(items, height = 180) {
+    const width = 600;
+    const top = 20;
+    const bottom = 24;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const slot = width / items.length;
+    const barWidth = slot * 0.6;
+
+    const bars = items.map((item, i) => {
+        const barHeight = (item.value / max) * (height - top - bottom);
+        const x = i * slot + (slot - barWidth) / 2;
+        const y = height - bottom - barHeight;
+        const center = x + barWidth / 2;
+        const display = item.display !== undefined ? item.display : item.value;
+        return `
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="#fff"><title>${item.label}: ${display}</title></rect>
+            ${item.value ? `<text x="${center}" y="${y - 6}" class="chart-value">${display}</text>` : ''}
+            <text x="${center}" y="${height - 8}" class="chart-label">${item.label}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" class="chart-axis" />
+            ${bars}
+        </svg>
+    `;
+}
+
+// Stacked bars of rating counts per month
+function svgRatingChart(months, height = 200) {
+    const width = 600;
+    const top = 12;
+    const bottom = 24;
+    const keys = [3, 2, 1, 'unrated'];
+    const max = Math.max(1, ...months.map(month => keys.reduce((sum, key) => sum + month.ratings[key], 0)));
+    const slot = width / Math.max(months.length, 1);
+    const barWidth = slot * 0.6;
+
+    const bars = months.map((month, i) => {
+        const x = i * slot + (slot - barWidth) / 2;
+        let y = height - bottom;
+
+        const segments = keys.map(key => {
+            const count = month.ratings[key];
+            if (!count) return '';
+            const segmentHeight = (count / max) * (height - top - bottom);
+            y -= segmentHeight;
+            const label = key === 'unrated' ? 'No rating' : RATING_LABELS[key];
+            return `<rect x="${x}" y="${y}" width="${barWidth}" height="${segmentHeight}" fill="${RATING_COLORS[key]}" class="chart-segment"><title>${formatMonthLabel(month.month)} · ${label}: ${count}</title></rect>`;
+        }).join('');
+
+        return `
+            ${segments}
+            <text x="${x + barWidth / 2}" y="${height - 8}" class="chart-label">${formatMonthLabel(month.month)}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" class="chart-axis" />
+            ${bars}
+        </svg>
+    `;
+}
+
+// Line chart. series: [{ name, values, color }], all the same length as labels
+function svgLineChart(labels, series, { height = 180, max = null, format = value => value } = {}) {
+    const width = 600;
+    const top = 20;
+    const bottom = 24;
+    const left = 8;
+    const right = 8;
+    const peak = max !== null ? max : Math.max(1, ...series.flatMap(line => line.values));
+    const step = labels.length > 1 ? (width - left - right) / (labels.length - 1) : 0;
+    const pointX = i => left + i * step;
+    const pointY = value => height - bottom - (value / peak) * (height - top - bottom);
+
+    const lines = series.map(line => {
+        const points = line.values.map((value, i) => `${pointX(i)},${pointY(value)}`).join(' ');
+        const dots = line.values.map((value, i) =>
+            `<circle cx="${pointX(i)}" cy="${pointY(value)}" r="3" fill="${line.color}"><title>${line.name ? line.name + ' · ' : ''}${labels[i]}: ${format(value)}</title></circle>`
+        ).join('');
+        return `<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2" />${dots}`;
+    }).join('');
+
+    const axisLabels = labels.map((label, i) =>
+        `<text x="${pointX(i)}" y="${height - 8}" class="chart-label">${label}</text>`
+    ).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" class="chart-axis" />
+            <text x="${left}" y="${top - 6}" class="chart-value chart-value-start">${format(peak)}</text>
+            ${lines}
+            ${axisLabels}
+        </svg>
+    `;
+}
+
+// One horizontal bar split into two parts
+function svgSplitBar(first, second) {
+    const total = first.value + second.value;
+    const firstWidth = total > 0 ? (first.value / total) * 600 : 300;
+
+    return `
+        <svg class="chart" viewBox="0 0 600 40" role="img">
+            <rect x="0" y="0" width="${firstWidth}" height="40" fill="#fff"><title>${first.label}: ${first.value}</title></rect>
+            <rect x="${firstWidth}" y="0" width="${600 - firstWidth}" height="40" fill="#3d3d3d"><title>${second.label}: ${second.value}</title></rect>
+        </svg>
+        <div class="chart-legend">
+            <span><i style="background: #fff"></i>${first.label}: ${first.value}</span>
+            <span><i style="background: #3d3d3d"></i>${second.label}: ${second.value}</span>
+        </div>
+    `;
+}
+
+function renderInsights() {
     if (state.loading) {
         return '<div class="loading">Loading</div>';
     }
 
-    const stats = state.profileStats || { totalEntries: 0, currentStreak: 0, longestStreak: 0 };
-    const memberSince = state.user.createdAt ? new Date(state.user.createdAt).toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    }) : state.user.signupDate;
+    const insights = state.insights;
+    const back = '<button class="profile-back" onclick="hideInsights()">← Back to Profile</button>';
+
+    if (!insights || insights.totals.entries + insights.totals.skipped === 0) {
+        return `
+            <div class="profile-page">
+                ${back}
+                <div class="profile-section">
+                    <p class="export-description">Log a few smiles and your trends will show up here.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    const recentMonths = insights.months.slice(-12);
+    const monthLabels = recentMonths.map(month => formatMonthLabel(month.month));
+    const years = insights.years.slice(-YEAR_COLORS.length);
+    const percent = value => `${Math.round(value * 100)}%`;
+
+    const ratingLegend = [3, 2, 1, 'unrated'].map(key =>
+        `<span><i style="background: ${RATING_COLORS[key]}"></i>${key === 'unrated' ? 'No rating' : RATING_LABELS[key]}</span>`
+    ).join('');
+
+    const yearLegend = years.map((year, i) =>
+        `<span><i style="background: ${YEAR_COLORS[years.length - 1 - i]}"></i>${year.year}</span>`
+    ).join('');
+
+    const yearRows = years.slice().reverse().map(year => `
+        <tr>
+            <td>${year.year}</td>
+            <td>${year.entries}</td>
+            <td>${year.pureJoy}</td>
+            <td>${year.averageRating !== null ? year.averageRating : '—'}</td>
+            <td>${year.averageLength}</td>
+            <td>${year.skipped}</td>
+        </tr>
+    `).join('');
 
     return `
-        <div class="profile-page">
-            <button class="profile-back" onclick="hideProfile()">← Back to Dashboard</button>
-            
+        <div class="profile-page insights-page">
+            ${back}
+
             <div class="profile-section">
-                <h2>Your Stats</h2>
+                <h2>At a Glance</h2>
                 <div class="profile-stats-grid">
                     <div class="profile-stat-box">
-                        <div class="profile-stat-number">${stats.totalEntries}</div>
-                        <div class="profile-stat-label">Total Smiles</div>
+                        <div class="profile-stat-number">${insights.totals.entries}</div>
+                        <div class="profile-stat-label">Smiles</div>
                     </div>
                     <div class="profile-stat-box">
-                        <div class="profile-stat-number">${stats.currentStreak}</div>
-                        <div class="profile-stat-label">Current Streak</div>
+                        <div class="profile-stat-number">${insights.totals.averageLength}</div>
+                        <div class="profile-stat-label">Avg. Characters</div>
                     </div>
                     <div class="profile-stat-box">
-                        <div class="profile-stat-number">${stats.longestStreak}</div>
-                        <div class="profile-stat-label">Longest Streak</div>
+                        <div class="profile-stat-number">${percent(insights.timing.sameDayRatio)}</div>
+                        <div class="profile-stat-label">Logged Same Day</div>
                     </div>
                 </div>
             </div>
-            
+
             <div class="profile-section">
-                <h2>Account</h2>
-                <div class="profile-info-row">
-                    <span class="profile-info-label">Email</span>
-                    <span class="profile-info-value">${state.user.email}</span>
-                </div>
-                <div class="profile-info-row">
-                    <span class="profile-info-label">Member Since</span>
-                    <span class="profile-info-value">${memberSince}</span>
-                </div>
+                <h2>Ratings by Month</h2>
+                ${svgRatingChart(recentMonths)}
+                <div class="chart-legend">${ratingLegend}</div>
             </div>
-            
+
             <div class="profile-section">
-                <h2>Change Password</h2>
-                <div class="profile-form-group">
-                    <label>Current Password</label>
-                    <input type="password" id="currentPassword" placeholder="••••••" />
-                </div>
-                <div class="profile-form-group">
-                    <label>New Password</label>
-                    <input type="password" id="newPassword" placeholder="••••••" />
-                </div>
-                <div class="profile-form-group">
-                    <label>Confirm New Password</label>
-                    <input type="password" id="confirmPassword" placeholder="••••••" />
-                </div>
-                <div class="profile-actions">
-                    <button onclick="handleChangePassword()">Update Password</button>
-                </div>
-                <div id="passwordMessage"></div>
+                <h2>Smiles by Weekday</h2>
+                ${svgBarChart(insights.weekdays.map(day => ({ label: day.day, value: day.count })))}
             </div>
-            
+
             <div class="profile-section">
-                <h2>Backup Your Smiles</h2>
-                <p class="export-description">
-                    Download all your smile entries as a JSON file. 
-                    Keep your memories safe.
-                </p>
-                <button class="export-btn" onclick="handleExport()">Export Data</button>
+                <h2>Average Length</h2>
+                ${svgLineChart(monthLabels, [{ name: 'Characters', values: recentMonths.map(month => month.averageLength), color: '#fff' }])}
+            </div>
+
+            <div class="profile-section">
+                <h2>Skip Rate by Month</h2>
+                ${svgLineChart(monthLabels, [{ name: 'Skipped', values: recentMonths.map(month => month.skipRate), color: '#fff' }], { max: 1, format: percent })}
+            </div>
+
+            <div class="profile-section">
+                <h2>Same Day vs Backfilled</h2>
+                ${svgSplitBar(
+                    { label: 'Same day', value: insights.timing.sameDay },
+                    { label: 'Backfilled', value: insights.timing.backfilled }
+                )}
+            </div>
+
+            <div class="profile-section">
+                <h2>Year over Year</h2>
+                ${svgLineChart(SHORT_MONTHS, years.map((year, i) => ({
+                    name: String(year.year),
+                    values: year.monthly,
+                    color: YEAR_COLORS[years.length - 1 - i]
+                })))}
+                <div class="chart-legend">${yearLegend}</div>
+                <table class="insights-table">
+                    <thead>
+                        <tr>
+                            <th>Year</th>
+                            <th>Smiles</th>
+                            <th>Pure Joy</th>
+                            <th>Avg. Rating</th>
+                            <th>Avg. Length</th>
+                            <th>Skipped</th>
+                        </tr>
+                    </thead>
+                    <tbody>${yearRows}</tbody>
+                </table>
             </div>
         </div>
     `;
 }
 
-async function handleChangePassword() {
-    const currentPassword = document.getElementById('currentPassword').value;
-    const newPassword = document.getElementById('newPassword').value;
-    const confirmPassword = document.getElementById('confirmPassword').value;
-    const messageEl = document.getElementById('passwordMessage');
+// ============================================
+// ADMIN PAGE
+// ============================================
+async function showAdmin() {
+    state.showAdmin = true;
+    state.loading = true;
+    render();
 
-    if (!currentPassword || !newPassword || !confirmPassword) {
-        messageEl.innerHTML = '<div class="profile-message error">All fields are required</div>';
-        return;
+    try {
+        await Promise.all([fetchAdminUsers(), fetchAdminStats()]);
+    } catch (error) {
+        console.error('Failed to load admin data:', error);
     }
 
-    if (newPassword !== confirmPassword) {
-        messageEl.innerHTML = '<div class="profile-message error">New passwords do not match</div>';
-        return;
-    }
+    state.loading = false;
+    render();
+}
 
-    if (newPassword.length < 6) {
-        messageEl.innerHTML = '<div class="profile-message error">Password must be at least 6 characters</div>';
-        return;
+function hideAdmin() {
+    state.showAdmin = false;
+    render();
+}
+
+function formatAdminDate(timestamp) {
+    return timestamp
+        ? new Date(timestamp).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+        : '—';
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderAdminStats(stats) {
+    const boxes = [
+        [stats.users.total, 'Accounts'],
+        [stats.users.activeSince, `Active (${stats.windowDays} days)`],
+        [stats.users.newSince, `New (${stats.windowDays} days)`],
+        [stats.entries.smiles, 'Smiles'],
+        [stats.entries.createdSince, `Logged (${stats.windowDays} days)`],
+        [stats.entries.skipped, 'Skipped Days'],
+        [stats.entries.photos, 'Photos'],
+        [formatBytes(stats.entries.photoBytes), 'Photo Storage'],
+        [stats.users.disabled, 'Disabled']
+    ];
+
+    return `
+        <div class="profile-stats-grid">
+            ${boxes.map(([value, label]) => `
+                <div class="profile-stat-box">
+                    <div class="profile-stat-number">${value}</div>
+                    <div class="profile-stat-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <p class="export-description admin-stats-detail">
+            ${stats.users.verified} verified · ${stats.users.twoFactor} with two-factor login ·
+            ${stats.users.encrypted} encrypted · ${stats.users.admins} admin${stats.users.admins === 1 ? '' : 's'} ·
+            ${stats.entries.revisions} revisions · ${stats.entries.tags} tags
+        </p>
+        ${stats.signupsByMonth.length > 0 ? `
+            <h3 class="admin-subheading">Signups by Month</h3>
+            ${svgBarChart(stats.signupsByMonth.map(month => ({ label: formatMonthLabel(month.month), value: month.count })), 140)}
+        ` : ''}
+    `;
+}
+
+function renderAdminUserRow(user) {
+    const flags = [
+        user.isAdmin ? 'Admin' : '',
+        user.disabledAt ? 'Disabled' : '',
+        user.passwordResetRequired ? 'Reset required' : '',
+        user.emailVerified ? '' : 'Unverified',
+        user.twoFactor ? '2FA' : '',
+        user.encrypted ? 'Encrypted' : ''
+    ].filter(Boolean);
+
+    // Admins can't act on their own account
+    const actions = user.id === state.user.id ? '' : `
+        ${user.disabledAt
+            ? `<button class="secondary-btn" onclick="handleAdminEnable(${user.id})">Enable</button>`
+            : `<button class="danger-btn" onclick="handleAdminDisable(${user.id})">Disable</button>`}
+        <button class="secondary-btn" onclick="handleAdminForceReset(${user.id})">Force Reset</button>
+    `;
+
+    return `
+        <tr class="${user.disabledAt ? 'admin-user-disabled' : ''}">
+            <td>${escapeHtml(user.email)}</td>
+            <td>${formatAdminDate(user.createdAt)}</td>
+            <td>${user.smileCount}</td>
+            <td>${user.skippedCount}</td>
+            <td>${formatAdminDate(user.lastActiveAt)}</td>
+            <td>${flags.map(flag => `<span class="admin-flag">${flag}</span>`).join(' ')}</td>
+            <td class="admin-user-actions">${actions}</td>
+        </tr>
+    `;
+}
+
+function renderAdmin() {
+    if (state.loading) {
+        return '<div class="loading">Loading</div>';
     }
 
+    const { users, stats } = state.admin;
+
+    return `
+        <div class="profile-page admin-page">
+            <button class="profile-back" onclick="hideAdmin()">← Back to Profile</button>
+
+            <div class="profile-section">
+                <h2>Instance</h2>
+                ${stats ? renderAdminStats(stats) : '<p class="export-description">Stats could not be loaded.</p>'}
+            </div>
+
+            <div class="profile-section">
+                <h2>Users</h2>
+                <p class="export-description">
+                    Disabling an account signs it out everywhere and blocks logging in. Forcing a reset
+                    signs it out and emails a reset link; it can't log in until the password is changed.
+                </p>
+                <div id="adminMessage"></div>
+                <div class="admin-table-wrap">
+                    <table class="insights-table admin-table">
+                        <thead>
+                            <tr>
+                                <th>Email</th>
+                                <th>Joined</th>
+                                <th>Smiles</th>
+                                <th>Skipped</th>
+                                <th>Last Active</th>
+                                <th></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>${users.map(renderAdminUserRow).join('')}</tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Run an action on an account, then reload the list and show the result
+async function runAdminAction(action, id) {
     try {
-        await changePassword(currentPassword, newPassword);
-        messageEl.innerHTML = '<div class="profile-message success">Password updated successfully</div>';
-        
-        // Clear form
-        document.getElementById('currentPassword').value = '';
-        document.getElementById('newPassword').value = '';
-        document.getElementById('confirmPassword').value = '';
+        const result = await action(id);
+        await Promise.all([fetchAdminUsers(), fetchAdminStats()]);
+        render();
+        document.getElementById('adminMessage').innerHTML =
+            `<div class="profile-message success">${escapeHtml(result.message)}</div>`;
     } catch (error) {
-        messageEl.innerHTML = `<div class="profile-message error">${error.message}</div>`;
+        document.getElementById('adminMessage').innerHTML =
+            `<div class="profile-message error">${escapeHtml(error.message)}</div>`;
     }
 }
 
+function findAdminUser(id) {
+    return state.admin.users.find(user => user.id === id);
+}
+
+async function handleAdminDisable(id) {
+    if (!confirm(`Disable ${findAdminUser(id).email}? They'll be signed out everywhere.`)) return;
+    await runAdminAction(adminDisableUser, id);
+}
+
+async function handleAdminEnable(id) {
+    await runAdminAction(adminEnableUser, id);
+}
+
+async function handleAdminForceReset(id) {
+    if (!confirm(`Make ${findAdminUser(id).email} choose a new password? They'll be signed out everywhere.`)) return;
+    await runAdminAction(adminForcePasswordReset, id);
+}
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -1095,6 +4470,39 @@ function render() {
                 </div>
             </div>
         `;
+    } else if (isEncryptionLocked()) {
+        app.innerHTML = `
+            <button class="logout-btn" onclick="logout()">LOGOUT</button>
+            <div class="container">
+                <div class="header">
+                    <h1>1 SMILE A DAY</h1>
+                    <p>Your smiles are encrypted</p>
+                </div>
+                ${renderUnlockScreen()}
+            </div>
+        `;
+    } else if (state.showProfile && state.showAdmin) {
+        app.innerHTML = `
+            <button class="logout-btn" onclick="logout()">LOGOUT</button>
+            <div class="container">
+                <div class="header">
+                    <h1>1 SMILE A DAY</h1>
+                    <p>Admin Console</p>
+                </div>
+                ${renderAdmin()}
+            </div>
+        `;
+    } else if (state.showProfile && state.showInsights) {
+        app.innerHTML = `
+            <button class="logout-btn" onclick="logout()">LOGOUT</button>
+            <div class="container">
+                <div class="header">
+                    <h1>1 SMILE A DAY</h1>
+                    <p>Your Insights</p>
+                </div>
+                ${renderInsights()}
+            </div>
+        `;
     } else if (state.showProfile) {
         app.innerHTML = `
             <button class="logout-btn" onclick="logout()">LOGOUT</button>
@@ -1123,22 +4531,36 @@ function render() {
                 <div class="modal-content">
                     <div class="modal-label">Your Smile</div>
                     <div class="modal-date" id="modalDate"></div>
-                    <div class="modal-text" id="modalText"></div>
-                    <div class="rating-display hidden" id="modalRating"></div>
-                    <div class="modal-actions">
+                    <div id="modalView">
+                        <div class="modal-photo" id="modalPhoto"></div>
+                        <div class="modal-text" id="modalText"></div>
+                        <div class="rating-display hidden" id="modalRating"></div>
+                        <div id="modalTags"></div>
+                        <div id="modalSmiles"></div>
+                    </div>
+                    <div class="hidden" id="modalEditor"></div>
+                    <div class="hidden" id="modalHistory"></div>
+                    <div class="modal-actions" id="modalActions">
+                        <button id="modalEditBtn" onclick="editEntry()">Edit</button>
+                        <button class="secondary-btn hidden" id="modalAddBtn" onclick="addSmileToEntry()">Add a Smile</button>
+                        <button class="secondary-btn" id="modalPhotoBtn" onclick="choosePhoto(null)">Add Photo</button>
+                        <button class="secondary-btn" onclick="showEntryHistory()">History</button>
                         <button class="secondary-btn" onclick="closeModal('entryModal')">Close</button>
                     </div>
+                    <input type="file" id="photoInput" accept="${PHOTO_TYPES.join(',')}" class="hidden" onchange="handlePhotoUpload(this)" />
                 </div>
             </div>
             
             <!-- Random Smile Modal -->
             <div class="modal" id="randomModal">
                 <div class="modal-content">
-                    <div class="modal-label">A Random Smile</div>
+                    <div class="modal-label">A Random Smile${state.calendarTag ? ` · #${escapeHtml(state.calendarTag)}` : ''}</div>
                     <div class="modal-date" id="randomDate"></div>
+                    <div class="modal-photo" id="randomPhoto"></div>
                     <div class="modal-text" id="randomText"></div>
                     <div class="rating-display hidden" id="randomRating"></div>
-                    <div class="modal-text hidden" id="randomEmpty" style="color: #666;">No smiles yet. Start logging today!</div>
+                    <div id="randomTags"></div>
+                    <div class="modal-text hidden" id="randomEmpty" style="color: #666;">${state.calendarTag ? 'No smiles with this tag yet.' : 'No smiles yet. Start logging today!'}</div>
                     <div class="modal-actions">
                         <button id="randomAnother" onclick="showAnotherSmile()">Another</button>
                         <button class="secondary-btn" onclick="closeModal('randomModal')">Close</button>
@@ -1146,20 +4568,80 @@ function render() {
                 </div>
             </div>
         `;
+        loadPhotos(app);
     }
 }
 
 // ============================================
 // INIT
 // ============================================
+// Links from confirmation emails: a changed email ends every session,
+// so this runs before checking whether we're logged in
+async function confirmEmailFromLink(token) {
+    try {
+        const data = await confirmEmail(token);
+        if (data.emailChanged) {
+            clearSession();
+        }
+        return { type: 'success', message: data.message };
+    } catch (error) {
+        return { type: 'error', message: error.message };
+    }
+}
+
+function showEmailConfirmation({ type, message }) {
+    const messageEl = document.getElementById('authMessage');
+    if (messageEl) {
+        messageEl.innerHTML = `<div class="${type}">${escapeHtml(message)}</div>`;
+    } else {
+        alert(message);
+    }
+}
+
 async function init() {
+    state.calendarView = getSavedCalendarView();
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    // Password reset links land here as /?reset=<token>
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('reset')) {
+        state.resetToken = params.get('reset');
+        state.authView = 'reset';
+        history.replaceState(null, '', window.location.pathname);
+        render();
+        return;
+    }
+
+    // Email confirmation links land here as /?confirm-email=<token>
+    let emailConfirmation = null;
+    if (params.has('confirm-email')) {
+        history.replaceState(null, '', window.location.pathname);
+        emailConfirmation = await confirmEmailFromLink(params.get('confirm-email'));
+    }
+
+    // Entries written offline go out as soon as the connection is back
+    window.addEventListener('online', syncOfflineQueue);
+
     const isLoggedIn = await checkAuth();
     
-    if (isLoggedIn) {
+    if (isLoggedIn && !isEncryptionLocked()) {
         await loadDashboard();
     }
     
     render();
+
+    if (emailConfirmation) {
+        showEmailConfirmation(emailConfirmation);
+    }
+
+    if (isLoggedIn) {
+        syncOfflineQueue();
+    }
 }
 
 // Start the app
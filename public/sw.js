@@ -0,0 +1,136 @@
+// ============================================
+// 1 SMILE A DAY - Service Worker
+// ============================================
+
+// Bump the version to replace cached files on the next visit
+const SHELL_CACHE = 'smile-shell-v1';
+// Dashboard and calendar responses cached for offline reading (cleared by
+// the app on logout). v1 held every API response, so it goes on activate.
+const API_CACHE = 'smile-api-v2';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/app.js',
+    '/styles.css',
+    '/favicon.svg',
+    '/manifest.webmanifest'
+];
+
+// The only API responses stored: what the dashboard and calendar show
+// offline. Accounts, admin, exports and photos never touch the cache.
+const OFFLINE_API_PATHS = [
+    /^\/api\/entries\/dashboard$/,
+    /^\/api\/entries\/month\/\d+\/\d+$/,
+    /^\/api\/entries\/range$/
+];
+
+function isCacheable(url, request) {
+    if (url.pathname.startsWith('/api/')) {
+        return OFFLINE_API_PATHS.some(pattern => pattern.test(url.pathname));
+    }
+    return request.mode === 'navigate' || SHELL_FILES.includes(url.pathname);
+}
+
+// Cache-Control: no-store is honoured whatever the path
+function isStorable(response) {
+    return response.ok && !/no-store/i.test(response.headers.get('Cache-Control') || '');
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== API_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so the app stays current when online; the cache is the
+// fallback. Writes (POST etc.) are never intercepted: the app queues them.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    const isApi = url.pathname.startsWith('/api/');
+    const cacheName = isApi ? API_CACHE : SHELL_CACHE;
+    // Pages are stored without their query string, which can hold a
+    // one-time token (?reset=, ?confirm-email=)
+    const cacheKey = isApi ? request : url.pathname;
+    const cacheable = isCacheable(url, request);
+
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                if (cacheable && isStorable(response)) {
+                    const copy = response.clone();
+                    caches.open(cacheName).then(cache => cache.put(cacheKey, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(cacheKey);
+                if (cached) return cached;
+
+                if (isApi) {
+                    return new Response(JSON.stringify({ error: 'You are offline', code: 'offline' }), {
+                        status: 503,
+                        headers: { 'Content-Type': 'application/json' }
+                    });
+                }
+                if (request.mode === 'navigate') {
+                    return caches.match('/index.html');
+                }
+                return Response.error();
+            })
+    );
+});
+
+// Daily reminder notifications sent by the server through Web Push
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || '1 Smile a Day', {
+            body: data.body || 'What made you smile today?',
+            icon: '/favicon.svg',
+            badge: '/favicon.svg',
+            tag: 'daily-reminder',
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+// Focus an open tab if there is one, otherwise open the app
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = (event.notification.data && event.notification.data.url) || '/';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const existing = clients.find(client => new URL(client.url).origin === self.location.origin);
+            if (existing) {
+                return existing.focus();
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,81 @@
+const db = require('./db');
+
+// Milestone badges. Each check looks at the user's whole history, so
+// smiles logged before achievements existed count too; an achievement is
+// unlocked once and keeps its first unlock time.
+
+const BACKFILL_DAYS = 10;
+
+const ACHIEVEMENTS = [
+    { id: 'first-smile', name: 'First Smile', description: 'Log your first smile', check: stats => stats.totalEntries >= 1 },
+    { id: 'streak-7', name: 'One Week', description: 'Reach a 7-day streak', check: stats => stats.longestStreak >= 7 },
+    { id: 'streak-30', name: 'One Month', description: 'Reach a 30-day streak', check: stats => stats.longestStreak >= 30 },
+    { id: 'streak-100', name: 'Hundred Days', description: 'Reach a 100-day streak', check: stats => stats.longestStreak >= 100 },
+    { id: 'streak-365', name: 'A Whole Year', description: 'Reach a 365-day streak', check: stats => stats.longestStreak >= 365 },
+    { id: 'smiles-100', name: '100 Smiles', description: 'Log 100 smiles', check: stats => stats.totalEntries >= 100 },
+    { id: 'smiles-365', name: '365 Smiles', description: 'Log 365 smiles', check: stats => stats.totalEntries >= 365 },
+    { id: 'full-month', name: 'Full Month', description: 'Log a smile on every day of a calendar month', check: stats => stats.fullMonth },
+    { id: 'pure-joy', name: 'Pure Joy', description: 'Rate a smile "Pure joy" for the first time', check: stats => stats.pureJoy },
+    { id: 'backfill-10', name: 'Caught Up', description: `Fill in a backlog of ${BACKFILL_DAYS} or more missed days`, check: stats => stats.clearedBackfill }
+];
+
+function daysInMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+// Remember the largest backlog while it's being filled in; true when a
+// backlog of BACKFILL_DAYS or more has just been cleared
+function trackBackfill(userId, missedBefore, missedAfter) {
+    const peak = Math.max(db.getBackfillPeak(userId), missedBefore);
+
+    if (missedAfter > 0) {
+        db.setBackfillPeak(userId, peak);
+        return false;
+    }
+
+    db.setBackfillPeak(userId, 0);
+    return peak >= BACKFILL_DAYS;
+}
+
+// Check every achievement after an entry was saved. missedBefore and
+// missedAfter are the numbers of missed days around the save. Returns the
+// achievements unlocked by this save.
+function evaluateAchievements(userId, { missedBefore = 0, missedAfter = 0 } = {}) {
+    const stats = {
+        totalEntries: db.getTotalEntries(userId),
+        longestStreak: db.getLongestStreak(userId),
+        fullMonth: db.getMonthlyDayCounts(userId).some(row => row.days === daysInMonth(row.month)),
+        pureJoy: db.hasRating(userId, 3),
+        clearedBackfill: trackBackfill(userId, missedBefore, missedAfter)
+    };
+
+    const unlocked = new Set(db.getUnlockedAchievements(userId).map(row => row.achievement));
+    const unlockedAt = new Date().toISOString();
+
+    return ACHIEVEMENTS
+        .filter(achievement => !unlocked.has(achievement.id) && achievement.check(stats))
+        .filter(achievement => db.unlockAchievement(userId, achievement.id, unlockedAt))
+        .map(achievement => formatAchievement(achievement, unlockedAt));
+}
+
+function formatAchievement(achievement, unlockedAt = null) {
+    return {
+        id: achievement.id,
+        name: achievement.name,
+        description: achievement.description,
+        unlockedAt
+    };
+}
+
+// Every achievement, with unlockedAt = null for the locked ones
+function getAchievements(userId) {
+    const unlocked = new Map(db.getUnlockedAchievements(userId).map(row => [row.achievement, row.unlocked_at]));
+    return ACHIEVEMENTS.map(achievement => formatAchievement(achievement, unlocked.get(achievement.id) || null));
+}
+
+module.exports = {
+    ACHIEVEMENTS,
+    evaluateAchievements,
+    getAchievements
+};
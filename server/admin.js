@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Admin role CLI
+//
+//   npm run admin                   list admins
+//   npm run admin -- grant <email>  make an account an admin
+//   npm run admin -- revoke <email> take admin rights away
+
+const db = require('./db');
+
+function listAdmins() {
+    const admins = db.getAdmins();
+    if (admins.length === 0) {
+        console.log('No admins yet. Use: npm run admin -- grant <email>');
+        return;
+    }
+    admins.forEach(admin => {
+        console.log(`  ${String(admin.id).padStart(4)}  ${admin.email}`);
+    });
+}
+
+function setAdmin(email, isAdmin) {
+    if (!email) {
+        throw new Error(`Usage: admin ${isAdmin ? 'grant' : 'revoke'} <email>`);
+    }
+    if (!db.setUserAdmin(email, isAdmin)) {
+        throw new Error(`No account for ${email}`);
+    }
+    console.log(isAdmin ? `${email} is now an admin` : `${email} is no longer an admin`);
+}
+
+function main(args) {
+    const [command = 'list', email] = args;
+    const database = db.init();
+
+    try {
+        if (command === 'list') {
+            listAdmins();
+        } else if (command === 'grant') {
+            setAdmin(email, true);
+        } else if (command === 'revoke') {
+            setAdmin(email, false);
+        } else {
+            throw new Error(`Unknown command "${command}". Use list, grant <email> or revoke <email>.`);
+        }
+    } finally {
+        database.close();
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
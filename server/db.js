@@ -1,55 +1,40 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const migrations = require('./migrations');
+const { extractHashtags } = require('./tags');
+const streaks = require('./streaks');
+const { CIPHERTEXT_PREFIX } = require('./encryption');
 
 const dbPath = path.join(__dirname, '../data/smiles.db');
 let db;
 
-function init() {
+// Open the database file without touching its schema
+function openDatabase() {
     // Ensure data directory exists
     const fs = require('fs');
-    const dataDir = path.join(__dirname, '../data');
+    const dataDir = path.dirname(dbPath);
     if (!fs.existsSync(dataDir)) {
         fs.mkdirSync(dataDir, { recursive: true });
     }
 
-    db = new Database(dbPath);
+    const database = new Database(dbPath);
     
     // Enable foreign keys
-    db.pragma('foreign_keys = ON');
-
-    // Create users table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            email TEXT UNIQUE NOT NULL,
-            password TEXT NOT NULL,
-            signup_date TEXT NOT NULL,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    // Create entries table
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS entries (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            date TEXT NOT NULL,
-            text TEXT,
-            rating INTEGER DEFAULT NULL,
-            skipped INTEGER DEFAULT 0,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id),
-            UNIQUE(user_id, date)
-        )
-    `);
-
-    // Add rating column if it doesn't exist (migration for existing databases)
-    try {
-        db.exec(`ALTER TABLE entries ADD COLUMN rating INTEGER DEFAULT NULL`);
-    } catch (e) {
-        // Column already exists, ignore
-    }
+    database.pragma('foreign_keys = ON');
+
+    // Overwrite deleted content, so replaced plaintext doesn't linger in free pages
+    database.pragma('secure_delete = ON');
+    return database;
+}
+
+function init() {
+    db = openDatabase();
+
+    // Bring the schema up to date (throws if the database is newer than the code)
+    const steps = migrations.migrate(db);
+    steps.forEach(step => {
+        console.log(`Applied migration ${step.id}`);
+    });
 
     console.log('Database initialized');
     return db;
@@ -63,12 +48,12 @@ function getDb() {
 }
 
 // User operations
-function createUser(email, hashedPassword, signupDate) {
+function createUser(email, hashedPassword, signupDate, timezone = null) {
     const stmt = getDb().prepare(`
-        INSERT INTO users (email, password, signup_date) 
-        VALUES (?, ?, ?)
+        INSERT INTO users (email, password, signup_date, timezone) 
+        VALUES (?, ?, ?, ?)
     `);
-    const result = stmt.run(email, hashedPassword, signupDate);
+    const result = stmt.run(email, hashedPassword, signupDate, timezone);
     return result.lastInsertRowid;
 }
 
@@ -78,92 +63,868 @@ function getUserByEmail(email) {
 }
 
 function getUserById(id) {
-    const stmt = getDb().prepare('SELECT id, email, signup_date, created_at FROM users WHERE id = ?');
+    const stmt = getDb().prepare(`
+        SELECT id, email, signup_date, timezone, multiple_smiles,
+               streak_freezes, streak_skip_neutral, streak_grace_days,
+               encryption_salt, encryption_iterations, encryption_check,
+               email_verified_at, is_admin, disabled_at, password_reset_required, created_at
+        FROM users WHERE id = ?
+    `);
     return stmt.get(id);
 }
 
+// Erase an account and everything in it, for good. entries has no ON
+// DELETE CASCADE, so its rows go first (taking revisions, tags and
+// attachments with them); the rest cascades from users. Returns false if
+// there was no such user.
+function deleteUser(id) {
+    const database = getDb();
+    const remove = database.transaction(() => {
+        const user = database.prepare('SELECT email FROM users WHERE id = ?').get(id);
+        if (!user) return false;
+
+        database.prepare('DELETE FROM entries WHERE user_id = ?').run(id);
+        // Failed logins for the email may have been logged without the user id
+        database.prepare('DELETE FROM auth_events WHERE user_id = ? OR email = ?').run(id, user.email.toLowerCase());
+        database.prepare('DELETE FROM users WHERE id = ?').run(id);
+        return true;
+    });
+
+    const deleted = remove();
+    if (deleted) {
+        // Merge the search index so the deleted words are really gone
+        database.exec(`INSERT INTO entries_fts(entries_fts) VALUES ('optimize')`);
+    }
+    return deleted;
+}
+
+// A new password also satisfies a reset an admin asked for
 function updateUserPassword(id, hashedPassword) {
-    const stmt = getDb().prepare('UPDATE users SET password = ? WHERE id = ?');
+    const stmt = getDb().prepare('UPDATE users SET password = ?, password_reset_required = 0 WHERE id = ?');
     stmt.run(hashedPassword, id);
 }
 
-// Entry operations
-function createOrUpdateEntry(userId, date, text, skipped = false, rating = null) {
+function updateUserTimezone(id, timezone) {
+    const stmt = getDb().prepare('UPDATE users SET timezone = ? WHERE id = ?');
+    stmt.run(timezone, id);
+}
+
+function updateUserMultipleSmiles(id, enabled) {
+    const stmt = getDb().prepare('UPDATE users SET multiple_smiles = ? WHERE id = ?');
+    stmt.run(enabled ? 1 : 0, id);
+}
+
+// Streak rule operations
+// Streak rules as stored on a user row
+function formatStreakRules(user) {
+    return {
+        freezes: !!user.streak_freezes,
+        skippedNeutral: !!user.streak_skip_neutral,
+        graceDays: user.streak_grace_days || 0
+    };
+}
+
+function updateStreakRules(userId, rules) {
+    const stmt = getDb().prepare(`
+        UPDATE users SET streak_freezes = ?, streak_skip_neutral = ?, streak_grace_days = ? WHERE id = ?
+    `);
+    stmt.run(rules.freezes ? 1 : 0, rules.skippedNeutral ? 1 : 0, rules.graceDays, userId);
+}
+
+// Reminder operations
+function getReminderSettings(userId) {
+    const stmt = getDb().prepare('SELECT reminder_enabled, reminder_time FROM users WHERE id = ?');
+    const row = stmt.get(userId);
+    return row ? { enabled: !!row.reminder_enabled, time: row.reminder_time } : null;
+}
+
+function updateReminderSettings(userId, enabled, time) {
+    const stmt = getDb().prepare('UPDATE users SET reminder_enabled = ?, reminder_time = ? WHERE id = ?');
+    stmt.run(enabled ? 1 : 0, time, userId);
+}
+
+// Accounts an admin has disabled get no reminders
+function getUsersWithReminders() {
+    const stmt = getDb().prepare(`
+        SELECT id, email, signup_date, timezone, reminder_time, reminder_last_sent FROM users
+        WHERE reminder_enabled = 1 AND reminder_time IS NOT NULL AND disabled_at IS NULL
+    `);
+    return stmt.all();
+}
+
+function markReminderSent(userId, date) {
+    const stmt = getDb().prepare('UPDATE users SET reminder_last_sent = ? WHERE id = ?');
+    stmt.run(date, userId);
+}
+
+function savePushSubscription(userId, subscription, userAgent) {
+    const stmt = getDb().prepare(`
+        INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(endpoint) DO UPDATE SET
+            user_id = excluded.user_id,
+            p256dh = excluded.p256dh,
+            auth = excluded.auth,
+            user_agent = excluded.user_agent
+    `);
+    stmt.run(
+        userId,
+        subscription.endpoint,
+        subscription.keys.p256dh,
+        subscription.keys.auth,
+        userAgent,
+        new Date().toISOString()
+    );
+}
+
+function getPushSubscriptions(userId) {
+    const stmt = getDb().prepare('SELECT * FROM push_subscriptions WHERE user_id = ?');
+    return stmt.all(userId);
+}
+
+function deletePushSubscription(userId, endpoint) {
+    const stmt = getDb().prepare('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?');
+    stmt.run(userId, endpoint);
+}
+
+// Session operations
+function createSession(userId, refreshTokenHash, userAgent, ipAddress, expiresAt) {
     const now = new Date().toISOString();
     const stmt = getDb().prepare(`
-        INSERT INTO entries (user_id, date, text, rating, skipped, created_at, updated_at)
+        INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, created_at, last_seen_at, expires_at)
         VALUES (?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(user_id, date) DO UPDATE SET
-            text = excluded.text,
-            rating = excluded.rating,
-            skipped = excluded.skipped,
-            updated_at = excluded.updated_at
     `);
-    stmt.run(userId, date, text, rating, skipped ? 1 : 0, now, now);
+    const result = stmt.run(userId, refreshTokenHash, userAgent, ipAddress, now, now, expiresAt);
+    return result.lastInsertRowid;
 }
 
-function getEntry(userId, date) {
+function getSessionById(id) {
+    const stmt = getDb().prepare('SELECT * FROM sessions WHERE id = ?');
+    return stmt.get(id);
+}
+
+function getSessionByTokenHash(refreshTokenHash) {
+    const stmt = getDb().prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?');
+    return stmt.get(refreshTokenHash);
+}
+
+function getSessionByPreviousTokenHash(refreshTokenHash) {
+    const stmt = getDb().prepare('SELECT * FROM sessions WHERE previous_token_hash = ?');
+    return stmt.get(refreshTokenHash);
+}
+
+function isSessionActive(session) {
+    return !!session && !session.revoked_at && session.expires_at > new Date().toISOString();
+}
+
+// Swap in a new refresh token, remembering the old one to detect reuse
+function rotateSession(id, refreshTokenHash, expiresAt, ipAddress) {
+    const stmt = getDb().prepare(`
+        UPDATE sessions SET
+            previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            expires_at = ?,
+            ip_address = ?,
+            last_seen_at = ?
+        WHERE id = ?
+    `);
+    stmt.run(refreshTokenHash, expiresAt, ipAddress, new Date().toISOString(), id);
+}
+
+// Record activity, at most once a minute per session
+function touchSession(id) {
+    const now = new Date();
+    const threshold = new Date(now.getTime() - 60 * 1000).toISOString();
+    const stmt = getDb().prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ? AND last_seen_at < ?');
+    stmt.run(now.toISOString(), id, threshold);
+}
+
+function getActiveSessions(userId) {
+    const stmt = getDb().prepare(`
+        SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        ORDER BY last_seen_at DESC
+    `);
+    return stmt.all(userId, new Date().toISOString());
+}
+
+function revokeSession(userId, id) {
+    const stmt = getDb().prepare(`
+        UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `);
+    return stmt.run(new Date().toISOString(), id, userId).changes > 0;
+}
+
+function revokeAllSessions(userId) {
+    const stmt = getDb().prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL');
+    return stmt.run(new Date().toISOString(), userId).changes;
+}
+
+// Password reset operations
+// Issuing a new reset token invalidates any earlier unused ones
+function createPasswordReset(userId, tokenHash, expiresAt) {
+    const now = new Date().toISOString();
+    const create = getDb().transaction(() => {
+        getDb().prepare('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL')
+            .run(now, userId);
+        getDb().prepare(`
+            INSERT INTO password_resets (user_id, token_hash, created_at, expires_at)
+            VALUES (?, ?, ?, ?)
+        `).run(userId, tokenHash, now, expiresAt);
+    });
+    create();
+}
+
+// Mark a valid (unused, unexpired) reset token as used and return it
+function consumePasswordReset(tokenHash) {
+    const now = new Date().toISOString();
+    const consume = getDb().transaction(() => {
+        const reset = getDb().prepare(`
+            SELECT * FROM password_resets
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `).get(tokenHash, now);
+
+        if (reset) {
+            getDb().prepare('UPDATE password_resets SET used_at = ? WHERE id = ?').run(now, reset.id);
+        }
+        return reset;
+    });
+    return consume();
+}
+
+// Email confirmation operations
+// Issuing a new link invalidates earlier unused ones for the same purpose
+function createEmailConfirmation(userId, email, purpose, tokenHash, expiresAt) {
+    const now = new Date().toISOString();
+    const create = getDb().transaction(() => {
+        getDb().prepare(`
+            UPDATE email_confirmations SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+        `).run(now, userId, purpose);
+        getDb().prepare(`
+            INSERT INTO email_confirmations (user_id, email, purpose, token_hash, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(userId, email, purpose, tokenHash, now, expiresAt);
+    });
+    create();
+}
+
+// Mark a valid (unused, unexpired) confirmation link as used and return it
+function consumeEmailConfirmation(tokenHash) {
+    const now = new Date().toISOString();
+    const consume = getDb().transaction(() => {
+        const confirmation = getDb().prepare(`
+            SELECT * FROM email_confirmations
+            WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `).get(tokenHash, now);
+
+        if (confirmation) {
+            getDb().prepare('UPDATE email_confirmations SET used_at = ? WHERE id = ?').run(now, confirmation.id);
+        }
+        return confirmation;
+    });
+    return consume();
+}
+
+// The address an email change is waiting to be confirmed for, or null
+function getPendingEmailChange(userId) {
+    const stmt = getDb().prepare(`
+        SELECT email FROM email_confirmations
+        WHERE user_id = ? AND purpose = 'change' AND used_at IS NULL AND expires_at > ?
+        ORDER BY created_at DESC LIMIT 1
+    `);
+    const row = stmt.get(userId, new Date().toISOString());
+    return row ? row.email : null;
+}
+
+// Only verifies the address the link was sent to; false if it has changed since
+function markEmailVerified(userId, email) {
+    const stmt = getDb().prepare(`
+        UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ? AND email = ?
+    `);
+    return stmt.run(new Date().toISOString(), userId, email).changes > 0;
+}
+
+// Switch to a confirmed new address; false if another account has it by now
+function changeUserEmail(userId, email) {
+    const now = new Date().toISOString();
+    const change = getDb().transaction(() => {
+        const taken = getDb().prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(email, userId);
+        if (taken) return false;
+
+        getDb().prepare('UPDATE users SET email = ?, email_verified_at = ? WHERE id = ?').run(email, now, userId);
+        // Links sent to the old address are no good anymore
+        getDb().prepare('UPDATE email_confirmations SET used_at = ? WHERE user_id = ? AND used_at IS NULL')
+            .run(now, userId);
+        return true;
+    });
+    return change();
+}
+
+// Two-factor operations
+function getTwoFactor(userId) {
+    const stmt = getDb().prepare('SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?');
+    return stmt.get(userId);
+}
+
+// Start (or restart) enrollment with a new secret; false if 2FA is already on
+function setPendingTotpSecret(userId, secret) {
+    const stmt = getDb().prepare(`
+        UPDATE users SET totp_secret = ?, totp_last_step = NULL
+        WHERE id = ? AND totp_enabled_at IS NULL
+    `);
+    return stmt.run(secret, userId).changes > 0;
+}
+
+// Insert fresh recovery codes in place of the old ones.
+// Must run inside a transaction.
+function insertRecoveryCodes(userId, codeHashes, now) {
+    getDb().prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    const insert = getDb().prepare('INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)');
+    codeHashes.forEach(codeHash => insert.run(userId, codeHash, now));
+}
+
+// Finish enrollment; false if it isn't pending anymore
+function enableTwoFactor(userId, step, codeHashes) {
+    const now = new Date().toISOString();
+    const enable = getDb().transaction(() => {
+        const result = getDb().prepare(`
+            UPDATE users SET totp_enabled_at = ?, totp_last_step = ?
+            WHERE id = ? AND totp_secret IS NOT NULL AND totp_enabled_at IS NULL
+        `).run(now, step, userId);
+
+        if (result.changes === 0) return false;
+        insertRecoveryCodes(userId, codeHashes, now);
+        return true;
+    });
+    return enable();
+}
+
+function disableTwoFactor(userId) {
+    const disable = getDb().transaction(() => {
+        getDb().prepare(`
+            UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?
+        `).run(userId);
+        getDb().prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    });
+    disable();
+}
+
+// Record the time step a code was accepted for; false if that step (or a
+// later one) was already used, which means the code is being replayed
+function useTotpStep(userId, step) {
+    const stmt = getDb().prepare(`
+        UPDATE users SET totp_last_step = ?
+        WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `);
+    return stmt.run(step, userId, step).changes > 0;
+}
+
+function replaceRecoveryCodes(userId, codeHashes) {
+    const replace = getDb().transaction(() => {
+        insertRecoveryCodes(userId, codeHashes, new Date().toISOString());
+    });
+    replace();
+}
+
+// Mark an unused recovery code as used; false if there's no such code
+function useRecoveryCode(userId, codeHash) {
+    const stmt = getDb().prepare(`
+        UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `);
+    return stmt.run(new Date().toISOString(), userId, codeHash).changes > 0;
+}
+
+function countRecoveryCodes(userId) {
+    const stmt = getDb().prepare('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL');
+    return stmt.get(userId).count;
+}
+
+// Auth audit log
+function logAuthEvent(event, { email = null, userId = null, ipAddress = null, detail = null } = {}) {
+    const stmt = getDb().prepare(`
+        INSERT INTO auth_events (event, email, user_id, ip_address, detail, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(event, email, userId, ipAddress, detail, new Date().toISOString());
+}
+
+// Entry operations
+// A day can hold several smiles. The one with is_primary = 1 is "the" entry
+// for that day: it drives the calendar, streaks and missed days. Skipped
+// days only ever have a primary entry.
+
+// Overwrite an entry, keeping the previous version in entry_revisions.
+// Must run inside a transaction.
+function reviseEntry(existing, text, skipped, rating, now) {
+    const isChanged = existing.text !== text ||
+        existing.rating !== rating ||
+        !!existing.skipped !== !!skipped;
+
+    if (isChanged) {
+        getDb().prepare(`
+            INSERT INTO entry_revisions (entry_id, text, rating, skipped, updated_at, revised_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(existing.id, existing.text, existing.rating, existing.skipped, existing.updated_at, now);
+    }
+
+    getDb().prepare(`
+        UPDATE entries SET text = ?, rating = ?, skipped = ?, updated_at = ? WHERE id = ?
+    `).run(text, rating, skipped ? 1 : 0, now, existing.id);
+}
+
+// Save the primary entry for a day.
+// tags = undefined keeps the tags the entry already has (see syncEntryTags).
+function createOrUpdateEntry(userId, date, text, skipped = false, rating = null, tags = undefined) {
+    const now = new Date().toISOString();
+    const save = getDb().transaction(() => {
+        const existing = getEntry(userId, date);
+        let entryId;
+
+        if (existing) {
+            reviseEntry(existing, text, skipped, rating, now);
+            entryId = existing.id;
+        } else {
+            entryId = getDb().prepare(`
+                INSERT INTO entries (user_id, date, text, rating, skipped, is_primary, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, 1, ?, ?)
+            `).run(userId, date, text, rating, skipped ? 1 : 0, now, now).lastInsertRowid;
+        }
+
+        syncEntryTags(userId, entryId, text, skipped, tags);
+    });
+    save();
+}
+
+// Add another smile to a day. The first smile of a day becomes its primary.
+function addSmile(userId, date, text, rating = null, tags = []) {
+    const now = new Date().toISOString();
+    const add = getDb().transaction(() => {
+        const isPrimary = !getEntry(userId, date);
+        const result = getDb().prepare(`
+            INSERT INTO entries (user_id, date, text, rating, skipped, is_primary, created_at, updated_at)
+            VALUES (?, ?, ?, ?, 0, ?, ?, ?)
+        `).run(userId, date, text, rating, isPrimary ? 1 : 0, now, now);
+
+        syncEntryTags(userId, result.lastInsertRowid, text, false, tags);
+        return result.lastInsertRowid;
+    });
+    return add();
+}
+
+function getSmile(userId, id) {
+    const stmt = getDb().prepare('SELECT * FROM entries WHERE id = ? AND user_id = ?');
+    return stmt.get(id, userId);
+}
+
+// Every smile logged for a day, primary first
+function getSmilesForDate(userId, date) {
     const stmt = getDb().prepare(`
         SELECT * FROM entries WHERE user_id = ? AND date = ?
+        ORDER BY is_primary DESC, created_at ASC, id ASC
     `);
-    return stmt.get(userId, date);
+    return stmt.all(userId, date);
+}
+
+// Update any one smile by id (primary or not), keeping a revision
+function updateSmile(userId, id, text, skipped = false, rating = null, tags = undefined) {
+    const now = new Date().toISOString();
+    const update = getDb().transaction(() => {
+        const existing = getSmile(userId, id);
+        if (!existing) return false;
+
+        reviseEntry(existing, text, skipped, rating, now);
+        syncEntryTags(userId, id, text, skipped, tags);
+        return true;
+    });
+    return update();
+}
+
+function setPrimarySmile(userId, id) {
+    const update = getDb().transaction(() => {
+        const smile = getSmile(userId, id);
+        if (!smile) return false;
+
+        getDb().prepare('UPDATE entries SET is_primary = 0 WHERE user_id = ? AND date = ? AND is_primary = 1')
+            .run(userId, smile.date);
+        getDb().prepare('UPDATE entries SET is_primary = 1 WHERE id = ?').run(id);
+        return true;
+    });
+    return update();
+}
+
+// Only extra smiles can be deleted; a day's primary entry stays
+function deleteSmile(userId, id) {
+    const stmt = getDb().prepare('DELETE FROM entries WHERE id = ? AND user_id = ? AND is_primary = 0');
+    return stmt.run(id, userId).changes > 0;
+}
+
+// Tag operations
+// An entry's tags are the ones the user added (explicit) plus the #hashtags
+// in its text. Skipped days have no tags. Must run inside a transaction.
+function syncEntryTags(userId, entryId, text, skipped, explicitTags = undefined) {
+    if (explicitTags === undefined) {
+        explicitTags = getExplicitTags(entryId);
+    }
+
+    getDb().prepare('DELETE FROM entry_tags WHERE entry_id = ?').run(entryId);
+
+    if (!skipped) {
+        const tags = new Map();
+        extractHashtags(text).forEach(name => tags.set(name, 0));
+        explicitTags.forEach(name => tags.set(name, 1));
+
+        const now = new Date().toISOString();
+        tags.forEach((explicit, name) => {
+            getDb().prepare(`
+                INSERT INTO tags (user_id, name, created_at) VALUES (?, ?, ?)
+                ON CONFLICT(user_id, name) DO NOTHING
+            `).run(userId, name, now);
+            const tag = getDb().prepare('SELECT id FROM tags WHERE user_id = ? AND name = ?').get(userId, name);
+            getDb().prepare('INSERT INTO entry_tags (entry_id, tag_id, explicit) VALUES (?, ?, ?)')
+                .run(entryId, tag.id, explicit);
+        });
+    }
+
+    // Forget tags that are no longer on any entry
+    getDb().prepare(`
+        DELETE FROM tags WHERE user_id = ? AND id NOT IN (SELECT tag_id FROM entry_tags)
+    `).run(userId);
+}
+
+// The tags the user added to an entry, leaving out its #hashtags
+function getExplicitTags(entryId) {
+    const stmt = getDb().prepare(`
+        SELECT t.name FROM entry_tags et
+        JOIN tags t ON t.id = et.tag_id
+        WHERE et.entry_id = ? AND et.explicit = 1
+    `);
+    return stmt.all(entryId).map(row => row.name);
 }
 
-function getAllEntries(userId) {
+// Every tag of a user with the number of entries carrying it
+function getTags(userId) {
     const stmt = getDb().prepare(`
-        SELECT * FROM entries WHERE user_id = ? ORDER BY date DESC
+        SELECT t.name, COUNT(et.entry_id) AS count FROM tags t
+        JOIN entry_tags et ON et.tag_id = t.id
+        WHERE t.user_id = ?
+        GROUP BY t.id
+        ORDER BY count DESC, t.name ASC
     `);
     return stmt.all(userId);
 }
 
-function getEntriesForMonth(userId, year, month) {
-    const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
-    const endDate = `${year}-${String(month).padStart(2, '0')}-31`;
-    
+function getTagsForEntry(entryId) {
     const stmt = getDb().prepare(`
-        SELECT * FROM entries 
-        WHERE user_id = ? AND date >= ? AND date <= ?
-        ORDER BY date ASC
+        SELECT t.name FROM entry_tags et
+        JOIN tags t ON t.id = et.tag_id
+        WHERE et.entry_id = ?
+        ORDER BY t.name ASC
     `);
-    return stmt.all(userId, startDate, endDate);
+    return stmt.all(entryId).map(row => row.name);
 }
 
-function getStreak(userId) {
-    const entries = getDb().prepare(`
-        SELECT date, skipped FROM entries 
-        WHERE user_id = ? AND skipped = 0 AND text IS NOT NULL
-        ORDER BY date DESC
-    `).all(userId);
+// Tags of a user's entries in a date range: [{ entry_id, date, name, explicit }]
+function getEntryTags(userId, from = '0000-00-00', to = '9999-12-31') {
+    const stmt = getDb().prepare(`
+        SELECT et.entry_id, e.date, t.name, et.explicit FROM entry_tags et
+        JOIN entries e ON e.id = et.entry_id
+        JOIN tags t ON t.id = et.tag_id
+        WHERE e.user_id = ? AND e.date >= ? AND e.date <= ?
+        ORDER BY t.name ASC
+    `);
+    return stmt.all(userId, from, to);
+}
+
+// SQL condition matching entries (aliased e) carrying a tag
+const HAS_TAG = `e.id IN (
+    SELECT et.entry_id FROM entry_tags et
+    JOIN tags t ON t.id = et.tag_id
+    WHERE t.user_id = e.user_id AND t.name = ?
+)`;
 
-    if (entries.length === 0) return 0;
+// Attachment operations
+// Saving a photo for an entry replaces the one it had
+function saveAttachment(attachment) {
+    const stmt = getDb().prepare(`
+        INSERT INTO attachments (entry_id, user_id, file_name, thumb_name, mime_type, size, width, height, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(entry_id) DO UPDATE SET
+            file_name = excluded.file_name,
+            thumb_name = excluded.thumb_name,
+            mime_type = excluded.mime_type,
+            size = excluded.size,
+            width = excluded.width,
+            height = excluded.height,
+            created_at = excluded.created_at
+    `);
+    stmt.run(
+        attachment.entry_id,
+        attachment.user_id,
+        attachment.file_name,
+        attachment.thumb_name,
+        attachment.mime_type,
+        attachment.size,
+        attachment.width,
+        attachment.height,
+        new Date().toISOString()
+    );
+}
 
-    let streak = 0;
-    let checkDate = new Date();
-    checkDate.setHours(0, 0, 0, 0);
+function getAttachment(userId, id) {
+    const stmt = getDb().prepare('SELECT * FROM attachments WHERE id = ? AND user_id = ?');
+    return stmt.get(id, userId);
+}
 
-    for (let i = 0; i < 365; i++) {
-        const dateStr = formatDate(checkDate);
-        const entry = entries.find(e => e.date === dateStr);
-        
-        if (entry) {
-            streak++;
-            checkDate.setDate(checkDate.getDate() - 1);
-        } else {
-            break;
+function getAttachmentForEntry(entryId) {
+    const stmt = getDb().prepare('SELECT * FROM attachments WHERE entry_id = ?');
+    return stmt.get(entryId);
+}
+
+function getAttachments(userId) {
+    const stmt = getDb().prepare('SELECT * FROM attachments WHERE user_id = ?');
+    return stmt.all(userId);
+}
+
+function deleteAttachment(id) {
+    const stmt = getDb().prepare('DELETE FROM attachments WHERE id = ?');
+    stmt.run(id);
+}
+
+function getEntryRevisions(userId, date) {
+    const stmt = getDb().prepare(`
+        SELECT r.*, e.is_primary FROM entry_revisions r
+        JOIN entries e ON e.id = r.entry_id
+        WHERE e.user_id = ? AND e.date = ?
+        ORDER BY r.revised_at DESC, r.id DESC
+    `);
+    return stmt.all(userId, date);
+}
+
+function getEntryRevision(userId, date, revisionId) {
+    const stmt = getDb().prepare(`
+        SELECT r.* FROM entry_revisions r
+        JOIN entries e ON e.id = r.entry_id
+        WHERE e.user_id = ? AND e.date = ? AND r.id = ?
+    `);
+    return stmt.get(userId, date, revisionId);
+}
+
+// Import entries from a backup in a single transaction.
+// mode: 'merge' keeps whichever version was updated last,
+// 'overwrite' always replaces, 'skip' leaves existing days alone.
+function importEntries(userId, entries, mode = 'merge') {
+    const result = { imported: [], skipped: [] };
+
+    const run = getDb().transaction(() => {
+        for (const entry of entries) {
+            const existing = getEntry(userId, entry.date);
+
+            if (existing) {
+                if (mode === 'skip') {
+                    result.skipped.push({ date: entry.date, reason: 'Entry already exists' });
+                    continue;
+                }
+                if (mode === 'merge' && entry.updatedAt && existing.updated_at &&
+                    new Date(entry.updatedAt) <= new Date(existing.updated_at)) {
+                    result.skipped.push({ date: entry.date, reason: 'Existing entry is the same or newer' });
+                    continue;
+                }
+            }
+
+            // As when saving: a skipped day can only have its primary entry
+            if (entry.skipped && getSmilesForDate(userId, entry.date).length > 1) {
+                result.skipped.push({ date: entry.date, reason: 'Day has other smiles, so it was not skipped' });
+                continue;
+            }
+
+            createOrUpdateEntry(userId, entry.date, entry.text, entry.skipped, entry.rating, entry.tags);
+
+            // Extra smiles are added unless the same text is already there
+            const existingTexts = getSmilesForDate(userId, entry.date).map(smile => smile.text);
+            (entry.additionalSmiles || []).forEach(smile => {
+                if (!existingTexts.includes(smile.text)) {
+                    addSmile(userId, entry.date, smile.text, smile.rating, smile.tags);
+                }
+            });
+
+            result.imported.push(entry.date);
         }
+    });
+    run();
+
+    return result;
+}
+
+// The primary entry for a day
+function getEntry(userId, date) {
+    const stmt = getDb().prepare(`
+        SELECT * FROM entries WHERE user_id = ? AND date = ? AND is_primary = 1
+    `);
+    return stmt.get(userId, date);
+}
+
+// filters: from/to dates and a rating; skipped days have no rating, so a
+// rating filter leaves them out
+function getAllEntries(userId, tag = null, filters = {}) {
+    const conditions = ['e.user_id = ?'];
+    const params = [userId];
+
+    if (tag) {
+        conditions.push(HAS_TAG);
+        params.push(tag);
+    }
+    if (filters.from) {
+        conditions.push('e.date >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('e.date <= ?');
+        params.push(filters.to);
     }
+    if (filters.rating) {
+        conditions.push('e.rating = ?');
+        params.push(filters.rating);
+    }
+
+    const stmt = getDb().prepare(`
+        SELECT * FROM entries e WHERE ${conditions.join(' AND ')}
+        ORDER BY e.date DESC, e.is_primary DESC, e.created_at ASC, e.id ASC
+    `);
+    return stmt.all(...params);
+}
 
-    return streak;
+// tag limits the result to days with at least one smile carrying that tag
+function getEntriesForMonth(userId, year, month, tag = null) {
+    const monthPrefix = `${year}-${String(month).padStart(2, '0')}`;
+    return getEntriesForRange(userId, `${monthPrefix}-01`, `${monthPrefix}-31`, tag);
 }
 
-function getRandomEntry(userId) {
+function getEntriesForRange(userId, startDate, endDate, tag = null) {
+    // Primary entries only, with the number of smiles on each day
     const stmt = getDb().prepare(`
-        SELECT * FROM entries 
-        WHERE user_id = ? AND skipped = 0 AND text IS NOT NULL
+        SELECT e.*, (
+            SELECT COUNT(*) FROM entries x WHERE x.user_id = e.user_id AND x.date = e.date
+        ) AS smile_count
+        FROM entries e
+        WHERE e.user_id = ? AND e.date >= ? AND e.date <= ? AND e.is_primary = 1
+        ${tag ? `AND e.date IN (SELECT e.date FROM entries e WHERE e.user_id = ? AND ${HAS_TAG})` : ''}
+        ORDER BY e.date ASC
+    `);
+    return tag
+        ? stmt.all(userId, startDate, endDate, userId, tag)
+        : stmt.all(userId, startDate, endDate);
+}
+
+// Current and longest streak, available freezes and the days they covered
+// in the current streak, all under the user's streak rules
+function getStreakSummary(userId) {
+    const user = getUserById(userId);
+    const days = getDb().prepare(`
+        SELECT date, skipped FROM entries
+        WHERE user_id = ? AND is_primary = 1 AND (skipped = 1 OR text IS NOT NULL)
+        ORDER BY date ASC
+    `).all(userId);
+
+    const today = formatDateInTimezone(new Date(), user ? user.timezone : null);
+    return streaks.computeStreaks(days, today, user ? formatStreakRules(user) : streaks.DEFAULT_RULES);
+}
+
+function getStreak(userId) {
+    return getStreakSummary(userId).current;
+}
+
+function getRandomEntry(userId, tag = null) {
+    const stmt = getDb().prepare(`
+        SELECT * FROM entries e
+        WHERE e.user_id = ? AND e.skipped = 0 AND e.text IS NOT NULL
+        ${tag ? `AND ${HAS_TAG}` : ''}
         ORDER BY RANDOM() 
         LIMIT 1
     `);
-    return stmt.get(userId);
+    return tag ? stmt.get(userId, tag) : stmt.get(userId);
+}
+
+// How far either side of the date "the same week" reaches
+const ON_THIS_DAY_WEEK_DAYS = 3;
+
+// Smiles from today's month and day in earlier years, newest first. If no
+// year has one, smiles from the same week in earlier years are returned
+// instead. On Feb 29, Feb 28 stands in for the years without one.
+function getOnThisDay(userId, today) {
+    const first = getDb().prepare(`
+        SELECT MIN(date) AS date FROM entries WHERE user_id = ? AND is_primary = 1
+    `).get(userId);
+    if (!first.date) return { match: null, entries: [] };
+
+    const [year, monthDay] = [parseInt(today.slice(0, 4)), today.slice(5)];
+    const dates = [];
+    for (let y = year - 1; y >= parseInt(first.date.slice(0, 4)); y--) {
+        const isLeapYear = (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+        dates.push(monthDay === '02-29' && !isLeapYear ? `${y}-02-28` : `${y}-${monthDay}`);
+    }
+    if (dates.length === 0) return { match: null, entries: [] };
+
+    const select = (condition, params) => getDb().prepare(`
+        SELECT * FROM entries
+        WHERE user_id = ? AND is_primary = 1 AND skipped = 0 AND text IS NOT NULL
+        AND (${condition})
+        ORDER BY date DESC
+    `).all(userId, ...params);
+
+    const sameDay = select(dates.map(() => 'date = ?').join(' OR '), dates);
+    if (sameDay.length > 0) return { match: 'day', entries: sameDay };
+
+    const ranges = dates.flatMap(date => [
+        addDays(date, -ON_THIS_DAY_WEEK_DAYS),
+        addDays(date, ON_THIS_DAY_WEEK_DAYS)
+    ]);
+    const sameWeek = select(dates.map(() => 'date BETWEEN ? AND ?').join(' OR '), ranges);
+    return { match: sameWeek.length > 0 ? 'week' : null, entries: sameWeek };
+}
+
+// Search markers wrap highlighted terms in snippets. Control characters
+// are used so the client can escape the text before turning them into tags.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Turn free text into an FTS5 query: every word must match, as a prefix
+function buildSearchQuery(text) {
+    const terms = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+    return terms.map(term => `"${term}"*`).join(' ');
+}
+
+function searchEntries(userId, text, filters = {}) {
+    const query = buildSearchQuery(text);
+    if (!query) return [];
+
+    const conditions = ['entries_fts MATCH ?', 'e.user_id = ?', 'e.skipped = 0'];
+    const params = [query, userId];
+
+    if (filters.from) {
+        conditions.push('e.date >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('e.date <= ?');
+        params.push(filters.to);
+    }
+    if (filters.rating) {
+        conditions.push('e.rating = ?');
+        params.push(filters.rating);
+    }
+    params.push(filters.limit || 50);
+
+    const stmt = getDb().prepare(`
+        SELECT e.date, e.text, e.rating,
+            snippet(entries_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS snippet,
+            bm25(entries_fts) AS rank
+        FROM entries_fts
+        JOIN entries e ON e.id = entries_fts.rowid
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY rank ASC, e.date DESC
+        LIMIT ?
+    `);
+    return stmt.all(...params);
 }
 
 function getTotalEntries(userId) {
@@ -174,25 +935,244 @@ function getTotalEntries(userId) {
     return stmt.get(userId).count;
 }
 
+// Years with at least one entry, newest first
+function getEntryYears(userId) {
+    const stmt = getDb().prepare(`
+        SELECT DISTINCT CAST(substr(date, 1, 4) AS INTEGER) AS year FROM entries
+        WHERE user_id = ? ORDER BY year DESC
+    `);
+    return stmt.all(userId).map(row => row.year);
+}
+
+// Number of days with a smile, per month ("YYYY-MM")
+function getMonthlyDayCounts(userId) {
+    const stmt = getDb().prepare(`
+        SELECT substr(date, 1, 7) AS month, COUNT(*) AS days FROM entries
+        WHERE user_id = ? AND is_primary = 1 AND skipped = 0 AND text IS NOT NULL
+        GROUP BY month
+    `);
+    return stmt.all(userId);
+}
+
+function hasRating(userId, rating) {
+    const stmt = getDb().prepare(`
+        SELECT 1 FROM entries WHERE user_id = ? AND skipped = 0 AND rating = ? LIMIT 1
+    `);
+    return !!stmt.get(userId, rating);
+}
+
+function getUnlockedAchievements(userId) {
+    const stmt = getDb().prepare(`
+        SELECT achievement, unlocked_at FROM user_achievements WHERE user_id = ? ORDER BY unlocked_at
+    `);
+    return stmt.all(userId);
+}
+
+// Returns true if the achievement wasn't unlocked before
+function unlockAchievement(userId, achievement, unlockedAt) {
+    const stmt = getDb().prepare(`
+        INSERT OR IGNORE INTO user_achievements (user_id, achievement, unlocked_at) VALUES (?, ?, ?)
+    `);
+    return stmt.run(userId, achievement, unlockedAt).changes > 0;
+}
+
+function getBackfillPeak(userId) {
+    const row = getDb().prepare('SELECT backfill_peak FROM users WHERE id = ?').get(userId);
+    return row ? row.backfill_peak || 0 : 0;
+}
+
+function setBackfillPeak(userId, peak) {
+    getDb().prepare('UPDATE users SET backfill_peak = ? WHERE id = ?').run(peak, userId);
+}
+
+// Encryption operations
+// What the browser needs to derive the key again; null when encryption is off
+function formatEncryption(user) {
+    if (!user.encryption_salt) return null;
+    return {
+        salt: user.encryption_salt,
+        iterations: user.encryption_iterations,
+        check: user.encryption_check
+    };
+}
+
+// Encryption can only be turned on once; returns false if it already was
+function enableEncryption(userId, settings) {
+    const stmt = getDb().prepare(`
+        UPDATE users SET encryption_salt = ?, encryption_iterations = ?, encryption_check = ?
+        WHERE id = ? AND encryption_salt IS NULL
+    `);
+    return stmt.run(settings.salt, settings.iterations, settings.check, userId).changes > 0;
+}
+
+const NOT_ENCRYPTED = `text IS NOT NULL AND text NOT LIKE '${CIPHERTEXT_PREFIX}%'`;
+
+// Entry and revision texts still stored in plaintext, a batch at a time,
+// with how many are left in total
+function getUnencryptedTexts(userId, limit) {
+    const database = getDb();
+    const entries = database.prepare(`
+        SELECT id, text FROM entries WHERE user_id = ? AND ${NOT_ENCRYPTED}
+        ORDER BY id LIMIT ?
+    `).all(userId, limit);
+    const revisions = database.prepare(`
+        SELECT id, text FROM entry_revisions
+        WHERE entry_id IN (SELECT id FROM entries WHERE user_id = ?) AND ${NOT_ENCRYPTED}
+        ORDER BY id LIMIT ?
+    `).all(userId, limit);
+
+    return { entries, revisions, remaining: countUnencryptedTexts(userId) };
+}
+
+function countUnencryptedTexts(userId) {
+    return getDb().prepare(`
+        SELECT
+            (SELECT COUNT(*) FROM entries WHERE user_id = ? AND ${NOT_ENCRYPTED}) +
+            (SELECT COUNT(*) FROM entry_revisions
+             WHERE entry_id IN (SELECT id FROM entries WHERE user_id = ?) AND ${NOT_ENCRYPTED}) AS count
+    `).get(userId, userId).count;
+}
+
+// Swap plaintext for the ciphertext the browser made of it. Rows written
+// since the batch was read (already encrypted) are left alone, and
+// updated_at stays as it was: the smile itself didn't change. The server
+// can't find #hashtags in ciphertext, so the ones the browser found in each
+// entry's plaintext (entry.tags) are kept on as explicit tags.
+function encryptTexts(userId, entries, revisions) {
+    const database = getDb();
+    const updateEntry = database.prepare(`
+        UPDATE entries SET text = ? WHERE id = ? AND user_id = ? AND ${NOT_ENCRYPTED}
+    `);
+    const getSkipped = database.prepare('SELECT skipped FROM entries WHERE id = ?');
+    const updateRevision = database.prepare(`
+        UPDATE entry_revisions SET text = ?
+        WHERE id = ? AND entry_id IN (SELECT id FROM entries WHERE user_id = ?) AND ${NOT_ENCRYPTED}
+    `);
+
+    const encrypted = database.transaction(() => {
+        let count = 0;
+        entries.forEach(entry => {
+            if (updateEntry.run(entry.text, entry.id, userId).changes === 0) return;
+            count++;
+
+            const explicitTags = [...new Set([...getExplicitTags(entry.id), ...entry.tags])];
+            syncEntryTags(userId, entry.id, entry.text, !!getSkipped.get(entry.id).skipped, explicitTags);
+        });
+        revisions.forEach(revision => {
+            count += updateRevision.run(revision.text, revision.id, userId).changes;
+        });
+        return count;
+    })();
+
+    const remaining = countUnencryptedTexts(userId);
+    if (encrypted > 0 && remaining === 0) {
+        // Merge the search index so the words removed from it are really gone
+        database.exec(`INSERT INTO entries_fts(entries_fts) VALUES ('optimize')`);
+    }
+    return { encrypted, remaining };
+}
+
+// Admin operations
+// Returns false if there's no account with that email
+function setUserAdmin(email, isAdmin) {
+    const stmt = getDb().prepare('UPDATE users SET is_admin = ? WHERE email = ?');
+    return stmt.run(isAdmin ? 1 : 0, email).changes > 0;
+}
+
+function getAdmins() {
+    const stmt = getDb().prepare('SELECT id, email FROM users WHERE is_admin = 1 ORDER BY id');
+    return stmt.all();
+}
+
+// Every account with entry counts and when it was last active (an entry
+// saved or a session used). Never includes entry text.
+function getUsersForAdmin() {
+    const stmt = getDb().prepare(`
+        SELECT u.id, u.email, u.signup_date, u.created_at, u.is_admin, u.disabled_at,
+               u.password_reset_required, u.email_verified_at, u.totp_enabled_at,
+               u.encryption_salt IS NOT NULL AS encrypted,
+               (SELECT COUNT(*) FROM entries e WHERE e.user_id = u.id AND e.skipped = 0) AS smile_count,
+               (SELECT COUNT(*) FROM entries e WHERE e.user_id = u.id AND e.skipped = 1) AS skipped_count,
+               NULLIF(MAX(
+                   COALESCE((SELECT MAX(e.updated_at) FROM entries e WHERE e.user_id = u.id), ''),
+                   COALESCE((SELECT MAX(s.last_seen_at) FROM sessions s WHERE s.user_id = u.id), '')
+               ), '') AS last_active_at
+        FROM users u
+        ORDER BY u.id
+    `);
+    return stmt.all();
+}
+
+function setUserDisabled(id, disabled) {
+    const stmt = getDb().prepare('UPDATE users SET disabled_at = ? WHERE id = ?');
+    return stmt.run(disabled ? new Date().toISOString() : null, id).changes > 0;
+}
+
+function requirePasswordReset(id) {
+    const stmt = getDb().prepare('UPDATE users SET password_reset_required = 1 WHERE id = ?');
+    return stmt.run(id).changes > 0;
+}
+
+// Instance-wide counts for the admin console; nothing about any one user.
+// since is a YYYY-MM-DD date, which compares fine against both timestamp
+// formats in the database.
+function getInstanceStats(since) {
+    const database = getDb();
+    const count = (sql, ...params) => database.prepare(sql).get(...params).count;
+
+    const photos = database.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM attachments').get();
+    const ratings = {};
+    database.prepare(`
+        SELECT rating, COUNT(*) AS count FROM entries WHERE skipped = 0 AND rating IS NOT NULL GROUP BY rating
+    `).all().forEach(row => {
+        ratings[row.rating] = row.count;
+    });
+
+    return {
+        users: {
+            total: count('SELECT COUNT(*) AS count FROM users'),
+            admins: count('SELECT COUNT(*) AS count FROM users WHERE is_admin = 1'),
+            disabled: count('SELECT COUNT(*) AS count FROM users WHERE disabled_at IS NOT NULL'),
+            verified: count('SELECT COUNT(*) AS count FROM users WHERE email_verified_at IS NOT NULL'),
+            twoFactor: count('SELECT COUNT(*) AS count FROM users WHERE totp_enabled_at IS NOT NULL'),
+            encrypted: count('SELECT COUNT(*) AS count FROM users WHERE encryption_salt IS NOT NULL'),
+            newSince: count('SELECT COUNT(*) AS count FROM users WHERE created_at >= ?', since),
+            activeSince: count(`
+                SELECT COUNT(*) AS count FROM users u
+                WHERE EXISTS (SELECT 1 FROM entries e WHERE e.user_id = u.id AND e.updated_at >= ?)
+                   OR EXISTS (SELECT 1 FROM sessions s WHERE s.user_id = u.id AND s.last_seen_at >= ?)
+            `, since, since)
+        },
+        entries: {
+            smiles: count('SELECT COUNT(*) AS count FROM entries WHERE skipped = 0'),
+            skipped: count('SELECT COUNT(*) AS count FROM entries WHERE skipped = 1'),
+            revisions: count('SELECT COUNT(*) AS count FROM entry_revisions'),
+            tags: count('SELECT COUNT(*) AS count FROM tags'),
+            photos: photos.count,
+            photoBytes: photos.bytes,
+            createdSince: count('SELECT COUNT(*) AS count FROM entries WHERE created_at >= ?', since),
+            ratings
+        },
+        signupsByMonth: database.prepare(`
+            SELECT substr(created_at, 1, 7) AS month, COUNT(*) AS count FROM users
+            GROUP BY month ORDER BY month DESC LIMIT 12
+        `).all().reverse()
+    };
+}
+
 function getMissedDays(userId, signupDate) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const signup = new Date(signupDate + 'T00:00:00');
     const missedDays = [];
     
-    let checkDate = new Date(today);
-    checkDate.setDate(checkDate.getDate() - 1); // Start from yesterday
+    let checkDate = addDays(getToday(userId), -1); // Start from yesterday
     
-    while (checkDate >= signup) {
-        const dateStr = formatDate(checkDate);
-        const entry = getEntry(userId, dateStr);
+    while (checkDate >= signupDate) {
+        const entry = getEntry(userId, checkDate);
         
         if (!entry) {
-            missedDays.push(dateStr);
+            missedDays.push(checkDate);
         }
         
-        checkDate.setDate(checkDate.getDate() - 1);
+        checkDate = addDays(checkDate, -1);
     }
     
     return missedDays.reverse(); // Oldest first
@@ -205,51 +1185,147 @@ function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
-function getLongestStreak(userId) {
-    const entries = getDb().prepare(`
-        SELECT date FROM entries 
-        WHERE user_id = ? AND skipped = 0 AND text IS NOT NULL
-        ORDER BY date ASC
-    `).all(userId);
+// Timezone helpers
+// A user without a stored timezone falls back to the server's local clock
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
 
-    if (entries.length === 0) return 0;
+function formatDateInTimezone(date, timezone) {
+    if (!timezone) return formatDate(date);
 
-    let longestStreak = 1;
-    let currentStreak = 1;
-    
-    for (let i = 1; i < entries.length; i++) {
-        const prevDate = new Date(entries[i - 1].date + 'T00:00:00');
-        const currDate = new Date(entries[i].date + 'T00:00:00');
-        
-        // Check if dates are consecutive
-        const diffDays = Math.round((currDate - prevDate) / (1000 * 60 * 60 * 24));
-        
-        if (diffDays === 1) {
-            currentStreak++;
-            longestStreak = Math.max(longestStreak, currentStreak);
-        } else {
-            currentStreak = 1;
-        }
-    }
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
 
-    return longestStreak;
+// Today's date (YYYY-MM-DD) as seen from the user's timezone
+function getToday(userId) {
+    const user = getUserById(userId);
+    return formatDateInTimezone(new Date(), user ? user.timezone : null);
+}
+
+// Shift a YYYY-MM-DD string by a number of days, independent of any timezone
+function addDays(dateString, days) {
+    const date = new Date(dateString + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function getLongestStreak(userId) {
+    return getStreakSummary(userId).longest;
 }
 
 module.exports = {
+    dbPath,
+    openDatabase,
     init,
     getDb,
     createUser,
     getUserByEmail,
     getUserById,
+    deleteUser,
     updateUserPassword,
+    updateUserTimezone,
+    updateUserMultipleSmiles,
+    formatStreakRules,
+    updateStreakRules,
+    formatEncryption,
+    enableEncryption,
+    getReminderSettings,
+    updateReminderSettings,
+    getUsersWithReminders,
+    markReminderSent,
+    savePushSubscription,
+    getPushSubscriptions,
+    deletePushSubscription,
+    createSession,
+    getSessionById,
+    getSessionByTokenHash,
+    getSessionByPreviousTokenHash,
+    isSessionActive,
+    rotateSession,
+    touchSession,
+    getActiveSessions,
+    revokeSession,
+    revokeAllSessions,
+    createPasswordReset,
+    consumePasswordReset,
+    createEmailConfirmation,
+    consumeEmailConfirmation,
+    getPendingEmailChange,
+    markEmailVerified,
+    changeUserEmail,
+    getTwoFactor,
+    setPendingTotpSecret,
+    enableTwoFactor,
+    disableTwoFactor,
+    useTotpStep,
+    replaceRecoveryCodes,
+    useRecoveryCode,
+    countRecoveryCodes,
+    logAuthEvent,
     createOrUpdateEntry,
+    addSmile,
+    getSmile,
+    getSmilesForDate,
+    updateSmile,
+    setPrimarySmile,
+    deleteSmile,
+    getTags,
+    getTagsForEntry,
+    getEntryTags,
+    saveAttachment,
+    getAttachment,
+    getAttachmentForEntry,
+    getAttachments,
+    deleteAttachment,
+    importEntries,
+    getEntryRevisions,
+    getEntryRevision,
+    getUnencryptedTexts,
+    encryptTexts,
     getEntry,
     getAllEntries,
     getEntriesForMonth,
+    getEntriesForRange,
+    getStreakSummary,
     getStreak,
     getLongestStreak,
     getRandomEntry,
+    getOnThisDay,
+    searchEntries,
     getTotalEntries,
+    getEntryYears,
+    getMonthlyDayCounts,
+    hasRating,
+    getUnlockedAchievements,
+    unlockAchievement,
+    getBackfillPeak,
+    setBackfillPeak,
+    setUserAdmin,
+    getAdmins,
+    getUsersForAdmin,
+    setUserDisabled,
+    requirePasswordReset,
+    getInstanceStats,
     getMissedDays,
-    formatDate
+    formatDate,
+    formatDateInTimezone,
+    isValidTimezone,
+    getToday,
+    addDays
 };
@@ -0,0 +1,51 @@
+// End-to-end encryption of entry text. Smiles are encrypted in the browser
+// (AES-GCM, with a key derived from the user's passphrase by PBKDF2) and
+// arrive here as "enc:v1:<iv>:<ciphertext>", both base64. The server never
+// sees the key; it only checks that encrypted accounts send ciphertext.
+
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+// 12-byte IV, then at least the 16-byte GCM tag
+const CIPHERTEXT_PATTERN = /^enc:v1:([A-Za-z0-9+/]{16}):([A-Za-z0-9+/]{22,}={0,2})$/;
+
+const SALT_PATTERN = /^[A-Za-z0-9+/]{22,}={0,2}$/;
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+
+const GCM_TAG_BYTES = 16;
+
+function isEncrypted(text) {
+    return typeof text === 'string' && CIPHERTEXT_PATTERN.test(text);
+}
+
+// Length of the text, for insights. Encrypted text gives away the UTF-8
+// byte length of what it hides, which is close enough.
+function textLength(text) {
+    if (!isEncrypted(text)) return text.length;
+    const ciphertext = text.match(CIPHERTEXT_PATTERN)[2];
+    return Math.max(Buffer.from(ciphertext, 'base64').length - GCM_TAG_BYTES, 0);
+}
+
+// Validate the settings a client sends to turn encryption on;
+// returns { settings } or { error }
+function parseEncryptionSettings(input) {
+    const { salt, iterations, check } = input || {};
+
+    if (typeof salt !== 'string' || !SALT_PATTERN.test(salt)) {
+        return { error: 'Invalid salt' };
+    }
+    if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+        return { error: `Iterations must be a whole number from ${MIN_ITERATIONS} to ${MAX_ITERATIONS}` };
+    }
+    if (!isEncrypted(check)) {
+        return { error: 'Invalid passphrase check' };
+    }
+    return { settings: { salt, iterations, check } };
+}
+
+module.exports = {
+    CIPHERTEXT_PREFIX,
+    isEncrypted,
+    textLength,
+    parseEncryptionSettings
+};
@@ -0,0 +1,182 @@
+// Text export formats: a Markdown journal, CSV for spreadsheets and an
+// iCalendar file with one all-day event per smile. Each takes entries as
+// returned by db.getAllEntries (newest first) and a map of entry id to tag
+// names, and returns the file contents as a string.
+
+const RATING_LABELS = { 1: 'Small win', 2: 'Made my day', 3: 'Pure joy' };
+
+// Content type and file extension of each format
+const FORMATS = {
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+};
+
+function formatDay(date, options) {
+    return new Date(date + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+}
+
+// ---- Markdown ----
+
+// Keep smile text from turning into headings, lists or quotes
+function escapeMarkdownLine(line) {
+    return line.replace(/^(\s*)([#>*+-]|\d+\.)(\s|$)/, '$1\\$2$3');
+}
+
+function toMarkdown(entries, tagsByEntry) {
+    const lines = ['# 1 Smile a Day', ''];
+    let month = null;
+    let date = null;
+
+    entries.slice().reverse().forEach(entry => {
+        const entryMonth = entry.date.slice(0, 7);
+        if (entryMonth !== month) {
+            month = entryMonth;
+            lines.push(`## ${formatDay(entry.date, { year: 'numeric', month: 'long' })}`, '');
+        }
+        if (entry.date !== date) {
+            date = entry.date;
+            lines.push(`### ${formatDay(entry.date, { weekday: 'long', month: 'long', day: 'numeric' })}`, '');
+        }
+
+        if (entry.skipped || entry.text === null) {
+            lines.push('_Nothing made me smile this day._', '');
+            return;
+        }
+
+        lines.push(...entry.text.split(/\r?\n/).map(escapeMarkdownLine), '');
+
+        const details = [];
+        if (entry.rating) details.push(`**${RATING_LABELS[entry.rating]}**`);
+        (tagsByEntry[entry.id] || []).forEach(tag => details.push(`#${tag}`));
+        if (details.length > 0) {
+            lines.push(details.join(' · '), '');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// ---- CSV ----
+
+const CSV_COLUMNS = ['date', 'primary', 'text', 'rating', 'rating_label', 'tags', 'skipped', 'created_at', 'updated_at'];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheets would run text starting with these as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries, tagsByEntry) {
+    const rows = entries.slice().reverse().map(entry => [
+        entry.date,
+        entry.is_primary ? 1 : 0,
+        entry.text,
+        entry.rating,
+        entry.rating ? RATING_LABELS[entry.rating] : null,
+        (tagsByEntry[entry.id] || []).join(' '),
+        entry.skipped ? 1 : 0,
+        entry.created_at,
+        entry.updated_at
+    ]);
+
+    // The byte order mark makes Excel read the file as UTF-8
+    return '\ufeff' + [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ---- iCalendar ----
+
+function icsText(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes are folded onto continuation lines
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > 75) {
+            parts.push(current);
+            current = ' ';
+            bytes = 1;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function nextDate(date) {
+    const next = new Date(date + 'T00:00:00Z');
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+function summarize(text, length = 60) {
+    const line = text.split(/\r?\n/)[0].trim();
+    return line.length > length ? line.slice(0, length - 1) + '…' : line;
+}
+
+// Skipped days have no smile, so they get no event
+function toIcs(entries, tagsByEntry, host = '1smileaday') {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//1 Smile a Day//Export//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:1 Smile a Day'
+    ];
+
+    entries.slice().reverse().forEach(entry => {
+        if (entry.skipped || entry.text === null) return;
+
+        const tags = tagsByEntry[entry.id] || [];
+        const description = [
+            entry.text,
+            entry.rating ? RATING_LABELS[entry.rating] : null,
+            tags.length > 0 ? tags.map(tag => `#${tag}`).join(' ') : null
+        ].filter(Boolean).join('\n\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:smile-${entry.id}@${host}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(entry.date)}`,
+            `DTEND;VALUE=DATE:${icsDate(nextDate(entry.date))}`,
+            `SUMMARY:${icsText(summarize(entry.text))}`,
+            `DESCRIPTION:${icsText(description)}`
+        );
+        if (tags.length > 0) {
+            lines.push(`CATEGORIES:${tags.map(icsText).join(',')}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    RATING_LABELS,
+    FORMATS,
+    toMarkdown,
+    toCsv,
+    toIcs
+};
@@ -2,23 +2,57 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const db = require('./db');
+const reminders = require('./reminders');
 const authRoutes = require('./routes/auth');
 const entriesRoutes = require('./routes/entries');
+const remindersRoutes = require('./routes/reminders');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, req.ip (used for rate limiting) comes from
+// X-Forwarded-For only if the proxy is trusted: a hop count or addresses
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Initialize database
-db.init();
+// Initialize database (runs pending migrations)
+try {
+    db.init();
+} catch (error) {
+    console.error('Failed to initialize database:', error.message);
+    process.exit(1);
+}
+
+// ADMIN_EMAIL makes that (existing) account an admin; more can be added
+// with `npm run admin`
+if (process.env.ADMIN_EMAIL) {
+    if (db.setUserAdmin(process.env.ADMIN_EMAIL, true)) {
+        console.log(`Admin: ${process.env.ADMIN_EMAIL}`);
+    } else {
+        console.warn(`ADMIN_EMAIL: no account for ${process.env.ADMIN_EMAIL} yet. Sign up, then restart the server.`);
+    }
+}
+
+// Account and admin responses are never stored, by the browser or by the
+// service worker's offline cache
+function noStore(req, res, next) {
+    res.set('Cache-Control', 'no-store');
+    next();
+}
 
 // Routes
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', noStore, authRoutes);
 app.use('/api/entries', entriesRoutes);
+app.use('/api/reminders', remindersRoutes);
+app.use('/api/admin', noStore, adminRoutes);
 
 // Serve frontend for all other routes
 app.get('*', (req, res) => {
@@ -26,6 +60,9 @@ app.get('*', (req, res) => {
 });
 
 app.listen(PORT, () => {
+    // Check for due daily reminders once a minute
+    reminders.startScheduler();
+
     console.log(`
 ╔════════════════════════════════════════╗
 ║         1 SMILE A DAY                  ║
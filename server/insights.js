@@ -0,0 +1,143 @@
+const db = require('./db');
+const { textLength } = require('./encryption');
+
+// Aggregations behind the insights page. Only the length of entry text is
+// used, never its content.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS") is UTC without a marker
+function parseTimestamp(value) {
+    if (!value) return null;
+    const iso = value.includes('T') ? value : value.replace(' ', 'T') + 'Z';
+    const date = new Date(iso);
+    return isNaN(date) ? null : date;
+}
+
+function getWeekday(dateString) {
+    return new Date(dateString + 'T00:00:00Z').getUTCDay();
+}
+
+function emptyMonth(month) {
+    return {
+        month,
+        ratings: { 1: 0, 2: 0, 3: 0, unrated: 0 },
+        days: 0,
+        entries: 0,
+        skipped: 0,
+        totalLength: 0
+    };
+}
+
+function getInsights(userId) {
+    const user = db.getUserById(userId);
+    const entries = db.getAllEntries(userId).slice().reverse(); // oldest first
+
+    const months = new Map();
+    const years = new Map();
+    const weekdays = WEEKDAYS.map(day => ({ day, count: 0 }));
+    let sameDay = 0;
+    let backfilled = 0;
+    let totalLength = 0;
+    let smiles = 0;
+
+    entries.forEach(entry => {
+        const monthKey = entry.date.slice(0, 7);
+        const yearKey = entry.date.slice(0, 4);
+        if (!months.has(monthKey)) months.set(monthKey, emptyMonth(monthKey));
+        if (!years.has(yearKey)) {
+            years.set(yearKey, {
+                year: parseInt(yearKey),
+                entries: 0,
+                skipped: 0,
+                pureJoy: 0,
+                ratingTotal: 0,
+                ratedCount: 0,
+                totalLength: 0,
+                monthly: new Array(12).fill(0)
+            });
+        }
+
+        const month = months.get(monthKey);
+        const year = years.get(yearKey);
+
+        // Only the primary entry counts as the day itself
+        if (entry.is_primary) {
+            month.days++;
+        }
+
+        // Logged on the day itself, or filled in later?
+        const createdAt = parseTimestamp(entry.created_at);
+        if (createdAt) {
+            if (db.formatDateInTimezone(createdAt, user.timezone) <= entry.date) {
+                sameDay++;
+            } else {
+                backfilled++;
+            }
+        }
+
+        if (entry.skipped || entry.text === null) {
+            month.skipped++;
+            year.skipped++;
+            return;
+        }
+
+        const length = textLength(entry.text);
+        smiles++;
+        totalLength += length;
+
+        month.entries++;
+        month.totalLength += length;
+        month.ratings[entry.rating || 'unrated']++;
+
+        year.entries++;
+        year.totalLength += length;
+        year.monthly[parseInt(entry.date.slice(5, 7)) - 1]++;
+        if (entry.rating) {
+            year.ratingTotal += entry.rating;
+            year.ratedCount++;
+        }
+        if (entry.rating === 3) {
+            year.pureJoy++;
+        }
+
+        weekdays[getWeekday(entry.date)].count++;
+    });
+
+    const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+    return {
+        totals: {
+            entries: smiles,
+            skipped: entries.length - smiles,
+            averageLength: smiles > 0 ? Math.round(totalLength / smiles) : 0
+        },
+        months: [...months.values()].map(month => {
+            return {
+                month: month.month,
+                ratings: month.ratings,
+                entries: month.entries,
+                skipped: month.skipped,
+                skipRate: month.days > 0 ? round(month.skipped / month.days, 3) : 0,
+                averageLength: month.entries > 0 ? Math.round(month.totalLength / month.entries) : 0
+            };
+        }),
+        weekdays,
+        timing: {
+            sameDay,
+            backfilled,
+            sameDayRatio: sameDay + backfilled > 0 ? round(sameDay / (sameDay + backfilled), 3) : 0
+        },
+        years: [...years.values()].map(year => ({
+            year: year.year,
+            entries: year.entries,
+            skipped: year.skipped,
+            pureJoy: year.pureJoy,
+            averageRating: year.ratedCount > 0 ? round(year.ratingTotal / year.ratedCount, 2) : null,
+            averageLength: year.entries > 0 ? Math.round(year.totalLength / year.entries) : 0,
+            monthly: year.monthly
+        }))
+    };
+}
+
+module.exports = { getInsights };
@@ -0,0 +1,56 @@
+// Outgoing mail with a pluggable transport.
+//
+// MAIL_TRANSPORT picks the transport:
+//   smtp - deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file - write each message to data/mail/ and log it (default, for local development)
+//   mock - keep messages in memory (for tests)
+//
+// MAIL_FROM sets the sender address.
+
+const transports = {
+    smtp: require('./transports/smtp'),
+    file: require('./transports/file'),
+    mock: require('./transports/mock')
+};
+
+const DEFAULT_FROM = '1 Smile a Day <no-reply@localhost>';
+
+let transport = null;
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'file') {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return factory.create();
+}
+
+function getTransport() {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+}
+
+// Swap the transport at runtime (e.g. a mock transport in tests)
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    const message = {
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html
+    };
+    await getTransport().send(message);
+}
+
+module.exports = {
+    createTransport,
+    getTransport,
+    setTransport,
+    sendMail
+};
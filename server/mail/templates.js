@@ -0,0 +1,63 @@
+// Message bodies for outgoing mail
+
+function passwordReset({ resetUrl, expiresInMinutes }) {
+    return {
+        subject: 'Reset your 1 Smile a Day password',
+        text: [
+            'Someone asked to reset the password for your 1 Smile a Day account.',
+            '',
+            'Open this link to choose a new password:',
+            resetUrl,
+            '',
+            `The link works once and expires in ${expiresInMinutes} minutes.`,
+            'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+    };
+}
+
+function emailVerification({ confirmUrl, expiresInHours }) {
+    return {
+        subject: 'Confirm your email for 1 Smile a Day',
+        text: [
+            'Welcome to 1 Smile a Day!',
+            '',
+            'Open this link to confirm that this is your email address:',
+            confirmUrl,
+            '',
+            `The link works once and expires in ${expiresInHours} hours.`,
+            'If you did not sign up, you can ignore this email.'
+        ].join('\n')
+    };
+}
+
+function emailChange({ confirmUrl, email, expiresInHours }) {
+    return {
+        subject: 'Confirm your new email for 1 Smile a Day',
+        text: [
+            `Someone asked to change the email of a 1 Smile a Day account to ${email}.`,
+            '',
+            'Open this link to confirm the change:',
+            confirmUrl,
+            '',
+            'Your email only changes once you open the link. You will then be signed out',
+            'everywhere and can log in with this address.',
+            '',
+            `The link works once and expires in ${expiresInHours} hours.`,
+            'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+    };
+}
+
+// Sent to the old address once a change has been confirmed
+function emailChanged({ email }) {
+    return {
+        subject: 'Your 1 Smile a Day email was changed',
+        text: [
+            `The email of your 1 Smile a Day account was changed to ${email}.`,
+            '',
+            'If you did not make this change, someone else may know your password.'
+        ].join('\n')
+    };
+}
+
+module.exports = { passwordReset, emailVerification, emailChange, emailChanged };
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+const mailDir = path.join(__dirname, '../../../data/mail');
+
+// Write each message to data/mail/ as plain text and log where it went
+function create() {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(mailDir, { recursive: true });
+
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.txt`;
+            const filePath = path.join(mailDir, fileName);
+            const contents = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                '',
+                message.text
+            ].join('\n');
+
+            await fs.promises.writeFile(filePath, contents);
+            console.log(`Mail to ${message.to} ("${message.subject}") written to ${filePath}`);
+        }
+    };
+}
+
+module.exports = { create };
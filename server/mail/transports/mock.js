@@ -0,0 +1,20 @@
+// Keep messages in memory so tests can inspect what was sent
+function create() {
+    const sent = [];
+
+    return {
+        name: 'mock',
+        sent,
+        async send(message) {
+            sent.push(message);
+        },
+        last() {
+            return sent[sent.length - 1] || null;
+        },
+        clear() {
+            sent.length = 0;
+        }
+    };
+}
+
+module.exports = { create };
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// Deliver through an SMTP server configured from the environment
+function create() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+}
+
+module.exports = { create };
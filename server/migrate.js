@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+//   npm run migrate                 apply all pending migrations
+//   npm run migrate -- status       show applied and pending migrations
+//   npm run migrate -- to <version> migrate up or down to a version (0 = empty)
+
+const db = require('./db');
+const migrations = require('./migrations');
+
+function printStatus(database) {
+    const status = migrations.getStatus(database);
+
+    console.log(`Database: ${db.dbPath}`);
+    console.log(`Schema version: ${status.current} (latest: ${status.latest})\n`);
+
+    status.migrations.forEach(m => {
+        const state = m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`  ${String(m.version).padStart(3, '0')}  ${m.name.padEnd(32)} ${state}`);
+    });
+
+    if (status.current > status.latest) {
+        console.log(`\nWARNING: database is newer than this code (version ${status.current}).`);
+    }
+}
+
+function run(database, target) {
+    const steps = migrations.migrate(database, target);
+
+    if (steps.length === 0) {
+        console.log('Nothing to migrate.');
+    }
+    steps.forEach(step => {
+        const verb = step.direction === 'up' ? 'Applied' : 'Reverted';
+        console.log(`${verb} migration ${step.id}`);
+    });
+    console.log(`Schema version: ${migrations.getCurrentVersion(database)}`);
+}
+
+function main(args) {
+    const [command = 'latest', version] = args;
+    const database = db.openDatabase();
+
+    try {
+        if (command === 'status') {
+            printStatus(database);
+        } else if (command === 'latest') {
+            run(database);
+        } else if (command === 'to') {
+            const target = parseInt(version, 10);
+            if (isNaN(target) || target < 0) {
+                throw new Error('Usage: migrate to <version>');
+            }
+            run(database, target);
+        } else {
+            throw new Error(`Unknown command "${command}". Use status, latest or to <version>.`);
+        }
+    } finally {
+        database.close();
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
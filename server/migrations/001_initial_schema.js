@@ -0,0 +1,35 @@
+// Users and entries, as created by the original init().
+// Uses IF NOT EXISTS so databases created before migrations existed
+// are adopted without changes.
+function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT UNIQUE NOT NULL,
+            password TEXT NOT NULL,
+            signup_date TEXT NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            date TEXT NOT NULL,
+            text TEXT,
+            skipped INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(user_id, date)
+        )
+    `);
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS entries');
+    db.exec('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
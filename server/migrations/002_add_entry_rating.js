@@ -0,0 +1,14 @@
+const { hasColumn } = require('./helpers');
+
+// 1 = Small win, 2 = Made my day, 3 = Pure joy
+function up(db) {
+    if (!hasColumn(db, 'entries', 'rating')) {
+        db.exec('ALTER TABLE entries ADD COLUMN rating INTEGER DEFAULT NULL');
+    }
+}
+
+function down(db) {
+    db.exec('ALTER TABLE entries DROP COLUMN rating');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+const { hasColumn } = require('./helpers');
+
+// IANA timezone name; NULL means the server's local clock
+function up(db) {
+    if (!hasColumn(db, 'users', 'timezone')) {
+        db.exec('ALTER TABLE users ADD COLUMN timezone TEXT DEFAULT NULL');
+    }
+}
+
+function down(db) {
+    db.exec('ALTER TABLE users DROP COLUMN timezone');
+}
+
+module.exports = { up, down };
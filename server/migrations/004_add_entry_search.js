@@ -0,0 +1,40 @@
+// Full-text index over entries.text, kept in sync by triggers
+function up(db) {
+    db.exec(`
+        CREATE VIRTUAL TABLE entries_fts USING fts5(
+            text,
+            content='entries',
+            content_rowid='id',
+            tokenize='porter unicode61'
+        )
+    `);
+
+    db.exec(`
+        CREATE TRIGGER entries_fts_insert AFTER INSERT ON entries BEGIN
+            INSERT INTO entries_fts(rowid, text) VALUES (new.id, new.text);
+        END;
+
+        CREATE TRIGGER entries_fts_delete AFTER DELETE ON entries BEGIN
+            INSERT INTO entries_fts(entries_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        END;
+
+        CREATE TRIGGER entries_fts_update AFTER UPDATE OF text ON entries BEGIN
+            INSERT INTO entries_fts(entries_fts, rowid, text) VALUES ('delete', old.id, old.text);
+            INSERT INTO entries_fts(rowid, text) VALUES (new.id, new.text);
+        END;
+    `);
+
+    // Index entries written before this migration
+    db.exec(`INSERT INTO entries_fts(entries_fts) VALUES ('rebuild')`);
+}
+
+function down(db) {
+    db.exec(`
+        DROP TRIGGER IF EXISTS entries_fts_insert;
+        DROP TRIGGER IF EXISTS entries_fts_delete;
+        DROP TRIGGER IF EXISTS entries_fts_update;
+        DROP TABLE IF EXISTS entries_fts;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Previous versions of an entry, written whenever an entry is changed
+function up(db) {
+    db.exec(`
+        CREATE TABLE entry_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL,
+            text TEXT,
+            rating INTEGER DEFAULT NULL,
+            skipped INTEGER DEFAULT 0,
+            updated_at TEXT,
+            revised_at TEXT NOT NULL,
+            FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_entry_revisions_entry ON entry_revisions(entry_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS entry_revisions');
+}
+
+module.exports = { up, down };
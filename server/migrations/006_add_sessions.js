@@ -0,0 +1,28 @@
+// Server-side sessions backing rotating refresh tokens.
+// Only SHA-256 hashes of refresh tokens are stored.
+function up(db) {
+    db.exec(`
+        CREATE TABLE sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            refresh_token_hash TEXT NOT NULL UNIQUE,
+            previous_token_hash TEXT DEFAULT NULL,
+            user_agent TEXT,
+            ip_address TEXT,
+            created_at TEXT NOT NULL,
+            last_seen_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            revoked_at TEXT DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_sessions_user ON sessions(user_id)');
+    db.exec('CREATE INDEX idx_sessions_previous_token ON sessions(previous_token_hash)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Single-use password reset tokens (only SHA-256 hashes are stored)
+function up(db) {
+    db.exec(`
+        CREATE TABLE password_resets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            used_at TEXT DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_password_resets_user ON password_resets(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS password_resets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+const { hasColumn } = require('./helpers');
+
+// Daily reminder settings per user, and their Web Push subscriptions
+function up(db) {
+    if (!hasColumn(db, 'users', 'reminder_enabled')) {
+        db.exec('ALTER TABLE users ADD COLUMN reminder_enabled INTEGER DEFAULT 0');
+    }
+    // Local time of day (HH:MM) in the user's timezone
+    if (!hasColumn(db, 'users', 'reminder_time')) {
+        db.exec('ALTER TABLE users ADD COLUMN reminder_time TEXT DEFAULT NULL');
+    }
+    // Local date (YYYY-MM-DD) the reminder was last handled for
+    if (!hasColumn(db, 'users', 'reminder_last_sent')) {
+        db.exec('ALTER TABLE users ADD COLUMN reminder_last_sent TEXT DEFAULT NULL');
+    }
+
+    db.exec(`
+        CREATE TABLE push_subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            endpoint TEXT NOT NULL UNIQUE,
+            p256dh TEXT NOT NULL,
+            auth TEXT NOT NULL,
+            user_agent TEXT,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS push_subscriptions');
+    db.exec('ALTER TABLE users DROP COLUMN reminder_last_sent');
+    db.exec('ALTER TABLE users DROP COLUMN reminder_time');
+    db.exec('ALTER TABLE users DROP COLUMN reminder_enabled');
+}
+
+module.exports = { up, down };
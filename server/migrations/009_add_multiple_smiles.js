@@ -0,0 +1,94 @@
+const { hasColumn } = require('./helpers');
+
+// Several smiles per day (opt-in per user). UNIQUE(user_id, date) becomes a
+// partial unique index, so each day still has exactly one primary entry.
+// SQLite can't drop a table constraint, so entries is rebuilt; its FTS
+// triggers are dropped along with the old table and recreated.
+
+const FTS_TRIGGERS = `
+    CREATE TRIGGER entries_fts_insert AFTER INSERT ON entries BEGIN
+        INSERT INTO entries_fts(rowid, text) VALUES (new.id, new.text);
+    END;
+
+    CREATE TRIGGER entries_fts_delete AFTER DELETE ON entries BEGIN
+        INSERT INTO entries_fts(entries_fts, rowid, text) VALUES ('delete', old.id, old.text);
+    END;
+
+    CREATE TRIGGER entries_fts_update AFTER UPDATE OF text ON entries BEGIN
+        INSERT INTO entries_fts(entries_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        INSERT INTO entries_fts(rowid, text) VALUES (new.id, new.text);
+    END;
+`;
+
+function up(db) {
+    if (!hasColumn(db, 'users', 'multiple_smiles')) {
+        db.exec('ALTER TABLE users ADD COLUMN multiple_smiles INTEGER DEFAULT 0');
+    }
+
+    db.exec(`
+        CREATE TABLE entries_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            date TEXT NOT NULL,
+            text TEXT,
+            skipped INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            rating INTEGER DEFAULT NULL,
+            is_primary INTEGER NOT NULL DEFAULT 1,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    db.exec(`
+        INSERT INTO entries_new (id, user_id, date, text, skipped, created_at, updated_at, rating, is_primary)
+        SELECT id, user_id, date, text, skipped, created_at, updated_at, rating, 1 FROM entries
+    `);
+
+    db.exec('DROP TABLE entries');
+    db.exec('ALTER TABLE entries_new RENAME TO entries');
+
+    db.exec('CREATE UNIQUE INDEX idx_entries_primary ON entries(user_id, date) WHERE is_primary = 1');
+    db.exec('CREATE INDEX idx_entries_user_date ON entries(user_id, date)');
+
+    db.exec(FTS_TRIGGERS);
+    db.exec(`INSERT INTO entries_fts(entries_fts) VALUES ('rebuild')`);
+}
+
+// Going back keeps only the primary smile of each day
+function down(db) {
+    db.exec(`
+        DELETE FROM entry_revisions WHERE entry_id IN (SELECT id FROM entries WHERE is_primary = 0);
+        DELETE FROM entries WHERE is_primary = 0;
+    `);
+
+    db.exec(`
+        CREATE TABLE entries_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            date TEXT NOT NULL,
+            text TEXT,
+            skipped INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            rating INTEGER DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(user_id, date)
+        )
+    `);
+
+    db.exec(`
+        INSERT INTO entries_new (id, user_id, date, text, skipped, created_at, updated_at, rating)
+        SELECT id, user_id, date, text, skipped, created_at, updated_at, rating FROM entries
+    `);
+
+    db.exec('DROP TABLE entries');
+    db.exec('ALTER TABLE entries_new RENAME TO entries');
+
+    db.exec(FTS_TRIGGERS);
+    db.exec(`INSERT INTO entries_fts(entries_fts) VALUES ('rebuild')`);
+
+    db.exec('ALTER TABLE users DROP COLUMN multiple_smiles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Tags per user, linked to entries. "explicit" marks tags the user added
+// by hand; the others were picked up from #hashtags in the entry text.
+function up(db) {
+    db.exec(`
+        CREATE TABLE tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE(user_id, name)
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE entry_tags (
+            entry_id INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            explicit INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (entry_id, tag_id),
+            FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_entry_tags_tag ON entry_tags(tag_id)');
+
+    // Tag entries written before this migration from their hashtags
+    const { extractHashtags } = require('../tags');
+    const insertTag = db.prepare(`
+        INSERT INTO tags (user_id, name, created_at) VALUES (?, ?, ?)
+        ON CONFLICT(user_id, name) DO NOTHING
+    `);
+    const getTag = db.prepare('SELECT id FROM tags WHERE user_id = ? AND name = ?');
+    const linkTag = db.prepare('INSERT OR IGNORE INTO entry_tags (entry_id, tag_id, explicit) VALUES (?, ?, 0)');
+    const now = new Date().toISOString();
+
+    db.prepare('SELECT id, user_id, text FROM entries WHERE skipped = 0 AND text IS NOT NULL').all().forEach(entry => {
+        extractHashtags(entry.text).forEach(name => {
+            insertTag.run(entry.user_id, name, now);
+            linkTag.run(entry.id, getTag.get(entry.user_id, name).id);
+        });
+    });
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS entry_tags');
+    db.exec('DROP TABLE IF EXISTS tags');
+}
+
+module.exports = { up, down };
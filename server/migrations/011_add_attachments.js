@@ -0,0 +1,28 @@
+// One photo per entry. The image files live under data/photos/; this table
+// records where, and who may see them.
+function up(db) {
+    db.exec(`
+        CREATE TABLE attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL UNIQUE,
+            user_id INTEGER NOT NULL,
+            file_name TEXT NOT NULL,
+            thumb_name TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_attachments_user ON attachments(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS attachments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+const { hasColumn } = require('./helpers');
+
+// Per-user streak rules. The defaults keep the original behavior: every
+// day needs a smile, and a skipped day ends the streak.
+function up(db) {
+    if (!hasColumn(db, 'users', 'streak_freezes')) {
+        db.exec('ALTER TABLE users ADD COLUMN streak_freezes INTEGER DEFAULT 0');
+    }
+    if (!hasColumn(db, 'users', 'streak_skip_neutral')) {
+        db.exec('ALTER TABLE users ADD COLUMN streak_skip_neutral INTEGER DEFAULT 0');
+    }
+    // Days a missing smile can still be logged before it breaks the streak
+    if (!hasColumn(db, 'users', 'streak_grace_days')) {
+        db.exec('ALTER TABLE users ADD COLUMN streak_grace_days INTEGER DEFAULT 0');
+    }
+}
+
+function down(db) {
+    db.exec('ALTER TABLE users DROP COLUMN streak_grace_days');
+    db.exec('ALTER TABLE users DROP COLUMN streak_skip_neutral');
+    db.exec('ALTER TABLE users DROP COLUMN streak_freezes');
+}
+
+module.exports = { up, down };
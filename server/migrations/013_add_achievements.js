@@ -0,0 +1,27 @@
+const { hasColumn } = require('./helpers');
+
+// Unlocked achievements per user. backfill_peak is the largest number of
+// missed days seen while the user works through a backfill; it goes back
+// to 0 once nothing is left to fill in.
+function up(db) {
+    db.exec(`
+        CREATE TABLE user_achievements (
+            user_id INTEGER NOT NULL,
+            achievement TEXT NOT NULL,
+            unlocked_at TEXT NOT NULL,
+            PRIMARY KEY (user_id, achievement),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    if (!hasColumn(db, 'users', 'backfill_peak')) {
+        db.exec('ALTER TABLE users ADD COLUMN backfill_peak INTEGER DEFAULT 0');
+    }
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS user_achievements');
+    db.exec('ALTER TABLE users DROP COLUMN backfill_peak');
+}
+
+module.exports = { up, down };
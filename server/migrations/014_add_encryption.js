@@ -0,0 +1,25 @@
+const { hasColumn } = require('./helpers');
+
+// Opt-in end-to-end encryption. The key is derived in the browser from a
+// passphrase; the server only keeps the PBKDF2 salt and iteration count,
+// plus a known value encrypted with the key so a typed passphrase can be
+// checked. NULL salt = encryption is off.
+function up(db) {
+    if (!hasColumn(db, 'users', 'encryption_salt')) {
+        db.exec('ALTER TABLE users ADD COLUMN encryption_salt TEXT DEFAULT NULL');
+    }
+    if (!hasColumn(db, 'users', 'encryption_iterations')) {
+        db.exec('ALTER TABLE users ADD COLUMN encryption_iterations INTEGER DEFAULT NULL');
+    }
+    if (!hasColumn(db, 'users', 'encryption_check')) {
+        db.exec('ALTER TABLE users ADD COLUMN encryption_check TEXT DEFAULT NULL');
+    }
+}
+
+function down(db) {
+    db.exec('ALTER TABLE users DROP COLUMN encryption_check');
+    db.exec('ALTER TABLE users DROP COLUMN encryption_iterations');
+    db.exec('ALTER TABLE users DROP COLUMN encryption_salt');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Audit log of failed logins, account lockouts and rate-limited requests.
+// user_id is set when the email belongs to an account.
+function up(db) {
+    db.exec(`
+        CREATE TABLE auth_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event TEXT NOT NULL,
+            email TEXT,
+            user_id INTEGER DEFAULT NULL,
+            ip_address TEXT,
+            detail TEXT,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_auth_events_email ON auth_events(email, created_at)');
+    db.exec('CREATE INDEX idx_auth_events_user ON auth_events(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS auth_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+const { hasColumn } = require('./helpers');
+
+// TOTP two-factor login. totp_secret is set when enrollment starts and
+// totp_enabled_at once the first code is confirmed; totp_last_step is the
+// last time step a code was accepted for, so codes can't be replayed.
+// Recovery codes are single-use and only stored as SHA-256 hashes.
+function up(db) {
+    if (!hasColumn(db, 'users', 'totp_secret')) {
+        db.exec('ALTER TABLE users ADD COLUMN totp_secret TEXT DEFAULT NULL');
+    }
+    if (!hasColumn(db, 'users', 'totp_enabled_at')) {
+        db.exec('ALTER TABLE users ADD COLUMN totp_enabled_at TEXT DEFAULT NULL');
+    }
+    if (!hasColumn(db, 'users', 'totp_last_step')) {
+        db.exec('ALTER TABLE users ADD COLUMN totp_last_step INTEGER DEFAULT NULL');
+    }
+
+    db.exec(`
+        CREATE TABLE recovery_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            used_at TEXT DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS recovery_codes');
+    db.exec('ALTER TABLE users DROP COLUMN totp_last_step');
+    db.exec('ALTER TABLE users DROP COLUMN totp_enabled_at');
+    db.exec('ALTER TABLE users DROP COLUMN totp_secret');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+const { hasColumn } = require('./helpers');
+
+// Email verification. email_verified_at is set once the address has been
+// confirmed; accounts from before this migration start out unverified.
+// email_confirmations holds single-use links (SHA-256 hashes only) that
+// either verify the current address ("verify") or switch the account to a
+// new one ("change"), which only happens once the link is opened.
+function up(db) {
+    if (!hasColumn(db, 'users', 'email_verified_at')) {
+        db.exec('ALTER TABLE users ADD COLUMN email_verified_at TEXT DEFAULT NULL');
+    }
+
+    db.exec(`
+        CREATE TABLE email_confirmations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            purpose TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            used_at TEXT DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX idx_email_confirmations_user ON email_confirmations(user_id)');
+}
+
+function down(db) {
+    db.exec('DROP TABLE IF EXISTS email_confirmations');
+    db.exec('ALTER TABLE users DROP COLUMN email_verified_at');
+}
+
+module.exports = { up, down };
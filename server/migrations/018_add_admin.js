@@ -0,0 +1,24 @@
+const { hasColumn } = require('./helpers');
+
+// Instance administration. is_admin grants the /api/admin routes;
+// disabled_at blocks logins; password_reset_required blocks logins until
+// the password has been reset through an emailed link.
+function up(db) {
+    if (!hasColumn(db, 'users', 'is_admin')) {
+        db.exec('ALTER TABLE users ADD COLUMN is_admin INTEGER DEFAULT 0');
+    }
+    if (!hasColumn(db, 'users', 'disabled_at')) {
+        db.exec('ALTER TABLE users ADD COLUMN disabled_at TEXT DEFAULT NULL');
+    }
+    if (!hasColumn(db, 'users', 'password_reset_required')) {
+        db.exec('ALTER TABLE users ADD COLUMN password_reset_required INTEGER DEFAULT 0');
+    }
+}
+
+function down(db) {
+    db.exec('ALTER TABLE users DROP COLUMN password_reset_required');
+    db.exec('ALTER TABLE users DROP COLUMN disabled_at');
+    db.exec('ALTER TABLE users DROP COLUMN is_admin');
+}
+
+module.exports = { up, down };
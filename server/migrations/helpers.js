@@ -0,0 +1,7 @@
+// Shared helpers for migration files
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+module.exports = { hasColumn };
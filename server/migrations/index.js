@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named NNN_description.js and export up(db) / down(db)
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations() {
+    const migrations = fs.readdirSync(__dirname)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const migration = require(path.join(__dirname, file));
+            return {
+                id: file.replace(/\.js$/, ''),
+                version: parseInt(version, 10),
+                name,
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.id} has no up()`);
+        }
+    });
+
+    return migrations;
+}
+
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+}
+
+function getAppliedMigrations(db) {
+    ensureMigrationsTable(db);
+    return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+}
+
+function getCurrentVersion(db) {
+    const applied = getAppliedMigrations(db);
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+}
+
+// Run one migration step inside a transaction. Foreign keys are switched
+// off for the duration (SQLite ignores the pragma inside a transaction) so
+// migrations can rebuild tables, and checked again before committing.
+function runStep(db, migration, direction) {
+    db.pragma('foreign_keys = OFF');
+    try {
+        db.transaction(() => {
+            if (direction === 'up') {
+                migration.up(db);
+                db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                    .run(migration.version, migration.name, new Date().toISOString());
+            } else {
+                migration.down(db);
+                db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+            }
+
+            const violations = db.pragma('foreign_key_check');
+            if (violations.length > 0) {
+                throw new Error(`Migration ${migration.id} left ${violations.length} foreign key violation(s)`);
+            }
+        })();
+    } finally {
+        db.pragma('foreign_keys = ON');
+    }
+}
+
+// Bring the database to the target version (defaults to the latest one).
+// Refuses to touch a database whose schema is newer than this code.
+function migrate(db, target) {
+    const migrations = loadMigrations();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const current = getCurrentVersion(db);
+
+    if (current > latest) {
+        throw new Error(
+            `Database schema is at version ${current}, but this code only knows up to version ${latest}. ` +
+            'Upgrade the app before running it against this database.'
+        );
+    }
+
+    if (target === undefined) {
+        target = latest;
+    }
+
+    if (target !== 0 && !migrations.some(m => m.version === target)) {
+        throw new Error(`Unknown migration version ${target}`);
+    }
+
+    const steps = [];
+
+    if (target > current) {
+        const applied = new Set(getAppliedMigrations(db).map(m => m.version));
+        migrations
+            .filter(m => m.version <= target && !applied.has(m.version))
+            .forEach(migration => {
+                runStep(db, migration, 'up');
+                steps.push({ direction: 'up', id: migration.id, version: migration.version });
+            });
+    } else if (target < current) {
+        const applied = new Set(getAppliedMigrations(db).map(m => m.version));
+        migrations
+            .filter(m => m.version > target && applied.has(m.version))
+            .reverse()
+            .forEach(migration => {
+                if (typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${migration.id} cannot be reverted`);
+                }
+                runStep(db, migration, 'down');
+                steps.push({ direction: 'down', id: migration.id, version: migration.version });
+            });
+    }
+
+    return steps;
+}
+
+function getStatus(db) {
+    const migrations = loadMigrations();
+    const applied = new Map(getAppliedMigrations(db).map(m => [m.version, m]));
+
+    return {
+        current: getCurrentVersion(db),
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        migrations: migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+        }))
+    };
+}
+
+module.exports = {
+    loadMigrations,
+    getCurrentVersion,
+    migrate,
+    getStatus
+};
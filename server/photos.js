@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('./db');
+
+// Photos are stored under data/photos/<userId>/ with random file names, and
+// only ever served through the authenticated entries routes.
+const photosDir = path.join(__dirname, '../data/photos');
+
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+const MAX_DIMENSION = 2048;
+const THUMB_SIZE = 320;
+
+// Accepted upload types and the format sharp must detect in the file
+const ALLOWED_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+function getPhotoPath(attachment, thumb = false) {
+    return path.join(photosDir, String(attachment.user_id), thumb ? attachment.thumb_name : attachment.file_name);
+}
+
+function removeFiles(attachment) {
+    [getPhotoPath(attachment), getPhotoPath(attachment, true)].forEach(file => {
+        fs.rm(file, { force: true }, error => {
+            if (error) console.error('Photo cleanup error:', error.message);
+        });
+    });
+}
+
+// Check, clean and store an uploaded image for an entry, replacing any
+// previous photo. Returns { attachment } or { error }.
+async function savePhoto(userId, entryId, buffer, mimeType) {
+    if (!ALLOWED_TYPES[mimeType]) {
+        return { error: 'Only JPEG, PNG, WebP and GIF images are allowed' };
+    }
+
+    if (buffer.length > MAX_PHOTO_BYTES) {
+        return { error: `Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB` };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return { error: 'File is not a valid image' };
+    }
+
+    if (metadata.format !== ALLOWED_TYPES[mimeType]) {
+        return { error: 'File contents do not match its type' };
+    }
+
+    // Re-encoding drops EXIF (GPS position, camera details) and every other
+    // metadata block; rotate() first applies the EXIF orientation to the pixels.
+    // PNGs stay PNG so transparency survives, everything else becomes JPEG.
+    const isPng = metadata.format === 'png';
+    const image = sharp(buffer)
+        .rotate()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await (isPng ? image.png() : image.flatten({ background: '#000' }).jpeg({ quality: 85 }))
+        .toBuffer({ resolveWithObject: true });
+
+    const thumb = await sharp(buffer)
+        .rotate()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' })
+        .flatten({ background: '#000' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+
+    const name = crypto.randomBytes(16).toString('hex');
+    const attachment = {
+        user_id: userId,
+        entry_id: entryId,
+        file_name: `${name}.${isPng ? 'png' : 'jpg'}`,
+        thumb_name: `${name}_thumb.jpg`,
+        mime_type: isPng ? 'image/png' : 'image/jpeg',
+        size: data.length,
+        width: info.width,
+        height: info.height
+    };
+
+    const userDir = path.join(photosDir, String(userId));
+    await fs.promises.mkdir(userDir, { recursive: true });
+    await fs.promises.writeFile(getPhotoPath(attachment), data);
+    await fs.promises.writeFile(getPhotoPath(attachment, true), thumb);
+
+    const previous = db.getAttachmentForEntry(entryId);
+    db.saveAttachment(attachment);
+    if (previous) {
+        removeFiles(previous);
+    }
+
+    return { attachment: db.getAttachmentForEntry(entryId) };
+}
+
+// Remove an entry's photo, if it has one
+function deletePhoto(entryId) {
+    const attachment = db.getAttachmentForEntry(entryId);
+    if (!attachment) return false;
+
+    db.deleteAttachment(attachment.id);
+    removeFiles(attachment);
+    return true;
+}
+
+// Remove every photo file of a deleted account
+async function deleteUserPhotos(userId) {
+    await fs.promises.rm(path.join(photosDir, String(userId)), { recursive: true, force: true });
+}
+
+module.exports = {
+    MAX_PHOTO_BYTES,
+    ALLOWED_TYPES,
+    getPhotoPath,
+    savePhoto,
+    deletePhoto,
+    deleteUserPhotos
+};
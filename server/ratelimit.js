@@ -0,0 +1,150 @@
+const db = require('./db');
+
+// In-process throttling for the auth routes: a fixed window of requests per
+// IP address, and a lockout per email after repeated failed logins whose
+// cooling-off period doubles with each lockout. Counters live in memory, so
+// they start over when the server restarts and aren't shared between
+// processes; failed logins and lockouts are also written to auth_events.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests per IP address and window, per route. failuresOnly routes count
+// failed attempts alone (see recordIpFailure), so people behind one address
+// don't use up each other's logins just by logging in.
+const IP_LIMITS = {
+    login: { max: 20, windowMs: 15 * MINUTE, failuresOnly: true },
+    register: { max: 5, windowMs: HOUR },
+    'forgot-password': { max: 5, windowMs: HOUR },
+    email: { max: 5, windowMs: HOUR }
+};
+
+// Failed logins in a row that lock an email, and the first lockout's length
+const MAX_FAILURES = 5;
+const BASE_LOCKOUT_MS = MINUTE;
+const MAX_LOCKOUT_MS = 24 * HOUR;
+
+// An email's lockout history is forgotten after a day without failures
+const FORGET_AFTER_MS = 24 * HOUR;
+const SWEEP_INTERVAL_MS = 10 * MINUTE;
+
+const ipWindows = new Map(); // "route:ip" -> { count, resetAt }
+const accounts = new Map(); // email -> { failures, lockouts, lockedUntil, lastFailureAt }
+let lastSweep = Date.now();
+
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+// Drop windows and accounts that no longer hold anything back
+function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+
+    ipWindows.forEach((window, key) => {
+        if (window.resetAt <= now) ipWindows.delete(key);
+    });
+    accounts.forEach((account, email) => {
+        if (account.lockedUntil <= now && now - account.lastFailureAt > FORGET_AFTER_MS) {
+            accounts.delete(email);
+        }
+    });
+}
+
+// "45 seconds", "2 minutes", "3 hours"
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const [value, unit] = seconds < 60 ? [seconds, 'second']
+        : seconds < 3600 ? [Math.ceil(seconds / 60), 'minute']
+        : [Math.ceil(seconds / 3600), 'hour'];
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+function sendTooManyRequests(res, waitMs, message) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: `${message} Try again in ${formatWait(waitMs)}.`, code: 'rate_limited', retryAfter });
+}
+
+// Count a request from this IP; returns how long it must wait, or 0
+function hitIpLimit(route, ip, now = Date.now()) {
+    sweep(now);
+
+    const { max, windowMs } = IP_LIMITS[route];
+    const key = `${route}:${ip}`;
+    let window = ipWindows.get(key);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        ipWindows.set(key, window);
+    }
+
+    window.count++;
+    return window.count > max ? window.resetAt - now : 0;
+}
+
+// How long this IP must wait before its next request, without counting one
+function getIpWait(route, ip, now = Date.now()) {
+    const window = ipWindows.get(`${route}:${ip}`);
+    if (!window || window.resetAt <= now) return 0;
+    return window.count >= IP_LIMITS[route].max ? window.resetAt - now : 0;
+}
+
+// Count a failed attempt from this IP on a failuresOnly route
+function recordIpFailure(route, ip) {
+    hitIpLimit(route, ip);
+}
+
+// Middleware for one of the IP_LIMITS routes
+function limitByIp(route) {
+    return (req, res, next) => {
+        const waitMs = IP_LIMITS[route].failuresOnly ? getIpWait(route, req.ip) : hitIpLimit(route, req.ip);
+        if (!waitMs) return next();
+
+        db.logAuthEvent('rate_limited', {
+            email: req.body && req.body.email ? normalizeEmail(req.body.email) : null,
+            ipAddress: req.ip,
+            detail: route
+        });
+        sendTooManyRequests(res, waitMs, 'Too many requests from your network.');
+    };
+}
+
+// How long this email is still locked out, or 0
+function getLockout(email, now = Date.now()) {
+    const account = accounts.get(normalizeEmail(email));
+    return account && account.lockedUntil > now ? account.lockedUntil - now : 0;
+}
+
+// Count a failed login; returns the length of the lockout it started, or 0.
+// Emails without an account are counted too, so a lockout doesn't tell
+// whether an account exists.
+function recordFailure(email, now = Date.now()) {
+    const key = normalizeEmail(email);
+    const account = accounts.get(key) || { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: 0 };
+    accounts.set(key, account);
+
+    account.failures++;
+    account.lastFailureAt = now;
+    if (account.failures < MAX_FAILURES) return 0;
+
+    const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** account.lockouts, MAX_LOCKOUT_MS);
+    account.failures = 0;
+    account.lockouts++;
+    account.lockedUntil = now + lockoutMs;
+    return lockoutMs;
+}
+
+function recordSuccess(email) {
+    accounts.delete(normalizeEmail(email));
+}
+
+module.exports = {
+    MAX_FAILURES,
+    normalizeEmail,
+    sendTooManyRequests,
+    limitByIp,
+    recordIpFailure,
+    getLockout,
+    recordFailure,
+    recordSuccess
+};
@@ -0,0 +1,359 @@
+const PDFDocument = require('pdfkit');
+const db = require('./db');
+const streaks = require('./streaks');
+const { RATING_LABELS } = require('./exporters');
+const encryption = require('./encryption');
+
+// "Year in Smiles": a printable recap of one year, as a self-contained HTML
+// page or a PDF, built from the same data.
+
+// Heatmap fills follow the calendar (see .calendar-day.* in public/styles.css)
+const HEATMAP_COLORS = {
+    1: '#3d3d3d',
+    2: '#666666',
+    3: '#ffffff',
+    unrated: '#2a2a2a',
+    skipped: '#1a1a1a',
+    empty: '#000000'
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const TOP_TAGS = 5;
+
+// Shown instead of smiles the server can't read
+const ENCRYPTED_TEXT = 'End-to-end encrypted. Open the app to read this smile.';
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function formatDay(date) {
+    return new Date(date + 'T00:00:00Z').toLocaleDateString('en-US', {
+        timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric'
+    });
+}
+
+// Everything the recap shows; null if the year has no entries
+function getYearReview(userId, year) {
+    const from = `${year}-01-01`;
+    const to = `${year}-12-31`;
+    const entries = db.getAllEntries(userId, null, { from, to }).slice().reverse(); // oldest first
+    if (entries.length === 0) return null;
+
+    const user = db.getUserById(userId);
+    const today = db.getToday(userId);
+
+    const tagsByEntry = {};
+    const tagCounts = new Map();
+    db.getEntryTags(userId, from, to).forEach(row => {
+        tagsByEntry[row.entry_id] = tagsByEntry[row.entry_id] || [];
+        tagsByEntry[row.entry_id].push(row.name);
+        tagCounts.set(row.name, (tagCounts.get(row.name) || 0) + 1);
+    });
+
+    const days = {};
+    const months = MONTH_NAMES.map((name, index) => ({ month: index + 1, name, smiles: [], skipped: 0 }));
+    const pureJoy = [];
+    let ratingTotal = 0;
+    let rated = 0;
+
+    entries.forEach(entry => {
+        const month = months[parseInt(entry.date.slice(5, 7)) - 1];
+
+        if (entry.skipped || entry.text === null) {
+            if (entry.is_primary) {
+                days[entry.date] = 'skipped';
+                month.skipped++;
+            }
+            return;
+        }
+
+        if (entry.is_primary) {
+            days[entry.date] = entry.rating || 'unrated';
+        }
+
+        const smile = {
+            date: entry.date,
+            text: encryption.isEncrypted(entry.text) ? null : entry.text,
+            rating: entry.rating,
+            tags: tagsByEntry[entry.id] || []
+        };
+        month.smiles.push(smile);
+
+        if (entry.rating) {
+            ratingTotal += entry.rating;
+            rated++;
+        }
+        if (entry.rating === 3) {
+            pureJoy.push(smile);
+        }
+    });
+
+    // Longest streak within the year, under the user's streak rules
+    const streakDays = entries
+        .filter(entry => entry.is_primary && (entry.skipped || entry.text !== null))
+        .map(entry => ({ date: entry.date, skipped: !!entry.skipped }));
+    const { longest } = streaks.computeStreaks(streakDays, to < today ? to : today, db.formatStreakRules(user));
+
+    const bestMonth = months.reduce((best, month) => month.smiles.length > best.smiles.length ? month : best);
+
+    return {
+        year,
+        email: user.email,
+        days,
+        stats: {
+            smiles: months.reduce((sum, month) => sum + month.smiles.length, 0),
+            daysLogged: Object.values(days).filter(value => value !== 'skipped').length,
+            skippedDays: Object.values(days).filter(value => value === 'skipped').length,
+            pureJoy: pureJoy.length,
+            averageRating: rated > 0 ? Math.round(ratingTotal / rated * 100) / 100 : null,
+            longestStreak: longest,
+            bestMonth: bestMonth.smiles.length > 0 ? { name: bestMonth.name, smiles: bestMonth.smiles.length } : null,
+            topTags: [...tagCounts.entries()]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, TOP_TAGS)
+                .map(([name, count]) => ({ name, count }))
+        },
+        pureJoy,
+        months
+    };
+}
+
+function heatmapColor(review, month, day) {
+    const date = `${review.year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return HEATMAP_COLORS[review.days[date] || 'empty'];
+}
+
+function statList(review) {
+    const { stats } = review;
+    return [
+        ['Smiles', stats.smiles],
+        ['Days logged', stats.daysLogged],
+        ['Days skipped', stats.skippedDays],
+        ['Pure joy', stats.pureJoy],
+        ['Longest streak', `${stats.longestStreak} ${stats.longestStreak === 1 ? 'day' : 'days'}`],
+        ['Average rating', stats.averageRating !== null ? stats.averageRating.toFixed(2) : '-'],
+        ['Best month', stats.bestMonth ? `${stats.bestMonth.name} (${stats.bestMonth.smiles})` : '-'],
+        ['Top tags', stats.topTags.length > 0 ? stats.topTags.map(tag => `#${tag.name} (${tag.count})`).join(', ') : '-']
+    ];
+}
+
+// ---- HTML ----
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderHeatmapSvg(review) {
+    const cell = 14;
+    const gap = 3;
+    const labelWidth = 40;
+    const width = labelWidth + 31 * (cell + gap);
+    const height = 12 * (cell + gap);
+
+    const rows = MONTH_NAMES.map((name, index) => {
+        const y = index * (cell + gap);
+        const cells = [];
+        for (let day = 1; day <= daysInMonth(review.year, index + 1); day++) {
+            const x = labelWidth + (day - 1) * (cell + gap);
+            cells.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${heatmapColor(review, index + 1, day)}" stroke="#333" />`);
+        }
+        return `<text x="0" y="${y + cell - 3}" fill="#fff" font-size="11">${name.slice(0, 3)}</text>${cells.join('')}`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Heatmap of ${review.year}">${rows}</svg>`;
+}
+
+function renderSmileHtml(smile) {
+    const details = [
+        smile.rating ? RATING_LABELS[smile.rating] : null,
+        ...smile.tags.map(tag => `#${tag}`)
+    ].filter(Boolean).join(' · ');
+    const text = smile.text === null
+        ? `<div class="smile-text encrypted">${ENCRYPTED_TEXT}</div>`
+        : `<div class="smile-text">${escapeHtml(smile.text)}</div>`;
+
+    return `
+        <div class="smile">
+            <div class="smile-date">${escapeHtml(formatDay(smile.date))}${details ? ` · ${escapeHtml(details)}` : ''}</div>
+            ${text}
+        </div>`;
+}
+
+function renderHtml(review) {
+    const legend = [['Small win', 1], ['Made my day', 2], ['Pure joy', 3], ['No rating', 'unrated'], ['Skipped', 'skipped']]
+        .map(([label, key]) => `<span><i style="background:${HEATMAP_COLORS[key]}"></i>${label}</span>`)
+        .join('');
+
+    const stats = statList(review)
+        .map(([label, value]) => `<div class="stat"><div class="stat-value">${escapeHtml(value)}</div><div class="stat-label">${label}</div></div>`)
+        .join('');
+
+    const months = review.months
+        .filter(month => month.smiles.length > 0 || month.skipped > 0)
+        .map(month => `
+            <section class="month">
+                <h3>${month.name} <span>${month.smiles.length} ${month.smiles.length === 1 ? 'smile' : 'smiles'}${month.skipped > 0 ? ` · ${month.skipped} skipped` : ''}</span></h3>
+                ${month.smiles.map(renderSmileHtml).join('')}
+            </section>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${review.year} in Smiles</title>
+<style>
+    * { box-sizing: border-box; }
+    body { font-family: 'Courier New', Courier, monospace; color: #000; background: #fff; max-width: 800px; margin: 0 auto; padding: 40px 24px; }
+    h1 { font-size: 32px; letter-spacing: 4px; text-transform: uppercase; border-bottom: 4px solid #000; padding-bottom: 12px; margin: 0 0 8px; }
+    h2 { font-size: 16px; letter-spacing: 2px; text-transform: uppercase; border-bottom: 2px solid #000; padding-bottom: 8px; margin: 40px 0 16px; }
+    h3 { font-size: 14px; text-transform: uppercase; letter-spacing: 1px; margin: 24px 0 8px; }
+    h3 span { font-weight: normal; color: #666; font-size: 12px; }
+    .subtitle { color: #666; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; }
+    .heatmap { background: #000; padding: 16px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .heatmap svg { font-family: inherit; }
+    .legend { display: flex; flex-wrap: wrap; gap: 16px; color: #fff; font-size: 11px; margin-top: 12px; }
+    .legend i { display: inline-block; width: 12px; height: 12px; border: 1px solid #555; margin-right: 6px; vertical-align: middle; }
+    .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+    .stat { border: 2px solid #000; padding: 12px; }
+    .stat-value { font-size: 16px; font-weight: bold; word-wrap: break-word; }
+    .stat-label { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #666; margin-top: 4px; }
+    .smile { border-left: 3px solid #000; padding: 4px 0 4px 12px; margin-bottom: 12px; page-break-inside: avoid; }
+    .smile-date { font-size: 11px; color: #666; text-transform: uppercase; letter-spacing: 1px; }
+    .smile-text { font-size: 14px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word; }
+    .smile-text.encrypted { color: #666; font-style: italic; }
+    .empty { color: #666; }
+    .print { margin-top: 40px; padding: 12px 24px; font-family: inherit; text-transform: uppercase; background: #000; color: #fff; border: none; cursor: pointer; }
+    @media print { .print { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+    <h1>${review.year} in Smiles</h1>
+    <div class="subtitle">1 Smile a Day · ${escapeHtml(review.email)}</div>
+
+    <h2>The Year at a Glance</h2>
+    <div class="heatmap">
+        ${renderHeatmapSvg(review)}
+        <div class="legend">${legend}</div>
+    </div>
+
+    <h2>Top Stats</h2>
+    <div class="stats">${stats}</div>
+
+    <h2>Pure Joy</h2>
+    ${review.pureJoy.length > 0 ? review.pureJoy.map(renderSmileHtml).join('') : '<p class="empty">No "Pure joy" smiles this year.</p>'}
+
+    <h2>Month by Month</h2>
+    ${months}
+
+    <button class="print" onclick="window.print()">Print</button>
+</body>
+</html>
+`;
+}
+
+// ---- PDF ----
+
+// The built-in Courier font only covers Latin-1 and a few extra symbols,
+// so anything else (emoji, other scripts) is left out of the PDF
+function toPdfText(text) {
+    return String(text).replace(/[^\n\t\x20-\x7e\xa0-\xff‘’“”–—…•€]/g, '');
+}
+
+function writePdf(review, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${review.year} in Smiles` } });
+    doc.pipe(stream);
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    const heading = (text) => {
+        doc.moveDown(1.5);
+        if (doc.y > doc.page.height - 120) doc.addPage();
+        doc.font('Courier-Bold').fontSize(13).fillColor('#000').text(text.toUpperCase(), { characterSpacing: 1 });
+        doc.moveTo(left, doc.y + 2).lineTo(left + pageWidth, doc.y + 2).lineWidth(1.5).stroke('#000');
+        doc.moveDown(0.8);
+    };
+
+    const smile = (item) => {
+        const details = [item.rating ? RATING_LABELS[item.rating] : null, ...item.tags.map(tag => `#${tag}`)]
+            .filter(Boolean).join(' · ');
+        doc.font('Courier').fontSize(8).fillColor('#666')
+            .text(toPdfText(`${formatDay(item.date)}${details ? ` · ${details}` : ''}`.toUpperCase()));
+        if (item.text === null) {
+            doc.font('Courier-Oblique').fontSize(10).fillColor('#666').text(ENCRYPTED_TEXT, { lineGap: 2 });
+        } else {
+            doc.font('Courier').fontSize(10).fillColor('#000').text(toPdfText(item.text), { lineGap: 2 });
+        }
+        doc.moveDown(0.6);
+    };
+
+    doc.font('Courier-Bold').fontSize(26).text(`${review.year} IN SMILES`, { characterSpacing: 3 });
+    doc.font('Courier').fontSize(9).fillColor('#666').text(toPdfText(`1 SMILE A DAY · ${review.email}`));
+
+    // Heatmap on a black panel, like the calendar
+    heading('The Year at a Glance');
+    const cell = 11;
+    const gap = 2.5;
+    const labelWidth = 30;
+    const panelHeight = 12 * (cell + gap) + 36;
+    const top = doc.y;
+    doc.rect(left, top, pageWidth, panelHeight).fill('#000');
+    MONTH_NAMES.forEach((name, index) => {
+        const y = top + 10 + index * (cell + gap);
+        doc.font('Courier').fontSize(7).fillColor('#fff').text(name.slice(0, 3).toUpperCase(), left + 8, y + 2, { lineBreak: false });
+        for (let day = 1; day <= daysInMonth(review.year, index + 1); day++) {
+            const x = left + 8 + labelWidth + (day - 1) * (cell + gap);
+            doc.rect(x, y, cell, cell).lineWidth(0.5).fillAndStroke(heatmapColor(review, index + 1, day), '#333');
+        }
+    });
+    let legendX = left + 8;
+    const legendY = top + panelHeight - 18;
+    [['Small win', 1], ['Made my day', 2], ['Pure joy', 3], ['No rating', 'unrated'], ['Skipped', 'skipped']].forEach(([label, key]) => {
+        doc.rect(legendX, legendY, 8, 8).lineWidth(0.5).fillAndStroke(HEATMAP_COLORS[key], '#555');
+        doc.font('Courier').fontSize(7).fillColor('#fff').text(label.toUpperCase(), legendX + 12, legendY + 1, { lineBreak: false });
+        legendX += 12 + doc.widthOfString(label.toUpperCase()) + 16;
+    });
+    doc.x = left;
+    doc.y = top + panelHeight;
+
+    heading('Top Stats');
+    statList(review).forEach(([label, value]) => {
+        doc.font('Courier-Bold').fontSize(10).fillColor('#000').text(`${label.toUpperCase()}: `, { continued: true });
+        doc.font('Courier').text(toPdfText(value));
+    });
+
+    heading('Pure Joy');
+    if (review.pureJoy.length > 0) {
+        review.pureJoy.forEach(smile);
+    } else {
+        doc.font('Courier').fontSize(10).fillColor('#666').text('No "Pure joy" smiles this year.');
+    }
+
+    heading('Month by Month');
+    review.months.filter(month => month.smiles.length > 0 || month.skipped > 0).forEach(month => {
+        doc.moveDown(0.5);
+        doc.font('Courier-Bold').fontSize(11).fillColor('#000').text(month.name.toUpperCase(), { continued: true });
+        doc.font('Courier').fontSize(9).fillColor('#666')
+            .text(`  ${month.smiles.length} ${month.smiles.length === 1 ? 'smile' : 'smiles'}${month.skipped > 0 ? ` · ${month.skipped} skipped` : ''}`);
+        doc.moveDown(0.4);
+        month.smiles.forEach(smile);
+    });
+
+    doc.end();
+}
+
+module.exports = {
+    getYearReview,
+    renderHtml,
+    writePdf
+};
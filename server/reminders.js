@@ -0,0 +1,193 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const webpush = require('web-push');
+const db = require('./db');
+
+// VAPID keys come from the environment, or are generated once and kept in data/
+const vapidPath = path.join(__dirname, '../data/vapid.json');
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let vapidKeys = null;
+let timer = null;
+
+function getVapidKeys() {
+    if (vapidKeys) return vapidKeys;
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        vapidKeys = {
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY
+        };
+    } else if (fs.existsSync(vapidPath)) {
+        vapidKeys = JSON.parse(fs.readFileSync(vapidPath, 'utf8'));
+    } else {
+        vapidKeys = webpush.generateVAPIDKeys();
+        fs.mkdirSync(path.dirname(vapidPath), { recursive: true });
+        fs.writeFileSync(vapidPath, JSON.stringify(vapidKeys, null, 2), { mode: 0o600 });
+        console.log(`Generated VAPID keys in ${vapidPath}`);
+    }
+
+    webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost',
+        vapidKeys.publicKey,
+        vapidKeys.privateKey
+    );
+    return vapidKeys;
+}
+
+function getPublicKey() {
+    return getVapidKeys().publicKey;
+}
+
+// IPv4 ranges a push endpoint must not point into: this host, private
+// networks, link-local (cloud metadata) and everything that isn't unicast
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+];
+
+function ipv4ToNumber(ip) {
+    return ip.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isBlockedIpv4(ip) {
+    const value = ipv4ToNumber(ip);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+        const size = 2 ** (32 - bits);
+        return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+}
+
+// Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10)
+// and IPv4-mapped addresses, which could hide any of the IPv4 ranges
+function isBlockedIpv6(ip) {
+    const address = ip.toLowerCase();
+    return address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address) ||
+        address.startsWith('::ffff:');
+}
+
+// Push endpoints come from the browser, and the server POSTs to them, so
+// only public https URLs are accepted: no IP addresses on this host or its
+// networks, and no single-label or local host names.
+function isValidPushEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (net.isIPv4(host)) return !isBlockedIpv4(host);
+    if (net.isIPv6(host)) return !isBlockedIpv6(host);
+
+    return host.includes('.') && !/(^|\.)(localhost|local|internal|localdomain)$/.test(host);
+}
+
+// Send a notification to every device the user subscribed.
+// Subscriptions the push service reports as gone are removed.
+async function sendToUser(userId, payload) {
+    getVapidKeys();
+    const subscriptions = db.getPushSubscriptions(userId);
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+        // Stored before endpoints were checked; never sent to
+        if (!isValidPushEndpoint(subscription.endpoint)) {
+            db.deletePushSubscription(userId, subscription.endpoint);
+            continue;
+        }
+
+        try {
+            await webpush.sendNotification({
+                endpoint: subscription.endpoint,
+                keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+            }, JSON.stringify(payload));
+            delivered++;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                db.deletePushSubscription(userId, subscription.endpoint);
+            } else {
+                console.error('Push error:', error.message);
+            }
+        }
+    }
+
+    return delivered;
+}
+
+// Current local time of day (HH:MM) in a timezone
+function formatTimeInTimezone(date, timezone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || undefined,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(date);
+}
+
+// Build the reminder for a user, or null if they are all caught up
+function buildReminder(user, today) {
+    const missedDays = db.getMissedDays(user.id, user.signup_date);
+    const loggedToday = !!db.getEntry(user.id, today);
+
+    if (loggedToday && missedDays.length === 0) {
+        return null;
+    }
+
+    let body = 'What made you smile today?';
+    if (missedDays.length > 0) {
+        const days = missedDays.length === 1 ? '1 day' : `${missedDays.length} days`;
+        body = loggedToday
+            ? `You have ${days} to fill in.`
+            : `What made you smile today? You also have ${days} to fill in.`;
+    }
+
+    return { title: '1 Smile a Day', body, url: '/' };
+}
+
+// Check every user with reminders on; each is handled at most once per local day
+async function sendDueReminders(now = new Date()) {
+    const users = db.getUsersWithReminders();
+
+    for (const user of users) {
+        const today = db.formatDateInTimezone(now, user.timezone);
+        if (user.reminder_last_sent === today) continue;
+        if (formatTimeInTimezone(now, user.timezone) < user.reminder_time) continue;
+
+        db.markReminderSent(user.id, today);
+
+        const reminder = buildReminder(user, today);
+        if (reminder) {
+            await sendToUser(user.id, reminder);
+        }
+    }
+}
+
+function startScheduler() {
+    if (timer) return;
+
+    timer = setInterval(() => {
+        sendDueReminders().catch(error => {
+            console.error('Reminder scheduler error:', error);
+        });
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+}
+
+function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    getPublicKey,
+    isValidPushEndpoint,
+    sendToUser,
+    sendDueReminders,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,130 @@
+const express = require('express');
+const db = require('../db');
+const { authenticateToken, sendPasswordReset } = require('./auth');
+
+const router = express.Router();
+
+// "Active" and "new" in the stats mean within this many days
+const ACTIVITY_WINDOW_DAYS = 30;
+
+// Admin rights are checked against the database on every request, so
+// revoking them takes effect right away
+function requireAdmin(req, res, next) {
+    const user = db.getUserById(req.user.id);
+    if (!user || !user.is_admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// All routes require an admin
+router.use(authenticateToken, requireAdmin);
+
+// Look up the account an action is for; admins can't act on themselves,
+// so nobody locks themselves out by accident
+function getTargetUser(req, res) {
+    const user = db.getUserById(parseInt(req.params.id));
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    if (user.id === req.user.id) {
+        res.status(400).json({ error: 'You cannot do this to your own account' });
+        return null;
+    }
+    return user;
+}
+
+// List every account with its activity (never any entry text)
+router.get('/users', (req, res) => {
+    try {
+        const users = db.getUsersForAdmin();
+        res.json({
+            users: users.map(user => ({
+                id: user.id,
+                email: user.email,
+                signupDate: user.signup_date,
+                createdAt: user.created_at,
+                lastActiveAt: user.last_active_at,
+                smileCount: user.smile_count,
+                skippedCount: user.skipped_count,
+                emailVerified: !!user.email_verified_at,
+                twoFactor: !!user.totp_enabled_at,
+                encrypted: !!user.encrypted,
+                isAdmin: !!user.is_admin,
+                disabledAt: user.disabled_at,
+                passwordResetRequired: !!user.password_reset_required
+            }))
+        });
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Disable an account: it's signed out everywhere and can't log in
+router.post('/users/:id/disable', (req, res) => {
+    try {
+        const user = getTargetUser(req, res);
+        if (!user) return;
+
+        db.setUserDisabled(user.id, true);
+        db.revokeAllSessions(user.id);
+        db.logAuthEvent('account_disabled', { email: user.email, userId: user.id, ipAddress: req.ip, detail: `by admin ${req.user.id}` });
+
+        res.json({ message: `${user.email} is disabled` });
+    } catch (error) {
+        console.error('Admin disable user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/users/:id/enable', (req, res) => {
+    try {
+        const user = getTargetUser(req, res);
+        if (!user) return;
+
+        db.setUserDisabled(user.id, false);
+        db.logAuthEvent('account_enabled', { email: user.email, userId: user.id, ipAddress: req.ip, detail: `by admin ${req.user.id}` });
+
+        res.json({ message: `${user.email} is enabled again` });
+    } catch (error) {
+        console.error('Admin enable user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Sign the account out everywhere and keep it from logging in until the
+// password has been reset through the link emailed to it
+router.post('/users/:id/force-password-reset', (req, res) => {
+    try {
+        const user = getTargetUser(req, res);
+        if (!user) return;
+
+        db.requirePasswordReset(user.id);
+        db.revokeAllSessions(user.id);
+        sendPasswordReset(req, user);
+        db.logAuthEvent('password_reset_forced', { email: user.email, userId: user.id, ipAddress: req.ip, detail: `by admin ${req.user.id}` });
+
+        res.json({ message: `${user.email} must choose a new password. A reset link is on its way.` });
+    } catch (error) {
+        console.error('Admin force password reset error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Instance-wide counts, with nothing from any entry's text
+router.get('/stats', (req, res) => {
+    try {
+        const since = db.addDays(db.formatDate(new Date()), -ACTIVITY_WINDOW_DAYS);
+        res.json({
+            windowDays: ACTIVITY_WINDOW_DAYS,
+            ...db.getInstanceStats(since)
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
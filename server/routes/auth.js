@@ -1,12 +1,35 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const db = require('../db');
+const mail = require('../mail');
+const templates = require('../mail/templates');
+const streaks = require('../streaks');
+const encryption = require('../encryption');
+const ratelimit = require('../ratelimit');
+const totp = require('../totp');
+const photos = require('../photos');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'smile-secret-key-change-in-production';
 
-// Middleware to verify JWT token
+// Short-lived access tokens, renewed with a rotating refresh token
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Password reset links are single-use and expire after an hour
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Links confirming an email address are single-use and expire after a day
+const EMAIL_TOKEN_TTL_HOURS = 24;
+
+// With two-factor login, the password earns a challenge token that's only
+// good for /login/2fa, for a few minutes
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Middleware to verify JWT token and its server-side session
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -16,27 +39,217 @@ function authenticateToken(req, res, next) {
     }
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err && err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+        }
         if (err) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
+
+        const session = user.sid ? db.getSessionById(user.sid) : null;
+        if (!db.isSessionActive(session) || session.user_id !== user.id) {
+            return res.status(401).json({ error: 'Session has ended', code: 'session_revoked' });
+        }
+
+        // Disabling an account (or forcing a reset) revokes its sessions, but
+        // a session that raced with that mustn't keep working either
+        const block = getLoginBlock(db.getUserById(user.id));
+        if (block) {
+            return res.status(403).json(block);
+        }
+
+        db.touchSession(session.id);
         req.user = user;
         next();
     });
 }
 
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Start a new session for this device and return its token pair
+function startSession(req, user) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const sessionId = db.createSession(
+        user.id,
+        hashToken(refreshToken),
+        req.get('user-agent') || null,
+        req.ip,
+        getRefreshExpiry()
+    );
+
+    return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+function signChallengeToken(user) {
+    return jwt.sign({ id: user.id, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL });
+}
+
+// The user id in a challenge token, or null if it's invalid or expired
+function verifyChallengeToken(token) {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return payload.purpose === 'two_factor' ? payload.id : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Check a TOTP code, or else a recovery code; either is used up on success
+function checkSecondFactor(userId, { code, recoveryCode }) {
+    const twoFactor = db.getTwoFactor(userId);
+    if (!twoFactor || !twoFactor.totp_enabled_at) return false;
+
+    if (recoveryCode) {
+        return db.useRecoveryCode(userId, totp.hashRecoveryCode(recoveryCode));
+    }
+    const step = totp.verifyCode(twoFactor.totp_secret, code, twoFactor.totp_last_step);
+    return step !== null && db.useTotpStep(userId, step);
+}
+
+// Audit a failed password or code and count it against the email and the
+// IP's login limit; returns the length of the lockout it started, or 0
+function recordLoginFailure(req, eventName, email, userId, detail = null) {
+    const event = { email: ratelimit.normalizeEmail(email), userId, ipAddress: req.ip, detail };
+    db.logAuthEvent(eventName, event);
+    ratelimit.recordIpFailure('login', req.ip);
+
+    const lockoutMs = ratelimit.recordFailure(email);
+    if (lockoutMs) {
+        db.logAuthEvent('account_locked', { ...event, detail: `${Math.ceil(lockoutMs / 1000)}s` });
+    }
+    return lockoutMs;
+}
+
+// Check the code a signed-in user confirms a change with. Wrong codes count
+// toward the same lockout as two-factor logins; on failure the response has
+// been sent and false is returned.
+function confirmSecondFactor(req, res, user) {
+    const lockedFor = ratelimit.getLockout(user.email);
+    if (lockedFor) {
+        ratelimit.sendTooManyRequests(res, lockedFor, 'Too many failed attempts.');
+        return false;
+    }
+
+    if (checkSecondFactor(user.id, req.body)) {
+        ratelimit.recordSuccess(user.email);
+        return true;
+    }
+
+    const method = req.body.recoveryCode ? 'recovery_code' : 'totp';
+    const lockoutMs = recordLoginFailure(req, 'two_factor_failed', user.email, user.id, method);
+    if (lockoutMs) {
+        ratelimit.sendTooManyRequests(res, lockoutMs, 'Too many failed attempts.');
+    } else {
+        res.status(401).json({ error: req.body.recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+    }
+    return false;
+}
+
+// The user as sent to the browser after logging in
+function formatLoginUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        signupDate: user.signup_date,
+        timezone: user.timezone,
+        multipleSmiles: !!user.multiple_smiles,
+        streakRules: db.formatStreakRules(user),
+        encryption: db.formatEncryption(user),
+        emailVerified: !!user.email_verified_at,
+        pendingEmail: db.getPendingEmailChange(user.id),
+        isAdmin: !!user.is_admin
+    };
+}
+
+// Why an admin has stopped this account from logging in, or null
+function getLoginBlock(user) {
+    if (user.disabled_at) {
+        return { error: 'This account has been disabled', code: 'account_disabled' };
+    }
+    if (user.password_reset_required) {
+        return {
+            error: 'Please choose a new password first. Check your email for a reset link, or request a new one.',
+            code: 'password_reset_required'
+        };
+    }
+    return null;
+}
+
+// Email a single-use link for choosing a new password
+function sendPasswordReset(req, user) {
+    const resetToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+    db.createPasswordReset(user.id, hashToken(resetToken), expiresAt);
+
+    // Not awaited, so response time doesn't reveal whether the account exists
+    const resetUrl = `${getAppUrl(req)}/?reset=${encodeURIComponent(resetToken)}`;
+    mail.sendMail({
+        to: user.email,
+        ...templates.passwordReset({ resetUrl, expiresInMinutes: RESET_TOKEN_TTL_MINUTES })
+    }).catch(error => {
+        console.error('Password reset mail error:', error);
+    });
+}
+
+// Base URL for links in emails (APP_URL wins over the request's host)
+function getAppUrl(req) {
+    return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Email a single-use link to an address: "verify" confirms the account's
+// current email, "change" switches the account over to a new one
+function sendEmailConfirmation(req, userId, email, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + EMAIL_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    db.createEmailConfirmation(userId, email, purpose, hashToken(token), expiresAt);
+
+    const confirmUrl = `${getAppUrl(req)}/?confirm-email=${encodeURIComponent(token)}`;
+    const template = purpose === 'change' ? templates.emailChange : templates.emailVerification;
+
+    // Not awaited: a slow mail server shouldn't hold up the response
+    mail.sendMail({
+        to: email,
+        ...template({ confirmUrl, email, expiresInHours: EMAIL_TOKEN_TTL_HOURS })
+    }).catch(error => {
+        console.error('Email confirmation mail error:', error);
+    });
+}
+
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', ratelimit.limitByIp('register'), async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, timezone } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password required' });
         }
 
+        if (!isValidEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+
         if (password.length < 6) {
             return res.status(400).json({ error: 'Password must be at least 6 characters' });
         }
 
+        if (timezone && !db.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone' });
+        }
+
         // Check if user exists
         const existingUser = db.getUserByEmail(email);
         if (existingUser) {
@@ -46,19 +259,33 @@ router.post('/register', async (req, res) => {
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        // Get today's date as signup date
-        const signupDate = db.formatDate(new Date());
+        // Get today's date as signup date (in the user's timezone)
+        const signupDate = db.formatDateInTimezone(new Date(), timezone || null);
 
         // Create user
-        const userId = db.createUser(email, hashedPassword, signupDate);
+        const userId = db.createUser(email, hashedPassword, signupDate, timezone || null);
+
+        sendEmailConfirmation(req, userId, email, 'verify');
 
-        // Generate token
-        const token = jwt.sign({ id: userId, email }, JWT_SECRET, { expiresIn: '30d' });
+        // Start a session
+        const { token, refreshToken } = startSession(req, { id: userId, email });
 
         res.status(201).json({
             message: 'User registered successfully',
             token,
-            user: { id: userId, email, signupDate }
+            refreshToken,
+            user: {
+                id: userId,
+                email,
+                signupDate,
+                timezone: timezone || null,
+                multipleSmiles: false,
+                streakRules: streaks.DEFAULT_RULES,
+                encryption: null,
+                emailVerified: false,
+                pendingEmail: null,
+                isAdmin: false
+            }
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -67,7 +294,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', ratelimit.limitByIp('login'), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -75,25 +302,49 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Email and password required' });
         }
 
-        // Find user
-        const user = db.getUserByEmail(email);
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+        // A locked email is turned away before the password is even checked
+        const lockedFor = ratelimit.getLockout(email);
+        if (lockedFor) {
+            return ratelimit.sendTooManyRequests(res, lockedFor, 'Too many failed login attempts.');
         }
 
-        // Check password
-        const validPassword = await bcrypt.compare(password, user.password);
+        // Find user and check password
+        const user = db.getUserByEmail(email);
+        const validPassword = user ? await bcrypt.compare(password, user.password) : false;
+
         if (!validPassword) {
+            const lockoutMs = recordLoginFailure(req, 'login_failed', email, user ? user.id : null);
+            if (lockoutMs) {
+                return ratelimit.sendTooManyRequests(res, lockoutMs, 'Too many failed login attempts.');
+            }
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate token
-        const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '30d' });
+        const block = getLoginBlock(user);
+        if (block) {
+            return res.status(403).json(block);
+        }
+
+        // Second step: failed codes keep counting against the email until
+        // the whole login succeeds
+        if (user.totp_enabled_at) {
+            return res.json({
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user)
+            });
+        }
+
+        ratelimit.recordSuccess(email);
+
+        // Start a session
+        const { token, refreshToken } = startSession(req, user);
 
         res.json({
             message: 'Login successful',
             token,
-            user: { id: user.id, email: user.email, signupDate: user.signup_date }
+            refreshToken,
+            user: formatLoginUser(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -101,6 +352,174 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Second step of a two-factor login: a TOTP code or a recovery code
+router.post('/login/2fa', ratelimit.limitByIp('login'), (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and code required' });
+        }
+
+        const userId = verifyChallengeToken(challengeToken);
+        const user = userId ? db.getUserById(userId) : null;
+        if (!user) {
+            return res.status(401).json({ error: 'Login timed out. Please log in again.', code: 'challenge_expired' });
+        }
+
+        const lockedFor = ratelimit.getLockout(user.email);
+        if (lockedFor) {
+            return ratelimit.sendTooManyRequests(res, lockedFor, 'Too many failed login attempts.');
+        }
+
+        if (!checkSecondFactor(user.id, req.body)) {
+            const method = recoveryCode ? 'recovery_code' : 'totp';
+            const lockoutMs = recordLoginFailure(req, 'two_factor_failed', user.email, user.id, method);
+            if (lockoutMs) {
+                return ratelimit.sendTooManyRequests(res, lockoutMs, 'Too many failed login attempts.');
+            }
+            return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code' });
+        }
+
+        const block = getLoginBlock(user);
+        if (block) {
+            return res.status(403).json(block);
+        }
+
+        ratelimit.recordSuccess(user.email);
+
+        const { token, refreshToken } = startSession(req, user);
+
+        res.json({
+            message: 'Login successful',
+            token,
+            refreshToken,
+            recoveryCodesRemaining: db.countRecoveryCodes(user.id),
+            user: formatLoginUser(user)
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const tokenHash = hashToken(refreshToken);
+        const session = db.getSessionByTokenHash(tokenHash);
+
+        if (!session) {
+            // A rotated-out token being replayed means it leaked: end that session
+            const reused = db.getSessionByPreviousTokenHash(tokenHash);
+            if (reused) {
+                db.revokeSession(reused.user_id, reused.id);
+            }
+            return res.status(401).json({ error: 'Invalid refresh token', code: 'session_revoked' });
+        }
+
+        if (!db.isSessionActive(session)) {
+            return res.status(401).json({ error: 'Session has ended', code: 'session_revoked' });
+        }
+
+        const user = db.getUserById(session.user_id);
+        if (!user || getLoginBlock(user)) {
+            return res.status(401).json({ error: 'Session has ended', code: 'session_revoked' });
+        }
+
+        const newRefreshToken = crypto.randomBytes(48).toString('base64url');
+        db.rotateSession(session.id, hashToken(newRefreshToken), getRefreshExpiry(), req.ip);
+
+        res.json({
+            token: signAccessToken(user, session.id),
+            refreshToken: newRefreshToken
+        });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Logout (ends the session behind the given refresh token)
+router.post('/logout', (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (refreshToken) {
+            const session = db.getSessionByTokenHash(hashToken(refreshToken));
+            if (session) {
+                db.revokeSession(session.user_id, session.id);
+            }
+        }
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Request a password reset link
+router.post('/forgot-password', ratelimit.limitByIp('forgot-password'), (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
+        }
+
+        // Same answer whether or not the account exists
+        const message = 'If that email has an account, a reset link is on its way';
+
+        const user = db.getUserByEmail(email);
+        if (user) {
+            sendPasswordReset(req, user);
+        }
+
+        res.json({ message });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Choose a new password with a reset token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset token and new password required' });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({ error: 'New password must be at least 6 characters' });
+        }
+
+        const reset = db.consumePasswordReset(hashToken(token));
+        if (!reset) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        db.updateUserPassword(reset.user_id, hashedPassword);
+
+        // Whoever had the old password is signed out everywhere
+        db.revokeAllSessions(reset.user_id);
+
+        res.json({ message: 'Password has been reset. You can log in now.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Get current user
 router.get('/me', authenticateToken, (req, res) => {
     try {
@@ -108,13 +527,187 @@ router.get('/me', authenticateToken, (req, res) => {
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
-        res.json({ user: { id: user.id, email: user.email, signupDate: user.signup_date, createdAt: user.created_at } });
+        res.json({
+            user: {
+                id: user.id,
+                email: user.email,
+                signupDate: user.signup_date,
+                timezone: user.timezone,
+                multipleSmiles: !!user.multiple_smiles,
+                streakRules: db.formatStreakRules(user),
+                encryption: db.formatEncryption(user),
+                emailVerified: !!user.email_verified_at,
+                pendingEmail: db.getPendingEmailChange(user.id),
+                isAdmin: !!user.is_admin,
+                createdAt: user.created_at
+            }
+        });
     } catch (error) {
         console.error('Get user error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Send a new verification link to the account's email
+router.post('/verify-email/resend', authenticateToken, ratelimit.limitByIp('email'), (req, res) => {
+    try {
+        const user = db.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.email_verified_at) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        sendEmailConfirmation(req, user.id, user.email, 'verify');
+
+        res.json({ message: `A new link is on its way to ${user.email}` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Ask to move the account to a new email. Nothing changes until the link
+// sent there is opened, so the access token's email claim stays valid.
+router.post('/change-email', authenticateToken, ratelimit.limitByIp('email'), async (req, res) => {
+    try {
+        const { newEmail, password } = req.body;
+
+        if (!newEmail || !password) {
+            return res.status(400).json({ error: 'New email and password required' });
+        }
+
+        if (!isValidEmail(newEmail)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+
+        const user = db.getUserByEmail(req.user.email);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        if (newEmail === user.email) {
+            return res.status(400).json({ error: 'That is already your email' });
+        }
+
+        if (db.getUserByEmail(newEmail)) {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+
+        sendEmailConfirmation(req, user.id, newEmail, 'change');
+
+        res.json({
+            message: `We sent a link to ${newEmail}. Your email changes once you open it.`,
+            pendingEmail: newEmail
+        });
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Open a link from an email confirmation. Confirming a new address signs
+// the account out everywhere, so every token carries the new email claim.
+router.post('/confirm-email', (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Confirmation token required' });
+        }
+
+        const confirmation = db.consumeEmailConfirmation(hashToken(token));
+        const user = confirmation ? db.getUserById(confirmation.user_id) : null;
+        if (!user) {
+            return res.status(400).json({ error: 'Confirmation link is invalid or has expired' });
+        }
+
+        if (confirmation.purpose === 'verify') {
+            if (!db.markEmailVerified(user.id, confirmation.email)) {
+                return res.status(400).json({ error: 'Confirmation link is invalid or has expired' });
+            }
+            return res.json({ message: 'Your email address is verified', email: confirmation.email });
+        }
+
+        if (!db.changeUserEmail(user.id, confirmation.email)) {
+            return res.status(409).json({ error: 'That email address is already used by another account' });
+        }
+
+        db.revokeAllSessions(user.id);
+        db.logAuthEvent('email_changed', {
+            email: ratelimit.normalizeEmail(confirmation.email),
+            userId: user.id,
+            ipAddress: req.ip,
+            detail: `from ${user.email}`
+        });
+
+        mail.sendMail({
+            to: user.email,
+            ...templates.emailChanged({ email: confirmation.email })
+        }).catch(error => {
+            console.error('Email changed mail error:', error);
+        });
+
+        res.json({
+            message: 'Your email address is changed. Log in with your new address.',
+            email: confirmation.email,
+            emailChanged: true
+        });
+    } catch (error) {
+        console.error('Confirm email error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete the account for good, with every smile, its history, photos, tags
+// and sessions. Takes the password, plus a code when two-factor login is on;
+// the browser offers a last export before calling this.
+router.delete('/me', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password required' });
+        }
+
+        const user = db.getUserByEmail(req.user.email);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        if (user.totp_enabled_at) {
+            if (!code && !recoveryCode) {
+                return res.status(401).json({ error: 'Authentication code required' });
+            }
+            if (!confirmSecondFactor(req, res, user)) return;
+        }
+
+        db.deleteUser(user.id);
+
+        // The rows are gone either way; a leftover file is only logged
+        await photos.deleteUserPhotos(user.id).catch(error => {
+            console.error('Photo cleanup error:', error.message);
+        });
+
+        res.json({ message: 'Your account and all your smiles have been deleted' });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Change password
 router.post('/change-password', authenticateToken, async (req, res) => {
     try {
@@ -144,12 +737,282 @@ router.post('/change-password', authenticateToken, async (req, res) => {
         const hashedPassword = await bcrypt.hash(newPassword, 10);
         db.updateUserPassword(user.id, hashedPassword);
 
-        res.json({ message: 'Password updated successfully' });
+        // End every session, then keep this device signed in with a fresh one
+        db.revokeAllSessions(user.id);
+        const { token, refreshToken } = startSession(req, user);
+
+        res.json({ message: 'Password updated successfully', token, refreshToken });
     } catch (error) {
         console.error('Change password error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Update timezone
+router.post('/timezone', authenticateToken, (req, res) => {
+    try {
+        const { timezone } = req.body;
+
+        if (!db.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone' });
+        }
+
+        db.updateUserTimezone(req.user.id, timezone);
+
+        res.json({ message: 'Timezone updated successfully', timezone });
+    } catch (error) {
+        console.error('Update timezone error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn multiple smiles per day on or off. Turning it off keeps the
+// extra smiles already logged.
+router.post('/multiple-smiles', authenticateToken, (req, res) => {
+    try {
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'Enabled must be true or false' });
+        }
+
+        db.updateUserMultipleSmiles(req.user.id, enabled);
+
+        res.json({ message: 'Preference updated successfully', multipleSmiles: enabled });
+    } catch (error) {
+        console.error('Update multiple smiles error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set the streak rules (freezes, skipped days, grace days)
+router.post('/streak-rules', authenticateToken, (req, res) => {
+    try {
+        const { rules, error } = streaks.parseStreakRules(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        db.updateStreakRules(req.user.id, rules);
+
+        res.json({ message: 'Streak rules updated successfully', streakRules: rules });
+    } catch (error) {
+        console.error('Update streak rules error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn on end-to-end encryption. The browser derived the key and sends
+// what it needs to derive it again; existing smiles are encrypted next
+// through /api/entries/action/encrypt.
+router.post('/encryption', authenticateToken, (req, res) => {
+    try {
+        const { settings, error } = encryption.parseEncryptionSettings(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (!db.enableEncryption(req.user.id, settings)) {
+            return res.status(409).json({ error: 'Encryption is already turned on' });
+        }
+
+        res.json({ message: 'Encryption turned on', encryption: settings });
+    } catch (error) {
+        console.error('Enable encryption error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Two-factor status
+router.get('/2fa', authenticateToken, (req, res) => {
+    try {
+        const twoFactor = db.getTwoFactor(req.user.id);
+        if (!twoFactor) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const enabled = !!twoFactor.totp_enabled_at;
+        res.json({
+            enabled,
+            recoveryCodesRemaining: enabled ? db.countRecoveryCodes(req.user.id) : 0
+        });
+    } catch (error) {
+        console.error('Get two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start enrolling: a new secret, as an otpauth:// URI and its QR code.
+// Nothing changes for logins until /2fa/enable confirms a code.
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const user = db.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const secret = totp.generateSecret();
+        if (!db.setPendingTotpSecret(user.id, secret)) {
+            return res.status(409).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri, { margin: 1, width: 240 });
+
+        res.json({ secret, otpauthUri, qrCode });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish enrolling with a code from the app. The recovery codes are only
+// ever shown in this response.
+router.post('/2fa/enable', authenticateToken, (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const twoFactor = db.getTwoFactor(req.user.id);
+        if (!twoFactor) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (twoFactor.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor authentication is already on' });
+        }
+        if (!twoFactor.totp_secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = totp.verifyCode(twoFactor.totp_secret, code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code. Check the clock on your device and try again.' });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        if (!db.enableTwoFactor(req.user.id, step, recoveryCodes.map(totp.hashRecoveryCode))) {
+            return res.status(409).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        db.logAuthEvent('two_factor_enabled', { email: req.user.email, userId: req.user.id, ipAddress: req.ip });
+
+        res.json({ message: 'Two-factor authentication turned on', recoveryCodes });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turning 2FA off takes the password and a current code (or recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Password and authentication code required' });
+        }
+
+        const user = db.getUserByEmail(req.user.email);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor authentication is not on' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        if (!confirmSecondFactor(req, res, user)) return;
+
+        db.disableTwoFactor(user.id);
+        db.logAuthEvent('two_factor_disabled', { email: user.email, userId: user.id, ipAddress: req.ip });
+
+        res.json({ message: 'Two-factor authentication turned off' });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// New recovery codes in place of the old ones; takes the password
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password required' });
+        }
+
+        const user = db.getUserByEmail(req.user.email);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totp_enabled_at) {
+            return res.status(409).json({ error: 'Two-factor authentication is not on' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        db.replaceRecoveryCodes(user.id, recoveryCodes.map(totp.hashRecoveryCode));
+
+        res.json({ message: 'New recovery codes created', recoveryCodes });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, (req, res) => {
+    try {
+        const sessions = db.getActiveSessions(req.user.id);
+        res.json({
+            sessions: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                current: session.id === req.user.sid
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticateToken, (req, res) => {
+    try {
+        const revoked = db.revokeSession(req.user.id, parseInt(req.params.id));
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Log out everywhere (including this device)
+router.post('/logout-all', authenticateToken, (req, res) => {
+    try {
+        const count = db.revokeAllSessions(req.user.id);
+        res.json({ message: 'Logged out everywhere', revoked: count });
+    } catch (error) {
+        console.error('Logout everywhere error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.sendPasswordReset = sendPasswordReset;
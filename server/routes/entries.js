@@ -1,5 +1,15 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
 const db = require('../db');
+const insights = require('../insights');
+const achievements = require('../achievements');
+const tags = require('../tags');
+const photos = require('../photos');
+const exporters = require('../exporters');
+const recap = require('../recap');
+const encryption = require('../encryption');
 const { authenticateToken } = require('./auth');
 
 const router = express.Router();
@@ -13,26 +23,150 @@ router.use(authenticateToken);
 // Minimum character requirement
 const MIN_CHARS = 100;
 
+// Conflict strategies accepted by the import endpoint
+const IMPORT_MODES = ['merge', 'overwrite', 'skip'];
+
+// Longest span the range endpoint returns (a leap year)
+const MAX_RANGE_DAYS = 366;
+
+// Plaintext entries and revisions handed out per request while an
+// account's history is being encrypted
+const ENCRYPT_BATCH_SIZE = 50;
+
+// zip = the JSON backup plus photos
+const EXPORT_FORMATS = ['json', 'zip', ...Object.keys(exporters.FORMATS)];
+
+// Photo uploads arrive as the raw image body
+const readPhotoBody = express.raw({ type: Object.keys(photos.ALLOWED_TYPES), limit: photos.MAX_PHOTO_BYTES });
+
+function readPhoto(req, res, next) {
+    readPhotoBody(req, res, error => {
+        if (error && error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Photos can be at most ${photos.MAX_PHOTO_BYTES / 1024 / 1024} MB` });
+        }
+        if (error) {
+            return res.status(400).json({ error: 'Could not read the upload' });
+        }
+        next();
+    });
+}
+
+// Check that a string is a real calendar date in YYYY-MM-DD format
+function isValidDate(dateString) {
+    if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        return false;
+    }
+    const date = new Date(dateString + 'T00:00:00');
+    return !isNaN(date) && db.formatDate(date) === dateString;
+}
+
+function hasEncryption(userId) {
+    return !!db.getUserById(userId).encryption_salt;
+}
+
+// Validate the text of a smile; returns an error message or null. Encrypted
+// accounts send ciphertext, so the length was checked by the browser.
+function getTextError(text, encrypted) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return 'Entry text is required';
+    }
+    if (encrypted) {
+        return encryption.isEncrypted(text) ? null : 'Entry text must be encrypted on this account';
+    }
+    if (text.trim().length < MIN_CHARS) {
+        return `Entry must be at least ${MIN_CHARS} characters`;
+    }
+    return null;
+}
+
+// Validate the text and rating of a smile; returns an error message or null
+function getSmileError(text, rating, encrypted = false) {
+    const textError = getTextError(text, encrypted);
+    if (textError) {
+        return textError;
+    }
+    if (rating !== undefined && rating !== null && ![1, 2, 3].includes(rating)) {
+        return 'Invalid rating value';
+    }
+    return null;
+}
+
+function formatPhoto(entryId) {
+    const attachment = db.getAttachmentForEntry(entryId);
+    return attachment ? { id: attachment.id, width: attachment.width, height: attachment.height } : null;
+}
+
+function formatSmile(smile) {
+    return {
+        id: smile.id,
+        text: smile.text,
+        rating: smile.rating,
+        tags: db.getTagsForEntry(smile.id),
+        photo: formatPhoto(smile.id),
+        primary: !!smile.is_primary,
+        createdAt: smile.created_at,
+        updatedAt: smile.updated_at
+    };
+}
+
+// Exports list every tag; the ones that come from #hashtags in the text
+// are picked up again on import and shouldn't become explicit
+function withoutHashtags(tagList, text) {
+    const hashtags = tags.extractHashtags(text);
+    return tagList.filter(tag => !hashtags.includes(tag));
+}
+
+// Read an optional ?tag= filter; returns { tag } (null when absent) or { error }
+function getTagFilter(query) {
+    if (query.tag === undefined || query.tag === '') {
+        return { tag: null };
+    }
+    const tag = tags.normalizeTag(query.tag);
+    return tag ? { tag } : { error: 'Invalid tag' };
+}
+
+// Optional from/to dates and rating; returns { filters } or { error }
+function getRangeFilters(query) {
+    const { from, to, rating } = query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return { error: 'Invalid date' };
+    }
+
+    const ratingValue = rating ? parseInt(rating) : null;
+    if (ratingValue !== null && ![1, 2, 3].includes(ratingValue)) {
+        return { error: 'Invalid rating value' };
+    }
+
+    return { filters: { from: from || null, to: to || null, rating: ratingValue } };
+}
+
 // Get dashboard data (streak, missed days, today's entry, stats)
 router.get('/dashboard', (req, res) => {
     try {
         const userId = req.user.id;
         const user = db.getUserById(userId);
-        const today = db.formatDate(new Date());
+        const today = db.getToday(userId);
         
-        const streak = db.getStreak(userId);
+        const { current: streak, freezes, frozenDates } = db.getStreakSummary(userId);
+        const streakRules = db.formatStreakRules(user);
         const missedDays = db.getMissedDays(userId, user.signup_date);
         const todayEntry = db.getEntry(userId, today);
         const totalEntries = db.getTotalEntries(userId);
 
         res.json({
             streak,
+            // Only when freezes are turned on
+            streakFreezes: streakRules.freezes ? freezes : null,
+            frozenDates,
             missedDays,
             todayEntry: todayEntry ? {
                 date: todayEntry.date,
                 text: todayEntry.text,
                 rating: todayEntry.rating,
-                skipped: !!todayEntry.skipped
+                skipped: !!todayEntry.skipped,
+                tags: db.getTagsForEntry(todayEntry.id),
+                smileCount: db.getSmilesForDate(userId, today).length
             } : null,
             totalEntries,
             today
@@ -43,29 +177,79 @@ router.get('/dashboard', (req, res) => {
     }
 });
 
+// Calendar cells keyed by date: each day's primary entry, its number of
+// smiles and the tags of all of them
+function formatCalendarEntries(userId, entries, from, to) {
+    const tagsByDate = {};
+    db.getEntryTags(userId, from, to).forEach(row => {
+        tagsByDate[row.date] = tagsByDate[row.date] || [];
+        if (!tagsByDate[row.date].includes(row.name)) {
+            tagsByDate[row.date].push(row.name);
+        }
+    });
+
+    const entriesMap = {};
+    entries.forEach(entry => {
+        entriesMap[entry.date] = {
+            text: entry.text,
+            rating: entry.rating,
+            skipped: !!entry.skipped,
+            updatedAt: entry.updated_at,
+            smileCount: entry.smile_count,
+            tags: tagsByDate[entry.date] || []
+        };
+    });
+    return entriesMap;
+}
+
 // Get entries for a specific month (for calendar)
 router.get('/month/:year/:month', (req, res) => {
     try {
         const { year, month } = req.params;
-        const entries = db.getEntriesForMonth(req.user.id, parseInt(year), parseInt(month));
-        
-        // Convert to a map for easy lookup
-        const entriesMap = {};
-        entries.forEach(entry => {
-            entriesMap[entry.date] = {
-                text: entry.text,
-                rating: entry.rating,
-                skipped: !!entry.skipped
-            };
-        });
+        const { tag, error } = getTagFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        res.json({ entries: entriesMap });
+        const entries = db.getEntriesForMonth(req.user.id, parseInt(year), parseInt(month), tag);
+        const monthPrefix = `${year}-${String(month).padStart(2, '0')}`;
+
+        res.json({ entries: formatCalendarEntries(req.user.id, entries, `${monthPrefix}-01`, `${monthPrefix}-31`) });
     } catch (error) {
         console.error('Get month entries error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Get entries for any span of days, up to MAX_RANGE_DAYS (for the
+// multi-month and year calendar views)
+router.get('/range', (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!isValidDate(from) || !isValidDate(to)) {
+            return res.status(400).json({ error: 'From and to must be dates (YYYY-MM-DD)' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'From must not be after to' });
+        }
+        if (db.addDays(from, MAX_RANGE_DAYS - 1) < to) {
+            return res.status(400).json({ error: `A range can span at most ${MAX_RANGE_DAYS} days` });
+        }
+
+        const { tag, error } = getTagFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const entries = db.getEntriesForRange(req.user.id, from, to, tag);
+
+        res.json({ from, to, entries: formatCalendarEntries(req.user.id, entries, from, to) });
+    } catch (error) {
+        console.error('Get range entries error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Get a single entry
 router.get('/:date', (req, res) => {
     try {
@@ -73,13 +257,19 @@ router.get('/:date', (req, res) => {
         if (!entry) {
             return res.status(404).json({ error: 'Entry not found' });
         }
+        const smiles = db.getSmilesForDate(req.user.id, req.params.date);
         res.json({
+            id: entry.id,
             date: entry.date,
             text: entry.text,
             rating: entry.rating,
             skipped: !!entry.skipped,
+            tags: db.getTagsForEntry(entry.id),
+            photo: formatPhoto(entry.id),
             createdAt: entry.created_at,
-            updatedAt: entry.updated_at
+            updatedAt: entry.updated_at,
+            smileCount: smiles.length,
+            smiles: entry.skipped ? [] : smiles.map(formatSmile)
         });
     } catch (error) {
         console.error('Get entry error:', error);
@@ -87,21 +277,83 @@ router.get('/:date', (req, res) => {
     }
 });
 
+// Get previous versions of an entry
+router.get('/:date/revisions', (req, res) => {
+    try {
+        const entry = db.getEntry(req.user.id, req.params.date);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+
+        const revisions = db.getEntryRevisions(req.user.id, req.params.date);
+        res.json({
+            date: entry.date,
+            revisions: revisions.map(revision => ({
+                id: revision.id,
+                entryId: revision.entry_id,
+                primary: !!revision.is_primary,
+                text: revision.text,
+                rating: revision.rating,
+                skipped: !!revision.skipped,
+                updatedAt: revision.updated_at,
+                revisedAt: revision.revised_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Restore a previous version (the current version is kept as a revision)
+router.post('/:date/revisions/:revisionId/restore', (req, res) => {
+    try {
+        const { date, revisionId } = req.params;
+        const revision = db.getEntryRevision(req.user.id, date, parseInt(revisionId));
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        if (revision.skipped && db.getSmilesForDate(req.user.id, date).length > 1) {
+            return res.status(400).json({ error: 'Delete the other smiles of this day before skipping it' });
+        }
+
+        db.updateSmile(req.user.id, revision.entry_id, revision.text, !!revision.skipped, revision.rating);
+        if (revision.skipped) {
+            photos.deletePhoto(revision.entry_id);
+        }
+
+        res.json({
+            message: 'Revision restored',
+            date,
+            text: revision.text,
+            rating: revision.rating,
+            skipped: !!revision.skipped
+        });
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Create or update entry
 router.post('/', (req, res) => {
     try {
-        const { date, text, rating, skipped } = req.body;
+        const { date, text, rating, skipped, baseUpdatedAt } = req.body;
+        let explicitTags;
 
         if (!date) {
             return res.status(400).json({ error: 'Date is required' });
         }
 
-        if (!skipped && (!text || !text.trim())) {
-            return res.status(400).json({ error: 'Entry text is required' });
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid date' });
         }
 
-        if (!skipped && text.trim().length < MIN_CHARS) {
-            return res.status(400).json({ error: `Entry must be at least ${MIN_CHARS} characters` });
+        const user = db.getUserById(req.user.id);
+        const textError = skipped ? null : getTextError(text, !!user.encryption_salt);
+        if (textError) {
+            return res.status(400).json({ error: textError });
         }
 
         // Validate rating if provided (1 = Small win, 2 = Made my day, 3 = Pure joy)
@@ -109,28 +361,73 @@ router.post('/', (req, res) => {
             return res.status(400).json({ error: 'Invalid rating value' });
         }
 
-        // Validate date is not in the future
-        const entryDate = new Date(date + 'T00:00:00');
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        // Tags are optional; leaving them out keeps the ones the entry has
+        if (req.body.tags !== undefined) {
+            const parsed = tags.parseTags(req.body.tags);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            explicitTags = parsed.tags;
+        }
 
-        if (entryDate > today) {
+        // Validate date is not in the future (in the user's timezone)
+        if (date > db.getToday(req.user.id)) {
             return res.status(400).json({ error: 'Cannot create entry for future date' });
         }
 
+        if (skipped && db.getSmilesForDate(req.user.id, date).length > 1) {
+            return res.status(400).json({ error: 'Delete the other smiles of this day before skipping it' });
+        }
+
+        // Writes queued offline say which version they were based on
+        // (null = no entry yet). Refuse to overwrite a newer server version.
+        if (baseUpdatedAt !== undefined) {
+            const existing = db.getEntry(req.user.id, date);
+            const currentUpdatedAt = existing ? existing.updated_at : null;
+            if (currentUpdatedAt !== baseUpdatedAt) {
+                return res.status(409).json({
+                    error: 'Entry was changed on another device',
+                    code: 'conflict',
+                    entry: existing ? {
+                        date: existing.date,
+                        text: existing.text,
+                        rating: existing.rating,
+                        skipped: !!existing.skipped,
+                        updatedAt: existing.updated_at
+                    } : null
+                });
+            }
+        }
+
+        const missedBefore = db.getMissedDays(req.user.id, user.signup_date).length;
+
         db.createOrUpdateEntry(
             req.user.id, 
             date, 
             skipped ? null : text.trim(), 
             !!skipped,
-            skipped ? null : (rating || null)
+            skipped ? null : (rating || null),
+            explicitTags
         );
 
+        const saved = db.getEntry(req.user.id, date);
+        if (skipped) {
+            photos.deletePhoto(saved.id);
+        }
+
+        const unlocked = achievements.evaluateAchievements(req.user.id, {
+            missedBefore,
+            missedAfter: db.getMissedDays(req.user.id, user.signup_date).length
+        });
+
         res.json({ 
             message: skipped ? 'Day skipped' : 'Entry saved',
             date,
             rating: skipped ? null : (rating || null),
-            skipped: !!skipped
+            skipped: !!skipped,
+            tags: db.getTagsForEntry(saved.id),
+            updatedAt: saved.updated_at,
+            achievements: unlocked
         });
     } catch (error) {
         console.error('Save entry error:', error);
@@ -138,17 +435,235 @@ router.post('/', (req, res) => {
     }
 });
 
+// Add another smile to a day (needs multiple smiles turned on)
+router.post('/:date/smiles', (req, res) => {
+    try {
+        const { date } = req.params;
+        const { text, rating } = req.body;
+
+        const user = db.getUserById(req.user.id);
+        if (!user.multiple_smiles) {
+            return res.status(403).json({ error: 'Multiple smiles per day are turned off' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid date' });
+        }
+
+        if (date > db.getToday(req.user.id)) {
+            return res.status(400).json({ error: 'Cannot create entry for future date' });
+        }
+
+        const smileError = getSmileError(text, rating, !!user.encryption_salt);
+        if (smileError) {
+            return res.status(400).json({ error: smileError });
+        }
+
+        const parsed = tags.parseTags(req.body.tags || []);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const primary = db.getEntry(req.user.id, date);
+        if (primary && primary.skipped) {
+            return res.status(400).json({ error: 'This day was skipped. Edit it to write a smile instead.' });
+        }
+
+        // The first smile of a missed day fills it in
+        const missedBefore = db.getMissedDays(req.user.id, user.signup_date).length;
+
+        const id = db.addSmile(req.user.id, date, text.trim(), rating || null, parsed.tags);
+
+        const unlocked = achievements.evaluateAchievements(req.user.id, {
+            missedBefore,
+            missedAfter: db.getMissedDays(req.user.id, user.signup_date).length
+        });
+
+        res.status(201).json({
+            message: 'Smile added',
+            date,
+            smile: formatSmile(db.getSmile(req.user.id, id)),
+            achievements: unlocked
+        });
+    } catch (error) {
+        console.error('Add smile error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit one smile of a day
+router.put('/:date/smiles/:id', (req, res) => {
+    try {
+        const { text, rating } = req.body;
+        const smile = db.getSmile(req.user.id, parseInt(req.params.id));
+        if (!smile || smile.date !== req.params.date || smile.skipped) {
+            return res.status(404).json({ error: 'Smile not found' });
+        }
+
+        const smileError = getSmileError(text, rating, hasEncryption(req.user.id));
+        if (smileError) {
+            return res.status(400).json({ error: smileError });
+        }
+
+        let explicitTags;
+        if (req.body.tags !== undefined) {
+            const parsed = tags.parseTags(req.body.tags);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            explicitTags = parsed.tags;
+        }
+
+        db.updateSmile(req.user.id, smile.id, text.trim(), false, rating || null, explicitTags);
+
+        res.json({
+            message: 'Smile saved',
+            date: smile.date,
+            smile: formatSmile(db.getSmile(req.user.id, smile.id))
+        });
+    } catch (error) {
+        console.error('Update smile error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Make a smile the day's primary one (shown on the calendar)
+router.post('/:date/smiles/:id/primary', (req, res) => {
+    try {
+        const smile = db.getSmile(req.user.id, parseInt(req.params.id));
+        if (!smile || smile.date !== req.params.date || smile.skipped) {
+            return res.status(404).json({ error: 'Smile not found' });
+        }
+
+        db.setPrimarySmile(req.user.id, smile.id);
+
+        res.json({ message: 'Primary smile updated', date: smile.date, id: smile.id });
+    } catch (error) {
+        console.error('Set primary smile error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete an extra smile (the primary one can't be deleted)
+router.delete('/:date/smiles/:id', (req, res) => {
+    try {
+        const smile = db.getSmile(req.user.id, parseInt(req.params.id));
+        if (!smile || smile.date !== req.params.date) {
+            return res.status(404).json({ error: 'Smile not found' });
+        }
+
+        if (smile.is_primary) {
+            return res.status(400).json({ error: 'Pick another primary smile before deleting this one' });
+        }
+
+        photos.deletePhoto(smile.id);
+        db.deleteSmile(req.user.id, smile.id);
+
+        res.json({ message: 'Smile deleted', date: smile.date, id: smile.id });
+    } catch (error) {
+        console.error('Delete smile error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The entry a photo route points at: the day's primary entry, or one of
+// its other smiles
+function getPhotoTarget(req) {
+    if (req.params.id) {
+        const smile = db.getSmile(req.user.id, parseInt(req.params.id));
+        return smile && smile.date === req.params.date ? smile : null;
+    }
+    return db.getEntry(req.user.id, req.params.date);
+}
+
+// Attach a photo to a smile, replacing the one it had
+router.put(['/:date/photo', '/:date/smiles/:id/photo'], readPhoto, async (req, res) => {
+    try {
+        const entry = getPhotoTarget(req);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+
+        if (entry.skipped) {
+            return res.status(400).json({ error: 'Skipped days cannot have a photo' });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Only JPEG, PNG, WebP and GIF images are allowed' });
+        }
+
+        const mimeType = req.get('Content-Type').split(';')[0].trim().toLowerCase();
+        const { attachment, error } = await photos.savePhoto(req.user.id, entry.id, req.body, mimeType);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({
+            message: 'Photo saved',
+            date: entry.date,
+            photo: { id: attachment.id, width: attachment.width, height: attachment.height }
+        });
+    } catch (error) {
+        console.error('Upload photo error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.delete(['/:date/photo', '/:date/smiles/:id/photo'], (req, res) => {
+    try {
+        const entry = getPhotoTarget(req);
+        if (!entry || !photos.deletePhoto(entry.id)) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        res.json({ message: 'Photo removed', date: entry.date });
+    } catch (error) {
+        console.error('Delete photo error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Serve a photo (or its thumbnail) to its owner only
+router.get(['/photos/:id', '/photos/:id/thumb'], (req, res) => {
+    try {
+        const attachment = db.getAttachment(req.user.id, parseInt(req.params.id));
+        if (!attachment) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+
+        // The app keeps its own copy for the session; nothing on disk
+        const thumb = req.path.endsWith('/thumb');
+        res.set('Cache-Control', 'no-store');
+        res.type(thumb ? 'image/jpeg' : attachment.mime_type);
+        res.sendFile(photos.getPhotoPath(attachment, thumb), error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Photo not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Get photo error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Get random entry
 router.get('/action/random', (req, res) => {
     try {
-        const entry = db.getRandomEntry(req.user.id);
+        const { tag, error } = getTagFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const entry = db.getRandomEntry(req.user.id, tag);
         if (!entry) {
             return res.status(404).json({ error: 'No entries found' });
         }
         res.json({
             date: entry.date,
             text: entry.text,
-            rating: entry.rating
+            rating: entry.rating,
+            tags: db.getTagsForEntry(entry.id),
+            photo: formatPhoto(entry.id)
         });
     } catch (error) {
         console.error('Random entry error:', error);
@@ -156,18 +671,98 @@ router.get('/action/random', (req, res) => {
     }
 });
 
+// Smiles written on this day (or in this week) in earlier years
+router.get('/action/on-this-day', (req, res) => {
+    try {
+        const userId = req.user.id;
+        const today = db.getToday(userId);
+        const { match, entries } = db.getOnThisDay(userId, today);
+
+        // Rounded, so Dec 30 counts as a year before Jan 2
+        const yearsAgo = date => Math.round(
+            (new Date(today + 'T00:00:00Z') - new Date(date + 'T00:00:00Z')) / (365.25 * 24 * 60 * 60 * 1000)
+        );
+
+        res.json({
+            today,
+            match,
+            entries: entries.map(entry => ({
+                date: entry.date,
+                yearsAgo: yearsAgo(entry.date),
+                text: entry.text,
+                rating: entry.rating,
+                tags: db.getTagsForEntry(entry.id),
+                photo: formatPhoto(entry.id)
+            }))
+        });
+    } catch (error) {
+        console.error('On this day error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Full-text search across entries
+router.get('/action/search', (req, res) => {
+    try {
+        const { q } = req.query;
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({ error: 'Search query is required' });
+        }
+
+        const { filters, error } = getRangeFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // The index only holds ciphertext; the browser searches instead
+        if (hasEncryption(req.user.id)) {
+            return res.status(400).json({ error: 'Search runs in the browser when encryption is on' });
+        }
+
+        const results = db.searchEntries(req.user.id, q, filters);
+
+        res.json({
+            query: q,
+            results: results.map(entry => ({
+                date: entry.date,
+                text: entry.text,
+                rating: entry.rating,
+                snippet: entry.snippet,
+                rank: entry.rank
+            }))
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List tags with the number of smiles carrying each
+router.get('/action/tags', (req, res) => {
+    try {
+        res.json({ tags: db.getTags(req.user.id) });
+    } catch (error) {
+        console.error('Tags error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Get user stats for profile
 router.get('/action/stats', (req, res) => {
     try {
         const userId = req.user.id;
         const totalEntries = db.getTotalEntries(userId);
-        const currentStreak = db.getStreak(userId);
-        const longestStreak = db.getLongestStreak(userId);
+        const { current, longest, freezes } = db.getStreakSummary(userId);
+        const streakRules = db.formatStreakRules(db.getUserById(userId));
 
         res.json({
             totalEntries,
-            currentStreak,
-            longestStreak
+            currentStreak: current,
+            longestStreak: longest,
+            streakFreezes: streakRules.freezes ? freezes : null,
+            streakRules,
+            years: db.getEntryYears(userId)
         });
     } catch (error) {
         console.error('Stats error:', error);
@@ -175,41 +770,316 @@ router.get('/action/stats', (req, res) => {
     }
 });
 
-// Export all entries
+// "Year in Smiles" recap of one year, as a printable page or a PDF
+router.get('/action/year-review/:year', (req, res) => {
+    try {
+        const year = parseInt(req.params.year);
+        if (!/^\d{4}$/.test(req.params.year)) {
+            return res.status(400).json({ error: 'Invalid year' });
+        }
+
+        const format = req.query.format || 'html';
+        if (!['html', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be one of: html, pdf' });
+        }
+
+        const review = recap.getYearReview(req.user.id, year);
+        if (!review) {
+            return res.status(404).json({ error: `No smiles in ${year}` });
+        }
+
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'html') {
+            return res.type('html').send(recap.renderHtml(review));
+        }
+
+        res.set('Content-Type', 'application/pdf');
+        res.attachment(`${year}-in-smiles.pdf`);
+        recap.writePdf(review, res);
+    } catch (error) {
+        console.error('Year review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Every achievement, locked or not
+router.get('/action/achievements', (req, res) => {
+    try {
+        res.json({ achievements: achievements.getAchievements(req.user.id) });
+    } catch (error) {
+        console.error('Achievements error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Trends for the insights page
+router.get('/action/insights', (req, res) => {
+    try {
+        res.json(insights.getInsights(req.user.id));
+    } catch (error) {
+        console.error('Insights error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Export all entries (?format=zip adds the photos)
 router.get('/action/export', (req, res) => {
     try {
-        const user = db.getUserById(req.user.id);
-        const entries = db.getAllEntries(req.user.id);
-        const streak = db.getStreak(req.user.id);
-
-        const ratingLabels = { 1: 'Small win', 2: 'Made my day', 3: 'Pure joy' };
-
-        const exportData = {
-            exportedAt: new Date().toISOString(),
-            version: 3,
-            user: { email: user.email },
-            entries: entries.reduce((acc, entry) => {
-                acc[entry.date] = {
-                    text: entry.text,
-                    rating: entry.rating,
-                    ratingLabel: entry.rating ? ratingLabels[entry.rating] : null,
-                    skipped: !!entry.skipped,
-                    createdAt: entry.created_at,
-                    updatedAt: entry.updated_at
-                };
-                return acc;
-            }, {}),
-            stats: {
-                totalEntries: db.getTotalEntries(req.user.id),
-                currentStreak: streak
-            }
-        };
+        const { tag, error } = getTagFilter(req.query);
+        const range = getRangeFilters(req.query);
+        if (error || range.error) {
+            return res.status(400).json({ error: error || range.error });
+        }
+
+        const format = req.query.format || 'json';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        // The other formats would be written from ciphertext
+        if (format !== 'json' && hasEncryption(req.user.id)) {
+            return res.status(400).json({ error: 'Only JSON exports, decrypted in the browser, are available when encryption is on' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+
+        const entries = db.getAllEntries(req.user.id, tag, range.filters);
 
-        res.json(exportData);
+        if (format === 'zip') {
+            return sendZipExport(res, req.user.id, entries, tag);
+        }
+
+        if (format === 'json') {
+            return res.json(buildExport(req.user.id, entries, tag));
+        }
+
+        const { contentType, extension } = exporters.FORMATS[format];
+        const tagsByEntry = getTagsByEntry(req.user.id);
+        const body = format === 'markdown' ? exporters.toMarkdown(entries, tagsByEntry)
+            : format === 'csv' ? exporters.toCsv(entries, tagsByEntry)
+            : exporters.toIcs(entries, tagsByEntry, req.hostname);
+
+        res.set('Content-Type', contentType);
+        res.attachment(`1-smile-a-day-${db.getToday(req.user.id)}.${extension}`);
+        res.send(body);
     } catch (error) {
         console.error('Export error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+function getTagsByEntry(userId) {
+    const tagsByEntry = {};
+    db.getEntryTags(userId).forEach(row => {
+        tagsByEntry[row.entry_id] = tagsByEntry[row.entry_id] || [];
+        tagsByEntry[row.entry_id].push(row.name);
+    });
+    return tagsByEntry;
+}
+
+// The version-3 backup. photoPaths maps entry ids to photo file names
+// inside a zip export.
+function buildExport(userId, entries, tag, photoPaths = {}) {
+    const user = db.getUserById(userId);
+    const tagsByEntry = getTagsByEntry(userId);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        version: 3,
+        user: { email: user.email },
+        tag: tag || undefined,
+        entries: entries.reduce((acc, entry) => {
+            const smile = {
+                text: entry.text,
+                rating: entry.rating,
+                ratingLabel: entry.rating ? exporters.RATING_LABELS[entry.rating] : null,
+                tags: tagsByEntry[entry.id] || [],
+                photo: photoPaths[entry.id],
+                skipped: !!entry.skipped,
+                createdAt: entry.created_at,
+                updatedAt: entry.updated_at
+            };
+
+            // Extra smiles of a day are listed under its primary entry,
+            // which getAllEntries returns first. With a tag filter the
+            // primary may be left out; the first matching smile takes its place.
+            if (!acc[entry.date]) {
+                acc[entry.date] = smile;
+            } else {
+                delete smile.skipped;
+                acc[entry.date].additionalSmiles = acc[entry.date].additionalSmiles || [];
+                acc[entry.date].additionalSmiles.push(smile);
+            }
+            return acc;
+        }, {}),
+        stats: {
+            totalEntries: db.getTotalEntries(userId),
+            currentStreak: db.getStreak(userId)
+        }
+    };
+}
+
+// Stream a zip holding smiles.json and every photo it refers to
+function sendZipExport(res, userId, entries, tag) {
+    const attachments = new Map(db.getAttachments(userId).map(attachment => [attachment.entry_id, attachment]));
+    const photoFiles = [];
+    const photoPaths = {};
+
+    entries.forEach(entry => {
+        const attachment = attachments.get(entry.id);
+        if (attachment && fs.existsSync(photos.getPhotoPath(attachment))) {
+            photoPaths[entry.id] = `photos/${entry.date}-${entry.id}${path.extname(attachment.file_name)}`;
+            photoFiles.push({ file: photos.getPhotoPath(attachment), name: photoPaths[entry.id] });
+        }
+    });
+
+    const archive = archiver('zip');
+    archive.on('error', error => {
+        console.error('Export zip error:', error);
+        res.destroy(error);
+    });
+
+    res.attachment(`1-smile-a-day-backup-${db.getToday(userId)}.zip`);
+    archive.pipe(res);
+    archive.append(JSON.stringify(buildExport(userId, entries, tag, photoPaths), null, 2), { name: 'smiles.json' });
+    photoFiles.forEach(({ file, name }) => archive.file(file, { name }));
+    archive.finalize();
+}
+
+// The next batch of plaintext to encrypt, while an account's history is
+// being moved over to end-to-end encryption
+router.get('/action/unencrypted', (req, res) => {
+    try {
+        if (!hasEncryption(req.user.id)) {
+            return res.status(400).json({ error: 'Encryption is not turned on' });
+        }
+
+        res.json(db.getUnencryptedTexts(req.user.id, ENCRYPT_BATCH_SIZE));
+    } catch (error) {
+        console.error('Unencrypted entries error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Replace a batch of plaintext with the browser's ciphertext of it
+router.post('/action/encrypt', (req, res) => {
+    try {
+        if (!hasEncryption(req.user.id)) {
+            return res.status(400).json({ error: 'Encryption is not turned on' });
+        }
+
+        const { entries = [], revisions = [] } = req.body;
+        const isValidList = list => Array.isArray(list) && list.length <= ENCRYPT_BATCH_SIZE &&
+            list.every(item => item && Number.isInteger(item.id) && encryption.isEncrypted(item.text));
+
+        if (!isValidList(entries) || !isValidList(revisions)) {
+            return res.status(400).json({ error: `Send at most ${ENCRYPT_BATCH_SIZE} encrypted entries and revisions` });
+        }
+
+        // Entries come with the #hashtags of their plaintext, which stay on as tags
+        const hasValidTags = entry => Array.isArray(entry.tags) && entry.tags.every(tag => tags.normalizeTag(tag) === tag);
+        if (!entries.every(hasValidTags)) {
+            return res.status(400).json({ error: 'Each entry needs the list of hashtags in its text' });
+        }
+
+        const { encrypted, remaining } = db.encryptTexts(req.user.id, entries, revisions);
+
+        res.json({ message: 'Entries encrypted', encrypted, remaining });
+    } catch (error) {
+        console.error('Encrypt entries error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Import entries from a version-3 export file
+router.post('/action/import', (req, res) => {
+    try {
+        const { data, mode = 'merge' } = req.body;
+
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` });
+        }
+
+        if (!data || typeof data.entries !== 'object' || data.entries === null || Array.isArray(data.entries)) {
+            return res.status(400).json({ error: 'Invalid backup file' });
+        }
+
+        if (data.version !== 3) {
+            return res.status(400).json({ error: 'Unsupported backup version' });
+        }
+
+        const today = db.getToday(req.user.id);
+        const encrypted = hasEncryption(req.user.id);
+        const valid = [];
+        const rejected = [];
+
+        Object.entries(data.entries).forEach(([date, entry]) => {
+            if (!isValidDate(date)) {
+                return rejected.push({ date, reason: 'Invalid date' });
+            }
+            if (date > today) {
+                return rejected.push({ date, reason: 'Date is in the future' });
+            }
+            if (!entry || typeof entry !== 'object') {
+                return rejected.push({ date, reason: 'Invalid entry' });
+            }
+
+            const skipped = !!entry.skipped;
+            const rating = entry.rating === undefined ? null : entry.rating;
+
+            // Same rules as additional smiles and entries saved in the app
+            const smileError = skipped ? null : getSmileError(entry.text, rating, encrypted);
+            if (smileError) {
+                return rejected.push({ date, reason: smileError });
+            }
+
+            const entryTags = tags.parseTags(entry.tags || []);
+            if (entryTags.error) {
+                return rejected.push({ date, reason: entryTags.error });
+            }
+
+            const additional = entry.additionalSmiles === undefined ? [] : entry.additionalSmiles;
+            if (!Array.isArray(additional) || (skipped && additional.length > 0) ||
+                additional.some(smile => !smile || getSmileError(smile.text, smile.rating, encrypted) ||
+                    tags.parseTags(smile.tags || []).error)) {
+                return rejected.push({ date, reason: 'Invalid additional smiles' });
+            }
+
+            valid.push({
+                date,
+                text: skipped ? null : entry.text.trim(),
+                rating: skipped ? null : rating,
+                skipped,
+                updatedAt: entry.updatedAt || null,
+                tags: withoutHashtags(entryTags.tags, entry.text),
+                additionalSmiles: additional.map(smile => ({
+                    text: smile.text.trim(),
+                    rating: smile.rating || null,
+                    tags: withoutHashtags(tags.parseTags(smile.tags || []).tags, smile.text)
+                }))
+            });
+        });
+
+        valid.sort((a, b) => a.date.localeCompare(b.date));
+        const { imported, skipped } = db.importEntries(req.user.id, valid, mode);
+
+        // Skipped days can't have a photo
+        valid.filter(entry => entry.skipped && imported.includes(entry.date)).forEach(entry => {
+            photos.deletePhoto(db.getEntry(req.user.id, entry.date).id);
+        });
+
+        res.json({
+            message: 'Import complete',
+            mode,
+            imported,
+            skipped,
+            rejected
+        });
+    } catch (error) {
+        console.error('Import error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const db = require('../db');
+const reminders = require('../reminders');
+const { authenticateToken } = require('./auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Get reminder settings and the key browsers need to subscribe
+router.get('/', (req, res) => {
+    try {
+        const settings = db.getReminderSettings(req.user.id);
+        res.json({
+            enabled: settings.enabled,
+            time: settings.time,
+            subscriptions: db.getPushSubscriptions(req.user.id).length,
+            vapidPublicKey: reminders.getPublicKey()
+        });
+    } catch (error) {
+        console.error('Get reminders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update reminder settings
+router.post('/settings', (req, res) => {
+    try {
+        const { enabled, time } = req.body;
+
+        if (enabled && !time) {
+            return res.status(400).json({ error: 'Reminder time is required' });
+        }
+
+        if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+            return res.status(400).json({ error: 'Time must be in HH:MM format' });
+        }
+
+        db.updateReminderSettings(req.user.id, !!enabled, time || null);
+
+        res.json({ message: 'Reminder settings updated', enabled: !!enabled, time: time || null });
+    } catch (error) {
+        console.error('Update reminders error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Register this browser's push subscription
+router.post('/subscribe', (req, res) => {
+    try {
+        const { subscription } = req.body;
+
+        if (!subscription || !subscription.endpoint || !subscription.keys ||
+            !subscription.keys.p256dh || !subscription.keys.auth) {
+            return res.status(400).json({ error: 'Invalid push subscription' });
+        }
+
+        if (!reminders.isValidPushEndpoint(subscription.endpoint)) {
+            return res.status(400).json({ error: 'Push endpoint must be a public https URL' });
+        }
+
+        db.savePushSubscription(req.user.id, subscription, req.get('user-agent') || null);
+
+        res.status(201).json({ message: 'Subscribed' });
+    } catch (error) {
+        console.error('Subscribe error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Remove a push subscription
+router.post('/unsubscribe', (req, res) => {
+    try {
+        const { endpoint } = req.body;
+
+        if (!endpoint) {
+            return res.status(400).json({ error: 'Endpoint is required' });
+        }
+
+        db.deletePushSubscription(req.user.id, endpoint);
+
+        res.json({ message: 'Unsubscribed' });
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a test notification to every subscribed device
+router.post('/test', async (req, res) => {
+    try {
+        if (db.getPushSubscriptions(req.user.id).length === 0) {
+            return res.status(400).json({ error: 'No devices are subscribed' });
+        }
+
+        const delivered = await reminders.sendToUser(req.user.id, {
+            title: '1 Smile a Day',
+            body: 'Reminders are working. See you tomorrow!',
+            url: '/'
+        });
+
+        if (delivered === 0) {
+            return res.status(502).json({ error: 'Could not deliver the notification' });
+        }
+
+        res.json({ message: 'Test notification sent', delivered });
+    } catch (error) {
+        console.error('Test reminder error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
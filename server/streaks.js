@@ -0,0 +1,94 @@
+// Streak rules. A streak is walked day by day from the first entry to
+// today, so the current and longest streak always follow the same rules:
+//
+// - freezes: every FREEZE_EARN_DAYS smiles in a streak earn a freeze (at
+//   most MAX_FREEZES held); a freeze is spent on a day that would otherwise
+//   break the streak, which then carries on over it
+// - skippedNeutral: a skipped day neither counts nor breaks the streak
+// - graceDays: the last days up to today that have no entry yet don't break
+//   the streak, as they can still be logged late
+//
+// Freezes are worked out from the history each time, so backfilling a day
+// gives back the freeze spent on it.
+
+const FREEZE_EARN_DAYS = 7;
+const MAX_FREEZES = 2;
+const MAX_GRACE_DAYS = 3;
+
+const DEFAULT_RULES = { freezes: false, skippedNeutral: false, graceDays: 0 };
+
+function nextDay(dateString, days = 1) {
+    const date = new Date(dateString + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Validate rules sent by a client; returns { rules } or { error }
+function parseStreakRules(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Streak rules are required' };
+    }
+
+    const { freezes, skippedNeutral, graceDays } = input;
+    if (typeof freezes !== 'boolean' || typeof skippedNeutral !== 'boolean') {
+        return { error: 'Freezes and skippedNeutral must be true or false' };
+    }
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+        return { error: `Grace days must be a whole number from 0 to ${MAX_GRACE_DAYS}` };
+    }
+    return { rules: { freezes, skippedNeutral, graceDays } };
+}
+
+// days: the primary entry of each logged day as { date, skipped }, oldest first
+function computeStreaks(days, today, rules = DEFAULT_RULES) {
+    const result = { current: 0, longest: 0, freezes: 0, frozenDates: [] };
+    if (days.length === 0) return result;
+
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const graceStart = nextDay(today, 1 - rules.graceDays);
+
+    let streak = 0;
+    let towardsFreeze = 0;
+    let frozenDates = [];
+
+    for (let date = days[0].date; date <= today; date = nextDay(date)) {
+        const day = byDate.get(date);
+
+        if (day && !day.skipped) {
+            streak++;
+            result.longest = Math.max(result.longest, streak);
+
+            if (rules.freezes && ++towardsFreeze === FREEZE_EARN_DAYS) {
+                towardsFreeze = 0;
+                result.freezes = Math.min(result.freezes + 1, MAX_FREEZES);
+            }
+            continue;
+        }
+
+        if (day && rules.skippedNeutral) continue;
+        if (!day && date >= graceStart) continue;
+
+        if (rules.freezes && streak > 0 && result.freezes > 0) {
+            result.freezes--;
+            frozenDates.push(date);
+            continue;
+        }
+
+        streak = 0;
+        towardsFreeze = 0;
+        frozenDates = [];
+    }
+
+    result.current = streak;
+    result.frozenDates = frozenDates;
+    return result;
+}
+
+module.exports = {
+    FREEZE_EARN_DAYS,
+    MAX_FREEZES,
+    MAX_GRACE_DAYS,
+    DEFAULT_RULES,
+    parseStreakRules,
+    computeStreaks
+};
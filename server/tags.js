@@ -0,0 +1,63 @@
+// Tag names are lowercase words: letters, digits, "_" and "-", at most 32
+// characters. A leading "#" is dropped, so "#Family" and "family" match.
+
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGS_PER_ENTRY = 10;
+
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+// #hashtags at the start of the text or after a non-word character ("C#" is
+// not a tag), and with at least one letter ("#1" is not a tag either)
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_-]+)/gu;
+
+// Normalize a tag name, or return null if it isn't a valid tag
+function normalizeTag(name) {
+    if (typeof name !== 'string') return null;
+
+    const tag = name.trim().replace(/^#/, '').toLowerCase();
+    if (!tag || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+        return null;
+    }
+    return tag;
+}
+
+function extractHashtags(text) {
+    if (!text) return [];
+
+    const tags = new Set();
+    for (const match of text.matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeTag(match[1]);
+        if (tag && /\p{L}/u.test(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags];
+}
+
+// Validate tags sent by a client; returns { tags } or { error }
+function parseTags(input) {
+    if (!Array.isArray(input)) {
+        return { error: 'Tags must be a list' };
+    }
+
+    const tags = new Set();
+    for (const name of input) {
+        const tag = normalizeTag(name);
+        if (!tag) {
+            return { error: `Invalid tag: ${String(name).slice(0, MAX_TAG_LENGTH)}` };
+        }
+        tags.add(tag);
+    }
+
+    if (tags.size > MAX_TAGS_PER_ENTRY) {
+        return { error: `An entry can have at most ${MAX_TAGS_PER_ENTRY} tags` };
+    }
+    return { tags: [...tags] };
+}
+
+module.exports = {
+    MAX_TAGS_PER_ENTRY,
+    normalizeTag,
+    extractHashtags,
+    parseTags
+};
@@ -0,0 +1,122 @@
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30-second
+// steps) for two-factor login, plus the one-time recovery codes that stand
+// in for an authenticator app that's been lost. Recovery codes are only
+// stored as SHA-256 hashes.
+
+const crypto = require('crypto');
+
+const ISSUER = '1 Smile a Day';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function toBase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function fromBase32(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// A new 160-bit secret, base32 as authenticator apps expect
+function generateSecret() {
+    return toBase32(crypto.randomBytes(20));
+}
+
+function getStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(number % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Check a code against the steps around now, skipping any step at or before
+// lastStep so a code can't be used twice. Returns the matching step, or null.
+function verifyCode(secret, code, lastStep = null, now = Date.now()) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+    const current = getStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(digits))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// The URI an authenticator app reads from the enrollment QR code
+function buildOtpauthUri(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// Recovery codes look like "k3v7q-a9m2x"
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = toBase32(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+// Case, spaces and dashes don't matter when a recovery code is typed in
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};